@@ -7,6 +7,15 @@ const queueService = require('./src/services/queueService');
 const webserviceClient = require('./src/services/webserviceClient');
 const apiServer = require('./src/services/apiServer');
 const messageHandler = require('./src/handlers/messageHandler');
+const autoReplyEngine = require('./src/services/autoReplyEngine');
+const businessHours = require('./src/services/businessHours');
+const consentService = require('./src/services/consentService');
+const moderationService = require('./src/services/moderationService');
+const groupGreetings = require('./src/services/groupGreetings');
+const mediaService = require('./src/services/mediaService');
+const scheduleService = require('./src/services/scheduleService');
+const campaignService = require('./src/services/campaignService');
+const outboundThrottle = require('./src/services/outboundThrottle');
 
 class WhatsAppWorker {
   constructor() {
@@ -74,6 +83,9 @@ class WhatsAppWorker {
         throw new Error('Failed to initialize queue service');
       }
 
+      // Load business hours and holiday calendars
+      await businessHours.initialize();
+
       // Start API server
       logger.info('Starting API server...');
       const apiStarted = await apiServer.start();
@@ -132,14 +144,17 @@ class WhatsAppWorker {
     queueService.processQueue(config.queue.name, 'whatsapp-media', async (job) => {
       const mediaData = job.data;
       
-      // Download and process media
+      // Download into the media storage and send the reference to the webservice
       try {
         const result = await whatsappBot.processMediaMessage(mediaData);
-        
-        // Send to webservice for further processing
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
         await webserviceClient.queueJob('process-media', {
           ...mediaData,
-          result,
+          media: result.media,
         });
 
         return result;
@@ -182,12 +197,28 @@ class WhatsAppWorker {
       const replyData = job.data;
       
       try {
-        const result = await whatsappBot.sendMessage(replyData.to, replyData.message);
+        const result = replyData.media
+          ? await whatsappBot.sendMediaMessage(replyData.to, replyData.media, replyData.caption)
+          : await whatsappBot.sendMessage(replyData.to, replyData.message);
+
+        // Opted-out recipients and unusable media are final, retrying would not change the outcome
+        if ([consentService.OPTED_OUT, mediaService.INVALID_MEDIA].includes(result.code)) {
+          return result;
+        }
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        if (replyData.media && replyData.message) {
+          await whatsappBot.sendMessage(replyData.to, replyData.message);
+        }
         
         // Log to webservice
         await webserviceClient.logWhatsAppEvent('auto_reply_sent', {
           to: replyData.to,
           originalMessageId: replyData.originalMessageId,
+          ruleId: replyData.ruleId,
           replyMessageId: result.messageId,
           timestamp: new Date().toISOString(),
         });
@@ -199,6 +230,117 @@ class WhatsAppWorker {
       }
     });
 
+    // Process outgoing messages queued by handlers
+    queueService.processQueue(config.queue.name, 'send-message', async (job) => {
+      const { to, message, options } = job.data;
+
+      const result = await whatsappBot.sendMessage(to, message, options);
+
+      if (!result.success && result.code !== consentService.OPTED_OUT) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    });
+
+    // Convert and send media queued by the send-media endpoint (convert option)
+    queueService.processQueue(config.queue.name, 'convert-media', async (job) => {
+      const { to, media, caption, options } = job.data;
+
+      const result = await whatsappBot.sendMediaMessage(to, media, caption, options);
+
+      if (!result.success && ![consentService.OPTED_OUT, mediaService.INVALID_MEDIA].includes(result.code)) {
+        throw new Error(result.error);
+      }
+
+      await webserviceClient.logWhatsAppEvent('media_converted', {
+        jobId: job.id,
+        to,
+        convert: options.convert,
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+
+      return result;
+    });
+
+    // Sends put off by the outbound throttle; over the budget they are deferred again
+    queueService.processQueue(config.queue.name, 'deferred-send', async (job) => {
+      const { method, args, turn } = job.data;
+
+      const result = await whatsappBot.sendDeferred(method, args, turn);
+
+      if (!result.success && ![consentService.OPTED_OUT, mediaService.INVALID_MEDIA].includes(result.code)) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    });
+
+    // Send scheduled and recurring messages; cancelled or updated schedules skip their old jobs.
+    // Over the outbound budget the job is queued again for later, so the run is only recorded
+    // once the message is really sent
+    queueService.processQueue(config.queue.name, scheduleService.JOB_TYPE, async (job) => {
+      const schedule = await scheduleService.getDue(job.data);
+
+      if (!schedule) {
+        return { success: true, skipped: true };
+      }
+
+      const { to, message, media, caption, mentions } = schedule;
+      const options = { ...(mentions && { mentions }), defer: false };
+      const result = media
+        ? await whatsappBot.sendMediaMessage(to, media, caption || '', options)
+        : await whatsappBot.sendMessage(to, message, options);
+
+      if (result.code === outboundThrottle.THROTTLED) {
+        return scheduleService.requeue(job, result.retryIn);
+      }
+
+      const final = result.success || [consentService.OPTED_OUT, mediaService.INVALID_MEDIA].includes(result.code);
+
+      await scheduleService.recordRun(schedule, result, { final });
+
+      if (!final) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    });
+
+    // Queue the next batch of a campaign's recipients
+    queueService.processQueue(config.queue.name, campaignService.DISPATCH_JOB, async (job) => {
+      return campaignService.dispatch(job.data);
+    });
+
+    // One campaign message; over the outbound budget the job is queued again for later
+    queueService.processQueue(config.queue.name, campaignService.MESSAGE_JOB, async (job) => {
+      const delivery = await campaignService.getDelivery(job.data);
+
+      if (!delivery) {
+        return { success: true, skipped: true };
+      }
+
+      const { to, message, media, caption } = delivery;
+      const result = media
+        ? await whatsappBot.sendMediaMessage(to, media, caption || '', { defer: false })
+        : await whatsappBot.sendMessage(to, message, { defer: false });
+
+      if (result.code === outboundThrottle.THROTTLED) {
+        return campaignService.requeue(job, result.retryIn);
+      }
+
+      const final = result.success || [consentService.OPTED_OUT, mediaService.INVALID_MEDIA].includes(result.code);
+
+      await campaignService.recordResult(job.data, result, { final });
+
+      if (!final) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    });
+
     // Generic job processors for webservice communication
     queueService.processQueue(config.queue.name, 'process-data', async (job) => {
       const data = job.data;
@@ -352,6 +494,11 @@ class WhatsAppWorker {
       logger.info('Stopping API server...');
       await apiServer.stop();
 
+      // Stop watching the auto-reply, moderation and group greetings files
+      autoReplyEngine.unwatch();
+      moderationService.unwatch();
+      groupGreetings.shutdown();
+
       // Shutdown WhatsApp bot
       logger.info('Shutting down WhatsApp bot...');
       await whatsappBot.shutdown();
@@ -0,0 +1,18 @@
+// Block a contact so the bot stops receiving their messages
+module.exports = {
+  name: 'block',
+  aliases: ['bloquear'],
+  description: 'Bloquea un número',
+  adminOnly: true,
+  args: [
+    { name: 'numero', required: true, description: 'Número a bloquear, con código de país' },
+  ],
+
+  async execute({ args, bot, t, reply }) {
+    const result = await bot.setContactBlocked(args.numero, true);
+
+    await reply(result.success
+      ? t('admin.blocked', { number: result.number })
+      : t('admin.blockError', { number: args.numero, error: result.error || t('admin.rejected') }));
+  },
+};
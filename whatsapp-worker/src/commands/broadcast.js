@@ -0,0 +1,22 @@
+// Send an announcement to every group or private chat
+module.exports = {
+  name: 'broadcast',
+  aliases: ['difundir'],
+  description: 'Envía un mensaje a todos los grupos o chats privados',
+  adminOnly: true,
+  args: [
+    { name: 'destino', required: true, choices: ['grupos', 'chats'], description: 'grupos o chats' },
+    { name: 'mensaje', type: 'rest', required: true, description: 'Texto a enviar' },
+  ],
+
+  async execute({ args, bot, t, reply }) {
+    const result = await bot.broadcastMessage(args.mensaje, { groups: args.destino === 'grupos' });
+
+    if (!result.success) {
+      await reply(t('admin.broadcastError', { error: result.error }));
+      return;
+    }
+
+    await reply(t('admin.broadcastDone', result));
+  },
+};
@@ -0,0 +1,15 @@
+const flowEngine = require('../services/flowEngine');
+
+// Abort the conversational flow active in the current chat
+module.exports = {
+  name: 'cancel',
+  aliases: ['cancelar'],
+  description: 'Cancela la conversación guiada en curso',
+
+  async execute({ message, t, reply }) {
+    const chat = await message.getChat();
+    const result = await flowEngine.cancel(chat.id._serialized);
+
+    await reply(result.success ? t('flow.cancelled') : t('flow.noActive'));
+  },
+};
@@ -0,0 +1,29 @@
+const flowEngine = require('../services/flowEngine');
+
+// Start a conversational flow in the current chat
+module.exports = {
+  name: 'flow',
+  aliases: ['flujo'],
+  description: 'Inicia una conversación guiada',
+  args: [
+    { name: 'nombre', description: 'Flujo a iniciar; sin nombre lista los disponibles' },
+  ],
+
+  async execute({ message, args, contact, prefix, locale, t, reply }) {
+    if (!args.nombre) {
+      const flows = flowEngine.list().map(flow => `• ${flow.name} - ${flow.description}`);
+      await reply(t('flow.list', { flows: flows.join('\n'), prefix }));
+      return;
+    }
+
+    const chat = await message.getChat();
+    const result = await flowEngine.start(args.nombre, {
+      chatId: chat.id._serialized,
+      from: contact.number,
+      isGroup: chat.isGroup,
+      locale,
+    });
+
+    await reply(result.success ? result.reply : t('flow.startError', { error: result.error }));
+  },
+};
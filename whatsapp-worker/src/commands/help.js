@@ -0,0 +1,26 @@
+// Lists available commands, or the details of a single command
+module.exports = {
+  name: 'help',
+  aliases: ['ayuda'],
+  description: 'Muestra esta ayuda',
+  args: [
+    { name: 'comando', description: 'Comando del que mostrar los detalles' },
+  ],
+
+  async execute({ args, registry, prefix, isAdmin, locale, t, reply }) {
+    if (!args.comando) {
+      await reply(registry.getHelpText(prefix, { isAdmin, locale }));
+      return;
+    }
+
+    const name = args.comando.startsWith(prefix) ? args.comando.slice(prefix.length) : args.comando;
+    const command = registry.get(name);
+
+    if (!command || command.hidden || (command.adminOnly && !isAdmin)) {
+      await reply(t('common.unknownCommand', { command: args.comando, prefix }));
+      return;
+    }
+
+    await reply(registry.getCommandHelpText(command, prefix, locale));
+  },
+};
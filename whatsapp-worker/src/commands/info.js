@@ -0,0 +1,18 @@
+// Details about the message that triggered the command
+module.exports = {
+  name: 'info',
+  description: 'Información del mensaje',
+
+  async execute({ message, locale, t, reply }) {
+    const contact = await message.getContact();
+    const chat = await message.getChat();
+
+    await reply(t('info.text', {
+      from: contact.name || contact.pushname || contact.number,
+      chat: chat.isGroup ? t('info.group', { name: chat.name }) : t('info.private'),
+      date: new Date(message.timestamp * 1000).toLocaleString(locale),
+      messageId: message.id.id,
+      type: message.type,
+    }));
+  },
+};
@@ -0,0 +1,39 @@
+const i18n = require('../services/i18n');
+
+// Show or change the sender's preferred language
+module.exports = {
+  name: 'lang',
+  aliases: ['idioma', 'language'],
+  description: 'Consulta o cambia tu idioma',
+  args: [
+    { name: 'idioma', description: 'Código de idioma (es, en, pt)' },
+  ],
+
+  async execute({ args, contact, locale, t, reply }) {
+    const available = i18n.getSupportedLocales();
+
+    if (!args.idioma) {
+      await reply(t('lang.current', {
+        language: t(`languages.${locale}`),
+        available: available.join(', '),
+      }));
+      return;
+    }
+
+    const requested = args.idioma.toLowerCase();
+
+    if (!i18n.isSupported(requested)) {
+      await reply(t('args.invalidChoice', { name: 'idioma', choices: available.join(', ') }));
+      return;
+    }
+
+    const result = await i18n.setContactLocale(contact.number, requested);
+
+    if (!result.success) {
+      await reply(t('common.commandError'));
+      return;
+    }
+
+    await reply(i18n.t(requested, 'lang.changed', { language: i18n.t(requested, `languages.${requested}`) }));
+  },
+};
@@ -0,0 +1,17 @@
+const queueService = require('../services/queueService');
+
+// Stop processing queued jobs
+module.exports = {
+  name: 'pause',
+  aliases: ['pausar'],
+  description: 'Pausa el procesamiento de la cola',
+  adminOnly: true,
+
+  async execute({ t, reply }) {
+    const result = await queueService.pauseQueue();
+
+    await reply(result.success
+      ? t('queue.paused')
+      : t('queue.pauseError', { error: result.error }));
+  },
+};
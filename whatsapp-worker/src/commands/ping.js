@@ -0,0 +1,9 @@
+// Connectivity check
+module.exports = {
+  name: 'ping',
+  description: 'Prueba de conectividad',
+
+  async execute({ t, reply }) {
+    await reply(t('ping.pong'));
+  },
+};
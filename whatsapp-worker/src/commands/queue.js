@@ -0,0 +1,20 @@
+const queueService = require('../services/queueService');
+
+// Detailed queue counters
+module.exports = {
+  name: 'queue',
+  aliases: ['cola'],
+  description: 'Estadísticas detalladas de la cola',
+  adminOnly: true,
+
+  async execute({ t, reply }) {
+    const result = await queueService.getQueueStats();
+
+    if (!result.success) {
+      await reply(t('queue.statsError', { error: result.error }));
+      return;
+    }
+
+    await reply(t('queue.text', { name: result.queueName, ...result.stats }));
+  },
+};
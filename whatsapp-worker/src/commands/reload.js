@@ -0,0 +1,12 @@
+// Reload command modules from disk without restarting the worker
+module.exports = {
+  name: 'reload',
+  aliases: ['recargar'],
+  description: 'Recarga los comandos del bot',
+  adminOnly: true,
+
+  async execute({ registry, t, reply }) {
+    const total = registry.reload();
+    await reply(t('admin.reloaded', { count: total }));
+  },
+};
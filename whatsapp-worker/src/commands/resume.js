@@ -0,0 +1,17 @@
+const queueService = require('../services/queueService');
+
+// Resume processing queued jobs
+module.exports = {
+  name: 'resume',
+  aliases: ['reanudar'],
+  description: 'Reanuda el procesamiento de la cola',
+  adminOnly: true,
+
+  async execute({ t, reply }) {
+    const result = await queueService.resumeQueue();
+
+    await reply(result.success
+      ? t('queue.resumed')
+      : t('queue.resumeError', { error: result.error }));
+  },
+};
@@ -0,0 +1,20 @@
+const queueService = require('../services/queueService');
+
+// Bot and queue status summary
+module.exports = {
+  name: 'status',
+  aliases: ['estado'],
+  description: 'Estado del bot',
+
+  async execute({ bot, t, reply }) {
+    const stats = await queueService.getQueueStats();
+
+    await reply(t('status.text', {
+      uptime: bot.getUptime(),
+      connected: bot.isConnected ? '✅' : '❌',
+      waiting: stats.success ? stats.stats.waiting : 'N/A',
+      completed: stats.success ? stats.stats.completed : 'N/A',
+      failed: stats.success ? stats.stats.failed : 'N/A',
+    }));
+  },
+};
@@ -0,0 +1,18 @@
+// Undo a previous block
+module.exports = {
+  name: 'unblock',
+  aliases: ['desbloquear'],
+  description: 'Desbloquea un número',
+  adminOnly: true,
+  args: [
+    { name: 'numero', required: true, description: 'Número a desbloquear, con código de país' },
+  ],
+
+  async execute({ args, bot, t, reply }) {
+    const result = await bot.setContactBlocked(args.numero, false);
+
+    await reply(result.success
+      ? t('admin.unblocked', { number: result.number })
+      : t('admin.unblockError', { number: args.numero, error: result.error || t('admin.rejected') }));
+  },
+};
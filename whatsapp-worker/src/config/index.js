@@ -68,6 +68,7 @@ const config = {
     name: process.env.QUEUE_NAME || 'whatsapp-jobs',
     removeOnComplete: parseInt(process.env.QUEUE_REMOVE_ON_COMPLETE) || 10,
     removeOnFail: parseInt(process.env.QUEUE_REMOVE_ON_FAIL) || 5,
+    scanLimit: parseInt(process.env.QUEUE_SCAN_LIMIT) || 1000, // jobs read per state when searching
   },
 
   // Rate limiting configuration
@@ -79,9 +80,128 @@ const config = {
   // Bot configuration
   bot: {
     prefix: process.env.BOT_PREFIX || '!',
-    adminNumbers: process.env.BOT_ADMIN_NUMBERS?.split(',') || [],
+    adminNumbers: process.env.BOT_ADMIN_NUMBERS?.split(',').map(number => number.trim()).filter(Boolean) || [],
     autoReplyEnabled: process.env.BOT_AUTO_REPLY_ENABLED === 'true',
-    welcomeMessage: process.env.BOT_WELCOME_MESSAGE || '¡Hola! Soy un bot de WhatsApp. Envía !help para ver los comandos disponibles.',
+    welcomeMessage: process.env.BOT_WELCOME_MESSAGE, // optional override of the default locale template
+  },
+
+  // Auto-reply rules configuration
+  autoReply: {
+    rulesFile: process.env.AUTO_REPLY_RULES_FILE || 'rules/auto-reply.yml',
+    mode: process.env.AUTO_REPLY_MODE || 'first', // first | all
+    timezone: process.env.AUTO_REPLY_TIMEZONE || undefined, // host timezone when unset
+    watchInterval: parseInt(process.env.AUTO_REPLY_WATCH_INTERVAL) || 2000,
+    cooldown: parseInt(process.env.AUTO_REPLY_COOLDOWN || 3600), // seconds between replies of the same rule to a chat
+    oncePerConversation: process.env.AUTO_REPLY_ONCE_PER_CONVERSATION !== 'false',
+    conversationTimeout: parseInt(process.env.AUTO_REPLY_CONVERSATION_TIMEOUT) || 43200, // inactivity that ends a conversation
+    operatorSuppression: parseInt(process.env.AUTO_REPLY_OPERATOR_SUPPRESSION || 1800), // silence after a human reply
+  },
+
+  // Business hours configuration
+  businessHours: {
+    enabled: process.env.BUSINESS_HOURS_ENABLED === 'true',
+    timezone: process.env.BUSINESS_HOURS_TIMEZONE || undefined, // host timezone when unset
+    schedule: process.env.BUSINESS_HOURS_SCHEDULE || 'mon-fri 09:00-18:00',
+    holidaysFile: process.env.BUSINESS_HOURS_HOLIDAYS_FILE,
+  },
+
+  // Scheduled and recurring messages; wall-clock times and cron expressions without a timezone use this one
+  scheduler: {
+    timezone: process.env.SCHEDULE_TIMEZONE || process.env.BUSINESS_HOURS_TIMEZONE || undefined, // host timezone when unset
+  },
+
+  // Outbound throttling shared by every send path; sends over the budget are delayed on the queue
+  throttle: {
+    enabled: process.env.THROTTLE_ENABLED !== 'false',
+    messagesPerMinute: parseInt(process.env.THROTTLE_MESSAGES_PER_MINUTE || 20), // whole number, 0 disables
+    recipientInterval: parseInt(process.env.THROTTLE_RECIPIENT_INTERVAL || 5), // seconds between messages to the same chat
+    jitter: parseInt(process.env.THROTTLE_JITTER || 1500), // ms, random pause added before each send and to each delay
+    newContactsPerDay: parseInt(process.env.THROTTLE_NEW_CONTACTS_PER_DAY || 50), // contacts messaged for the first time
+    timezone: process.env.THROTTLE_TIMEZONE || process.env.BUSINESS_HOURS_TIMEZONE || undefined, // day boundary of the daily cap
+  },
+
+  // Broadcast campaigns; recipients are queued in batches, each batch spread over the interval
+  campaigns: {
+    maxRecipients: parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000,
+    batchSize: parseInt(process.env.CAMPAIGN_BATCH_SIZE || process.env.THROTTLE_MESSAGES_PER_MINUTE) || 20, // recipients per batch
+    batchInterval: parseInt(process.env.CAMPAIGN_BATCH_INTERVAL) || 60, // seconds between batches
+  },
+
+  // Sent message lookup (edit/delete through the API)
+  messages: {
+    idTtl: parseInt(process.env.MESSAGE_ID_TTL) || 7 * 24 * 60 * 60, // seconds to remember sent message ids
+  },
+
+  // Outgoing media (URL, base64, upload or a file of the media directory)
+  media: {
+    directory: process.env.MEDIA_DIR || 'media', // only local files under this directory can be sent
+    maxSize: parseInt(process.env.MEDIA_MAX_SIZE) || 16 * 1024 * 1024, // bytes
+    downloadTimeout: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT) || 30000, // ms for the whole download
+    // URL downloads never reach private or loopback addresses; when set, only these hosts (and subdomains)
+    allowedHosts: (process.env.MEDIA_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  },
+
+  // Conversion of outgoing media (convert option of send-media)
+  mediaConversion: {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    timeout: parseInt(process.env.MEDIA_CONVERSION_TIMEOUT) || 120000, // ms per ffmpeg run
+    maxImageDimension: parseInt(process.env.MEDIA_MAX_IMAGE_DIMENSION) || 1600, // px, larger images are resized
+    maxImageSize: parseInt(process.env.MEDIA_MAX_IMAGE_SIZE) || 1024 * 1024, // bytes, larger images are recompressed
+    maxVideoDimension: parseInt(process.env.MEDIA_MAX_VIDEO_DIMENSION) || 1280, // px
+    jpegQuality: parseInt(process.env.MEDIA_JPEG_QUALITY) || 80,
+    stickerQuality: parseInt(process.env.MEDIA_STICKER_QUALITY) || 80,
+  },
+
+  // Storage of received media; jobs and events carry a signed download URL instead of the file
+  mediaStorage: {
+    driver: process.env.MEDIA_STORAGE_DRIVER || 'local', // local | s3
+    directory: process.env.MEDIA_STORAGE_DIR || 'storage/media', // local driver only
+    publicUrl: process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`,
+    urlTtl: parseInt(process.env.MEDIA_URL_TTL) || 24 * 60 * 60, // seconds a download URL stays valid
+    urlSecret: process.env.MEDIA_URL_SECRET || process.env.API_SECRET_KEY,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || 'media/',
+    },
+  },
+
+  // Group moderation configuration
+  moderation: {
+    enabled: process.env.MODERATION_ENABLED === 'true',
+    policiesFile: process.env.MODERATION_POLICIES_FILE || 'rules/moderation.yml',
+    watchInterval: parseInt(process.env.MODERATION_WATCH_INTERVAL) || 2000,
+  },
+
+  // Group welcome/farewell templates
+  groupGreetings: {
+    file: process.env.GROUP_GREETINGS_FILE || 'rules/group-greetings.yml',
+    batchWindow: parseInt(process.env.GROUP_GREETINGS_BATCH_WINDOW || 10), // seconds to gather joins into one message
+    watchInterval: parseInt(process.env.GROUP_GREETINGS_WATCH_INTERVAL) || 2000,
+  },
+
+  // Opt-in/opt-out consent configuration
+  consent: {
+    mode: process.env.CONSENT_MODE || 'opt-out', // opt-out: send unless opted out | opt-in: send only after opting in
+    // Extra keywords on top of the ones defined in each locale catalog
+    // Accepted from every contact whatever their language; the catalogs add the words of each language
+    optOutKeywords: (process.env.CONSENT_OPT_OUT_KEYWORDS ?? 'stop').split(',').map(k => k.trim()).filter(Boolean),
+    optInKeywords: (process.env.CONSENT_OPT_IN_KEYWORDS ?? 'start').split(',').map(k => k.trim()).filter(Boolean),
+  },
+
+  // Localization configuration
+  i18n: {
+    defaultLocale: process.env.BOT_DEFAULT_LOCALE || 'es',
+  },
+
+  // Conversational flows configuration
+  flows: {
+    sessionTtl: parseInt(process.env.FLOW_SESSION_TTL) || 1800, // seconds
+    cancelKeywords: process.env.FLOW_CANCEL_KEYWORDS?.split(',').map(word => word.trim().toLowerCase()) || ['cancelar', 'salir'],
   },
 };
 
@@ -0,0 +1,33 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Collects name and email, then asks for confirmation before delivering
+module.exports = {
+  name: 'contacto',
+  description: 'Registra nombre y correo del contacto',
+  initial: 'nombre',
+  timeout: 900, // seconds
+
+  steps: {
+    nombre: {
+      prompt: '👤 ¿Cuál es tu nombre?',
+      validate: input => input.length >= 2 || '❌ El nombre debe tener al menos 2 caracteres.',
+      next: 'email',
+    },
+    email: {
+      prompt: answers => `Gracias, ${answers.nombre}. 📧 ¿Cuál es tu correo electrónico?`,
+      validate: EMAIL_REGEX,
+      errorMessage: '❌ El correo no parece válido.',
+      transform: input => input.toLowerCase(),
+      timeout: 300,
+      next: 'confirmar',
+    },
+    confirmar: {
+      prompt: answers => `¿Son correctos estos datos? (si/no)\n\n👤 ${answers.nombre}\n📧 ${answers.email}`,
+      choices: ['si', 'no'],
+      next: value => (value === 'si' ? null : 'nombre'),
+    },
+  },
+
+  onComplete: { type: 'webservice', jobType: 'process-contact-form' },
+  completeMessage: answers => `✅ ¡Gracias, ${answers.nombre}! Te contactaremos pronto.`,
+};
@@ -1,12 +1,21 @@
 const logger = require('../utils/logger');
 const webserviceClient = require('../services/webserviceClient');
 const queueService = require('../services/queueService');
+const commandRegistry = require('../services/commandRegistry');
+const flowEngine = require('../services/flowEngine');
+const i18n = require('../services/i18n');
+const autoReplyEngine = require('../services/autoReplyEngine');
+const businessHours = require('../services/businessHours');
+const autoReplyGuard = require('../services/autoReplyGuard');
 const config = require('../config');
 
 class MessageHandler {
   constructor() {
     this.handlers = new Map();
     this.setupHandlers();
+    flowEngine.loadFlows();
+    autoReplyEngine.loadRules();
+    autoReplyEngine.watch();
   }
 
   // Setup message type handlers
@@ -19,8 +28,8 @@ class MessageHandler {
     this.handlers.set('document', this.handleDocumentMessage.bind(this));
     this.handlers.set('sticker', this.handleStickerMessage.bind(this));
     this.handlers.set('location', this.handleLocationMessage.bind(this));
-    this.handlers.set('contact_card', this.handleContactMessage.bind(this));
-    this.handlers.set('contact_card_multi', this.handleMultiContactMessage.bind(this));
+    this.handlers.set('vcard', this.handleContactMessage.bind(this));
+    this.handlers.set('multi_vcard', this.handleMultiContactMessage.bind(this));
     this.handlers.set('revoked', this.handleRevokedMessage.bind(this));
     this.handlers.set('group_invite', this.handleGroupInviteMessage.bind(this));
     this.handlers.set('poll_creation', this.handlePollMessage.bind(this));
@@ -40,6 +49,11 @@ class MessageHandler {
       
       // Process the message
       const result = await handler(messageData);
+
+      // Auto-reply if configured (commands, flow answers and consent keywords already got their reply)
+      if (config.bot.autoReplyEnabled && result.success && !['command', 'flow', 'consent'].includes(result.type)) {
+        result.autoReplies = await this.handleAutoReply(messageData);
+      }
       
       // Log result to webservice
       await webserviceClient.logWhatsAppEvent('message_processed', {
@@ -72,6 +86,23 @@ class MessageHandler {
         return await this.handleCommandMessage(messageData);
       }
 
+      // Consent keywords are answered by the bot as soon as they arrive (an opt-out also ends the flow)
+      if (messageData.consentKeyword) {
+        return {
+          success: true,
+          type: 'consent',
+          processed: true,
+          keyword: messageData.consentKeyword,
+        };
+      }
+
+      // Continue an active conversational flow
+      const flowResult = await flowEngine.handleMessage(messageData);
+
+      if (flowResult.handled) {
+        return await this.handleFlowReply(messageData, flowResult);
+      }
+
       // Check for keywords or patterns
       const keywords = await this.extractKeywords(messageData.body);
       
@@ -85,11 +116,6 @@ class MessageHandler {
         chatId: messageData.chatId,
       });
 
-      // Auto-reply if configured
-      if (config.bot.autoReplyEnabled && this.shouldAutoReply(messageData)) {
-        await this.sendAutoReply(messageData);
-      }
-
       return {
         success: true,
         type: 'text',
@@ -338,13 +364,18 @@ class MessageHandler {
       messageId: messageData.messageId,
     });
 
+    if (!messageData.location) {
+      logger.warn(`Location message ${messageData.messageId} without coordinates`);
+    }
+
     try {
-      // Extract location data if available
       const locationData = {
         messageId: messageData.messageId,
         from: messageData.from,
+        chatId: messageData.chatId,
         isGroup: messageData.isGroup,
-        // Location coordinates would be extracted from the actual message object
+        timestamp: messageData.timestamp,
+        ...messageData.location,
       };
 
       // Process with webservice
@@ -376,7 +407,9 @@ class MessageHandler {
       const result = await webserviceClient.queueJob('process-contact-message', {
         messageId: messageData.messageId,
         from: messageData.from,
+        chatId: messageData.chatId,
         isGroup: messageData.isGroup,
+        contact: messageData.contacts?.[0] || null,
       });
 
       return {
@@ -405,7 +438,9 @@ class MessageHandler {
       const result = await webserviceClient.queueJob('process-multi-contact-message', {
         messageId: messageData.messageId,
         from: messageData.from,
+        chatId: messageData.chatId,
         isGroup: messageData.isGroup,
+        contacts: messageData.contacts || [],
       });
 
       return {
@@ -545,8 +580,7 @@ class MessageHandler {
 
   // Command message handler
   async handleCommandMessage(messageData) {
-    const command = messageData.body.slice(config.bot.prefix.length).split(' ')[0].toLowerCase();
-    const args = messageData.body.slice(config.bot.prefix.length).split(' ').slice(1);
+    const { command, args } = commandRegistry.parse(messageData.body);
 
     logger.bot(`Processing command: ${command}`, {
       messageId: messageData.messageId,
@@ -580,6 +614,28 @@ class MessageHandler {
     }
   }
 
+  // Send the flow's reply and report the step outcome
+  async handleFlowReply(messageData, flowResult) {
+    if (flowResult.reply) {
+      await queueService.addSendMessageJob({
+        to: messageData.chatId,
+        message: flowResult.reply,
+        originalMessageId: messageData.messageId,
+      });
+    }
+
+    return {
+      success: true,
+      type: 'flow',
+      processed: true,
+      flow: flowResult.flow,
+      step: flowResult.step,
+      completed: !!flowResult.completed,
+      cancelled: !!flowResult.cancelled,
+      expired: !!flowResult.expired,
+    };
+  }
+
   // Utility methods
   async extractKeywords(text) {
     if (!text) return [];
@@ -604,13 +660,68 @@ class MessageHandler {
     return true;
   }
 
+  // Reply with the matching rules, or with the welcome message when none match.
+  // Every reply goes through the guard (cooldowns, once per conversation, operator activity).
+  async handleAutoReply(messageData) {
+    try {
+      const business = await businessHours.getState();
+      const matches = autoReplyEngine.match(messageData, { businessState: business.state });
+
+      if (matches.length === 0) {
+        if (messageData.type === 'chat' && this.shouldAutoReply(messageData)
+          && await autoReplyGuard.acquire(messageData.chatId, 'welcome')) {
+          await this.sendAutoReply(messageData);
+          return ['welcome'];
+        }
+        return [];
+      }
+
+      const allowed = [];
+      for (const match of matches) {
+        if (await autoReplyGuard.acquire(messageData.chatId, match.rule.id, match.rule)) {
+          allowed.push(match);
+        }
+      }
+
+      if (allowed.length === 0) return [];
+
+      const locale = await i18n.getContactLocale(messageData.from);
+
+      for (const match of allowed) {
+        const reply = autoReplyEngine.renderReply(match, messageData, locale);
+
+        await queueService.addJob(config.queue.name, 'send-auto-reply', {
+          to: messageData.chatId,
+          originalMessageId: messageData.messageId,
+          ruleId: reply.ruleId,
+          message: reply.text,
+          media: reply.media,
+          caption: reply.caption,
+          locale,
+        });
+      }
+
+      logger.bot(`Auto-reply rules matched: ${allowed.map(match => match.rule.id).join(', ')}`, {
+        messageId: messageData.messageId,
+      });
+
+      return allowed.map(match => match.rule.id);
+    } catch (error) {
+      logger.error('Error evaluating auto-reply rules:', error);
+      return [];
+    }
+  }
+
   async sendAutoReply(messageData) {
     try {
+      const locale = await i18n.getContactLocale(messageData.from);
+
       // Queue auto-reply job
       await queueService.addJob(config.queue.name, 'send-auto-reply', {
         to: messageData.from,
         originalMessageId: messageData.messageId,
-        message: config.bot.welcomeMessage,
+        message: await businessHours.getReplyText(locale, { name: messageData.fromName || messageData.from }),
+        locale,
       });
 
       logger.bot('Auto-reply queued', { messageId: messageData.messageId });
@@ -0,0 +1,136 @@
+// English message catalog
+module.exports = {
+  welcome: 'Hi! I am a WhatsApp bot. Send {{prefix}}help to see the available commands.',
+
+  common: {
+    unknownCommand: '❌ Unknown command: {{command}}\nSend {{prefix}}help to see the available commands.',
+    commandError: '❌ Error processing the command. Please try again later.',
+    unauthorized: '⛔ You are not allowed to run this command.',
+    usage: 'Usage: {{usage}}',
+  },
+
+  args: {
+    missing: 'Missing required argument: {{name}}',
+    notNumber: 'Argument {{name}} must be a number',
+    invalidChoice: 'Invalid value for {{name}}. Options: {{choices}}',
+  },
+
+  help: {
+    title: '🤖 *WhatsApp Bot - Available Commands*',
+    footer: 'Send {{prefix}}help <command> to see the details of a command.',
+    aliases: 'Aliases: {{aliases}}',
+    arguments: 'Arguments:',
+    required: 'required',
+    optional: 'optional',
+  },
+
+  status: {
+    text: '🔄 *Bot Status*\n\n✅ Status: Active\n⏰ Uptime: {{uptime}}\n📱 Connected to WhatsApp: {{connected}}\n📊 Queued jobs: {{waiting}}\n📈 Processed jobs: {{completed}}\n❌ Failed jobs: {{failed}}',
+  },
+
+  info: {
+    text: 'ℹ️ *Message Information*\n\n👤 From: {{from}}\n💬 Chat: {{chat}}\n📅 Date: {{date}}\n🆔 Message ID: {{messageId}}\n📱 Type: {{type}}',
+    group: 'Group: {{name}}',
+    private: 'Private chat',
+  },
+
+  ping: {
+    pong: '🏓 Pong!',
+  },
+
+  businessHours: {
+    inHours: '{{welcome}}',
+    outOfHours: '🌙 Hi, we are currently outside business hours. We will get back to you from {{nextOpening}}.',
+    holiday: '🎉 We are closed today for {{holiday}}. We will get back to you from {{nextOpening}}.',
+  },
+
+  consent: {
+    optOutKeywords: ['stop', 'unsubscribe', 'opt out', 'optout'],
+    optInKeywords: ['start', 'subscribe', 'opt in', 'optin'],
+    optedOut: '🔕 Done, you will not receive any more messages. Reply START to receive them again.',
+    optedIn: '🔔 Done! You will receive our messages again. Reply STOP to unsubscribe.',
+  },
+
+  group: {
+    welcome: '👋 Welcome {{mentions}} to *{{group}}*! We are now {{count}} members.\n\n{{welcome}}',
+    farewell: '👋 {{names}} left the group. We are {{count}} members now.',
+  },
+
+  moderation: {
+    warning: '⚠️ @{{mention}}, {{reason}}. Warning {{count}} of {{max}}.',
+    removed: '🚫 @{{mention}} was removed from the group for breaking the rules.',
+    reasons: {
+      inviteLink: 'invite links to other groups are not allowed',
+      url: 'links are not allowed in this group',
+      bannedWord: 'please watch your language',
+      flood: 'you are sending too many messages',
+      media: 'this type of content is not allowed in the group',
+    },
+  },
+
+  lang: {
+    current: '🌐 Current language: {{language}}\nAvailable: {{available}}',
+    changed: '✅ Language changed to {{language}}',
+  },
+
+  queue: {
+    text: '📊 *Queue {{name}}*\n\n⏳ Waiting: {{waiting}}\n⚙️ Active: {{active}}\n🕒 Delayed: {{delayed}}\n✅ Completed: {{completed}}\n❌ Failed: {{failed}}\n📦 Total: {{total}}',
+    statsError: '❌ Could not get the statistics: {{error}}',
+    paused: '⏸️ Queue paused',
+    pauseError: '❌ Could not pause the queue: {{error}}',
+    resumed: '▶️ Queue resumed',
+    resumeError: '❌ Could not resume the queue: {{error}}',
+  },
+
+  admin: {
+    broadcastDone: '📢 Broadcast sent: {{sent}}/{{total}} (failed: {{failed}})',
+    broadcastError: '❌ Could not send the broadcast: {{error}}',
+    blocked: '🚫 Number {{number}} blocked',
+    blockError: '❌ Could not block {{number}}: {{error}}',
+    unblocked: '✅ Number {{number}} unblocked',
+    unblockError: '❌ Could not unblock {{number}}: {{error}}',
+    rejected: 'operation rejected',
+    reloaded: {
+      one: '🔄 {{count}} command reloaded',
+      other: '🔄 {{count}} commands reloaded',
+    },
+  },
+
+  flow: {
+    list: '🧭 *Available flows*\n\n{{flows}}\n\nSend {{prefix}}flow <name> to start.',
+    startError: '❌ Could not start the flow: {{error}}',
+    cancelled: '❎ Conversation cancelled.',
+    noActive: 'ℹ️ There is no conversation in progress.',
+    expired: '⌛ The conversation expired. Start again whenever you like.',
+    completed: '✅ Thank you! We have received your information.',
+    invalidInput: '❌ Invalid answer.',
+    invalidChoice: '❌ Please answer with one of these options: {{choices}}',
+  },
+
+  commands: {
+    help: { description: 'Shows this help', args: { comando: 'Command to show the details of' } },
+    status: { description: 'Bot status' },
+    ping: { description: 'Connectivity check' },
+    info: { description: 'Message information' },
+    lang: { description: 'Shows or changes your language', args: { idioma: 'Language code (es, en, pt)' } },
+    flow: { description: 'Starts a guided conversation', args: { nombre: 'Flow to start; lists the available ones when omitted' } },
+    cancel: { description: 'Cancels the guided conversation in progress' },
+    broadcast: {
+      description: 'Sends a message to every group or private chat',
+      args: { destino: 'groups or chats', mensaje: 'Text to send' },
+      choices: { destino: { grupos: 'groups', chats: 'chats' } },
+    },
+    pause: { description: 'Pauses queue processing' },
+    resume: { description: 'Resumes queue processing' },
+    queue: { description: 'Detailed queue statistics' },
+    block: { description: 'Blocks a number', args: { numero: 'Number to block, with country code' } },
+    unblock: { description: 'Unblocks a number', args: { numero: 'Number to unblock, with country code' } },
+    reload: { description: 'Reloads the bot commands' },
+  },
+
+  languages: {
+    es: 'Español',
+    en: 'English',
+    pt: 'Português',
+  },
+};
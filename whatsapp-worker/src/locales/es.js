@@ -0,0 +1,135 @@
+// Spanish message catalog (default locale)
+module.exports = {
+  welcome: '¡Hola! Soy un bot de WhatsApp. Envía {{prefix}}help para ver los comandos disponibles.',
+
+  common: {
+    unknownCommand: '❌ Comando desconocido: {{command}}\nEnvía {{prefix}}help para ver los comandos disponibles.',
+    commandError: '❌ Error procesando el comando. Intenta de nuevo más tarde.',
+    unauthorized: '⛔ No tienes permisos para ejecutar este comando.',
+    usage: 'Uso: {{usage}}',
+  },
+
+  args: {
+    missing: 'Falta el argumento requerido: {{name}}',
+    notNumber: 'El argumento {{name}} debe ser un número',
+    invalidChoice: 'Valor inválido para {{name}}. Opciones: {{choices}}',
+  },
+
+  help: {
+    title: '🤖 *Bot de WhatsApp - Comandos Disponibles*',
+    footer: 'Envía {{prefix}}help <comando> para ver los detalles de un comando.',
+    aliases: 'Alias: {{aliases}}',
+    arguments: 'Argumentos:',
+    required: 'requerido',
+    optional: 'opcional',
+  },
+
+  status: {
+    text: '🔄 *Estado del Bot*\n\n✅ Estado: Activo\n⏰ Tiempo activo: {{uptime}}\n📱 Conectado a WhatsApp: {{connected}}\n📊 Trabajos en cola: {{waiting}}\n📈 Trabajos procesados: {{completed}}\n❌ Trabajos fallidos: {{failed}}',
+  },
+
+  info: {
+    text: 'ℹ️ *Información del Mensaje*\n\n👤 De: {{from}}\n💬 Chat: {{chat}}\n📅 Fecha: {{date}}\n🆔 ID del mensaje: {{messageId}}\n📱 Tipo: {{type}}',
+    group: 'Grupo: {{name}}',
+    private: 'Chat privado',
+  },
+
+  ping: {
+    pong: '🏓 Pong!',
+  },
+
+  businessHours: {
+    inHours: '{{welcome}}',
+    outOfHours: '🌙 Hola, en este momento estamos fuera de horario. Te responderemos a partir del {{nextOpening}}.',
+    holiday: '🎉 Hoy no atendemos por {{holiday}}. Te responderemos a partir del {{nextOpening}}.',
+  },
+
+  consent: {
+    optOutKeywords: ['baja', 'stop', 'cancelar suscripcion', 'no mas mensajes'],
+    optInKeywords: ['alta', 'start', 'suscribir'],
+    optedOut: '🔕 Listo, no te enviaremos más mensajes. Escribe ALTA si quieres volver a recibirlos.',
+    optedIn: '🔔 ¡Listo! Volverás a recibir nuestros mensajes. Escribe BAJA para dejar de recibirlos.',
+  },
+
+  group: {
+    welcome: '👋 ¡Bienvenido/a {{mentions}} a *{{group}}*! Ya somos {{count}} miembros.\n\n{{welcome}}',
+    farewell: '👋 {{names}} salió del grupo. Quedamos {{count}} miembros.',
+  },
+
+  moderation: {
+    warning: '⚠️ @{{mention}}, {{reason}}. Advertencia {{count}} de {{max}}.',
+    removed: '🚫 @{{mention}} fue eliminado del grupo por incumplir las reglas.',
+    reasons: {
+      inviteLink: 'no se permiten enlaces de invitación a otros grupos',
+      url: 'no se permiten enlaces en este grupo',
+      bannedWord: 'cuida tu lenguaje',
+      flood: 'estás enviando demasiados mensajes',
+      media: 'no se permite este tipo de contenido en el grupo',
+    },
+  },
+
+  lang: {
+    current: '🌐 Idioma actual: {{language}}\nDisponibles: {{available}}',
+    changed: '✅ Idioma cambiado a {{language}}',
+  },
+
+  queue: {
+    text: '📊 *Cola {{name}}*\n\n⏳ En espera: {{waiting}}\n⚙️ Activos: {{active}}\n🕒 Programados: {{delayed}}\n✅ Completados: {{completed}}\n❌ Fallidos: {{failed}}\n📦 Total: {{total}}',
+    statsError: '❌ No se pudieron obtener las estadísticas: {{error}}',
+    paused: '⏸️ Cola pausada',
+    pauseError: '❌ No se pudo pausar la cola: {{error}}',
+    resumed: '▶️ Cola reanudada',
+    resumeError: '❌ No se pudo reanudar la cola: {{error}}',
+  },
+
+  admin: {
+    broadcastDone: '📢 Difusión enviada: {{sent}}/{{total}} (fallidos: {{failed}})',
+    broadcastError: '❌ No se pudo enviar la difusión: {{error}}',
+    blocked: '🚫 Número {{number}} bloqueado',
+    blockError: '❌ No se pudo bloquear {{number}}: {{error}}',
+    unblocked: '✅ Número {{number}} desbloqueado',
+    unblockError: '❌ No se pudo desbloquear {{number}}: {{error}}',
+    rejected: 'operación rechazada',
+    reloaded: {
+      one: '🔄 {{count}} comando recargado',
+      other: '🔄 {{count}} comandos recargados',
+    },
+  },
+
+  flow: {
+    list: '🧭 *Flujos disponibles*\n\n{{flows}}\n\nEnvía {{prefix}}flow <nombre> para empezar.',
+    startError: '❌ No se pudo iniciar el flujo: {{error}}',
+    cancelled: '❎ Conversación cancelada.',
+    noActive: 'ℹ️ No hay ninguna conversación en curso.',
+    expired: '⌛ La conversación expiró. Vuelve a empezar cuando quieras.',
+    completed: '✅ ¡Gracias! Hemos recibido tu información.',
+    invalidInput: '❌ Respuesta no válida.',
+    invalidChoice: '❌ Responde con una de estas opciones: {{choices}}',
+  },
+
+  commands: {
+    help: { description: 'Muestra esta ayuda', args: { comando: 'Comando del que mostrar los detalles' } },
+    status: { description: 'Estado del bot' },
+    ping: { description: 'Prueba de conectividad' },
+    info: { description: 'Información del mensaje' },
+    lang: { description: 'Consulta o cambia tu idioma', args: { idioma: 'Código de idioma (es, en, pt)' } },
+    flow: { description: 'Inicia una conversación guiada', args: { nombre: 'Flujo a iniciar; sin nombre lista los disponibles' } },
+    cancel: { description: 'Cancela la conversación guiada en curso' },
+    broadcast: {
+      description: 'Envía un mensaje a todos los grupos o chats privados',
+      args: { destino: 'grupos o chats', mensaje: 'Texto a enviar' },
+    },
+    pause: { description: 'Pausa el procesamiento de la cola' },
+    resume: { description: 'Reanuda el procesamiento de la cola' },
+    queue: { description: 'Estadísticas detalladas de la cola' },
+    block: { description: 'Bloquea un número', args: { numero: 'Número a bloquear, con código de país' } },
+    unblock: { description: 'Desbloquea un número', args: { numero: 'Número a desbloquear, con código de país' } },
+    reload: { description: 'Recarga los comandos del bot' },
+  },
+
+  languages: {
+    es: 'Español',
+    en: 'English',
+    pt: 'Português',
+  },
+};
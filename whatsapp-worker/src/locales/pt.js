@@ -0,0 +1,135 @@
+// Portuguese message catalog
+module.exports = {
+  welcome: 'Olá! Sou um bot do WhatsApp. Envie {{prefix}}help para ver os comandos disponíveis.',
+
+  common: {
+    unknownCommand: '❌ Comando desconhecido: {{command}}\nEnvie {{prefix}}help para ver os comandos disponíveis.',
+    commandError: '❌ Erro ao processar o comando. Tente novamente mais tarde.',
+    unauthorized: '⛔ Você não tem permissão para executar este comando.',
+    usage: 'Uso: {{usage}}',
+  },
+
+  args: {
+    missing: 'Falta o argumento obrigatório: {{name}}',
+    notNumber: 'O argumento {{name}} deve ser um número',
+    invalidChoice: 'Valor inválido para {{name}}. Opções: {{choices}}',
+  },
+
+  help: {
+    title: '🤖 *Bot do WhatsApp - Comandos Disponíveis*',
+    footer: 'Envie {{prefix}}help <comando> para ver os detalhes de um comando.',
+    aliases: 'Atalhos: {{aliases}}',
+    arguments: 'Argumentos:',
+    required: 'obrigatório',
+    optional: 'opcional',
+  },
+
+  status: {
+    text: '🔄 *Status do Bot*\n\n✅ Status: Ativo\n⏰ Tempo ativo: {{uptime}}\n📱 Conectado ao WhatsApp: {{connected}}\n📊 Trabalhos na fila: {{waiting}}\n📈 Trabalhos processados: {{completed}}\n❌ Trabalhos com falha: {{failed}}',
+  },
+
+  info: {
+    text: 'ℹ️ *Informações da Mensagem*\n\n👤 De: {{from}}\n💬 Chat: {{chat}}\n📅 Data: {{date}}\n🆔 ID da mensagem: {{messageId}}\n📱 Tipo: {{type}}',
+    group: 'Grupo: {{name}}',
+    private: 'Chat privado',
+  },
+
+  ping: {
+    pong: '🏓 Pong!',
+  },
+
+  businessHours: {
+    inHours: '{{welcome}}',
+    outOfHours: '🌙 Olá, no momento estamos fora do horário de atendimento. Responderemos a partir de {{nextOpening}}.',
+    holiday: '🎉 Hoje não atendemos por {{holiday}}. Responderemos a partir de {{nextOpening}}.',
+  },
+
+  consent: {
+    optOutKeywords: ['sair', 'parar', 'stop', 'cancelar inscricao'],
+    optInKeywords: ['voltar', 'start', 'inscrever'],
+    optedOut: '🔕 Pronto, você não receberá mais mensagens. Envie VOLTAR para recebê-las novamente.',
+    optedIn: '🔔 Pronto! Você voltará a receber nossas mensagens. Envie SAIR para não recebê-las mais.',
+  },
+
+  group: {
+    welcome: '👋 Boas-vindas {{mentions}} ao *{{group}}*! Agora somos {{count}} membros.\n\n{{welcome}}',
+    farewell: '👋 {{names}} saiu do grupo. Agora somos {{count}} membros.',
+  },
+
+  moderation: {
+    warning: '⚠️ @{{mention}}, {{reason}}. Aviso {{count}} de {{max}}.',
+    removed: '🚫 @{{mention}} foi removido do grupo por descumprir as regras.',
+    reasons: {
+      inviteLink: 'não são permitidos links de convite para outros grupos',
+      url: 'não são permitidos links neste grupo',
+      bannedWord: 'cuidado com a linguagem',
+      flood: 'você está enviando mensagens demais',
+      media: 'este tipo de conteúdo não é permitido no grupo',
+    },
+  },
+
+  lang: {
+    current: '🌐 Idioma atual: {{language}}\nDisponíveis: {{available}}',
+    changed: '✅ Idioma alterado para {{language}}',
+  },
+
+  queue: {
+    text: '📊 *Fila {{name}}*\n\n⏳ Aguardando: {{waiting}}\n⚙️ Ativos: {{active}}\n🕒 Agendados: {{delayed}}\n✅ Concluídos: {{completed}}\n❌ Com falha: {{failed}}\n📦 Total: {{total}}',
+    statsError: '❌ Não foi possível obter as estatísticas: {{error}}',
+    paused: '⏸️ Fila pausada',
+    pauseError: '❌ Não foi possível pausar a fila: {{error}}',
+    resumed: '▶️ Fila retomada',
+    resumeError: '❌ Não foi possível retomar a fila: {{error}}',
+  },
+
+  admin: {
+    broadcastDone: '📢 Transmissão enviada: {{sent}}/{{total}} (falhas: {{failed}})',
+    broadcastError: '❌ Não foi possível enviar a transmissão: {{error}}',
+    blocked: '🚫 Número {{number}} bloqueado',
+    blockError: '❌ Não foi possível bloquear {{number}}: {{error}}',
+    unblocked: '✅ Número {{number}} desbloqueado',
+    unblockError: '❌ Não foi possível desbloquear {{number}}: {{error}}',
+    rejected: 'operação recusada',
+    reloaded: {
+      one: '🔄 {{count}} comando recarregado',
+      other: '🔄 {{count}} comandos recarregados',
+    },
+  },
+
+  flow: {
+    list: '🧭 *Fluxos disponíveis*\n\n{{flows}}\n\nEnvie {{prefix}}flow <nome> para começar.',
+    startError: '❌ Não foi possível iniciar o fluxo: {{error}}',
+    cancelled: '❎ Conversa cancelada.',
+    noActive: 'ℹ️ Não há nenhuma conversa em andamento.',
+    expired: '⌛ A conversa expirou. Comece de novo quando quiser.',
+    completed: '✅ Obrigado! Recebemos suas informações.',
+    invalidInput: '❌ Resposta inválida.',
+    invalidChoice: '❌ Responda com uma destas opções: {{choices}}',
+  },
+
+  commands: {
+    help: { description: 'Mostra esta ajuda', args: { comando: 'Comando do qual mostrar os detalhes' } },
+    status: { description: 'Status do bot' },
+    ping: { description: 'Teste de conectividade' },
+    info: { description: 'Informações da mensagem' },
+    lang: { description: 'Consulta ou altera seu idioma', args: { idioma: 'Código do idioma (es, en, pt)' } },
+    flow: { description: 'Inicia uma conversa guiada', args: { nombre: 'Fluxo a iniciar; sem nome lista os disponíveis' } },
+    cancel: { description: 'Cancela a conversa guiada em andamento' },
+    broadcast: {
+      description: 'Envia uma mensagem para todos os grupos ou chats privados',
+      args: { destino: 'grupos ou chats', mensaje: 'Texto a enviar' },
+    },
+    pause: { description: 'Pausa o processamento da fila' },
+    resume: { description: 'Retoma o processamento da fila' },
+    queue: { description: 'Estatísticas detalhadas da fila' },
+    block: { description: 'Bloqueia um número', args: { numero: 'Número a bloquear, com código do país' } },
+    unblock: { description: 'Desbloqueia um número', args: { numero: 'Número a desbloquear, com código do país' } },
+    reload: { description: 'Recarrega os comandos do bot' },
+  },
+
+  languages: {
+    es: 'Español',
+    en: 'English',
+    pt: 'Português',
+  },
+};
@@ -4,12 +4,34 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const config = require('../config');
 const logger = require('../utils/logger');
 const whatsappBot = require('./whatsappBot');
 const queueService = require('./queueService');
 const webserviceClient = require('./webserviceClient');
 const messageHandler = require('../handlers/messageHandler');
+const commandRegistry = require('./commandRegistry');
+const flowEngine = require('./flowEngine');
+const autoReplyEngine = require('./autoReplyEngine');
+const businessHours = require('./businessHours');
+const autoReplyGuard = require('./autoReplyGuard');
+const consentService = require('./consentService');
+const moderationService = require('./moderationService');
+const groupGreetings = require('./groupGreetings');
+const pollService = require('./pollService');
+const messageStore = require('./messageStore');
+const mediaService = require('./mediaService');
+const mediaStorage = require('./mediaStorage');
+const mediaConverter = require('./mediaConverter');
+const deadLetterQueue = require('./deadLetterQueue');
+const scheduleService = require('./scheduleService');
+const campaignService = require('./campaignService');
+const outboundThrottle = require('./outboundThrottle');
+const { toChatId, toGroupId, normalizeNumber } = require('../utils/phone');
+
+// Error code of webhook payloads rejected by validation
+const INVALID_REQUEST = 'INVALID_REQUEST';
 
 class ApiServer {
   constructor() {
@@ -51,66 +73,1207 @@ class ApiServer {
         error: 'Too many requests from this IP, please try again later.',
       },
     });
-    this.app.use('/api/', limiter);
-  }
-
-  // Setup routes
-  setupRoutes() {
-    // Health check
-    this.app.get('/health', (req, res) => {
-      const health = {
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        services: {
-          whatsapp: whatsappBot.isHealthy(),
-          queue: queueService.isHealthy(),
-          webservice: 'connected', // Could add actual health check
-        },
-        memory: process.memoryUsage(),
-        version: '1.0.0',
-      };
+    this.app.use('/api/', limiter);
+  }
+
+  // Setup routes
+  setupRoutes() {
+    // Health check
+    this.app.get('/health', (req, res) => {
+      const health = {
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        services: {
+          whatsapp: whatsappBot.isHealthy(),
+          queue: queueService.isHealthy(),
+          webservice: 'connected', // Could add actual health check
+        },
+        memory: process.memoryUsage(),
+        version: '1.0.0',
+      };
+
+      const overallHealthy = Object.values(health.services).every(service => 
+        service === true || service === 'connected'
+      );
+
+      res.status(overallHealthy ? 200 : 503).json(health);
+    });
+
+    // Status endpoint
+    this.app.get('/api/status', (req, res) => {
+      const clientInfo = whatsappBot.getClientInfo();
+      res.json({
+        status: 'active',
+        whatsapp: clientInfo,
+        queue: queueService.isHealthy(),
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    // Get WhatsApp client info
+    this.app.get('/api/whatsapp/info', (req, res) => {
+      const clientInfo = whatsappBot.getClientInfo();
+      res.json(clientInfo || { status: 'not_ready' });
+    });
+
+    // Send message endpoint
+    this.app.post('/api/whatsapp/send', async (req, res) => {
+      try {
+        const { to, message, options, replyTo, mentions } = req.body;
+
+        if (!to || !message) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: to, message',
+          });
+        }
+
+        const validationError = this.validateSendFields({ replyTo, mentions });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await whatsappBot.sendMessage(to, message, { ...options, replyTo, mentions });
+        res.status(this.getSendStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error sending message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Send media message endpoint: JSON with media (URL, base64 or media directory file)
+    // or multipart/form-data with the file in the "file" field. With convert the media is
+    // converted and sent by a queued job and the response is 202 with the job id.
+    this.app.post('/api/whatsapp/send-media', this.uploadMedia('file'), async (req, res) => {
+      try {
+        const { to, caption, replyTo, convert } = req.body;
+        let { media, options, mentions } = req.body;
+
+        if (req.file) {
+          media = {
+            data: req.file.buffer.toString('base64'),
+            mimetype: req.file.mimetype,
+            filename: req.file.originalname,
+          };
+
+          try {
+            ({ options, mentions } = this.parseMultipartFields({ options, mentions }));
+          } catch (error) {
+            return res.status(400).json({
+              success: false,
+              error: 'options must be valid JSON',
+            });
+          }
+        }
+
+        if (!to || !media) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: to, media (or a file upload)',
+          });
+        }
+
+        const validationError = this.validateSendFields({ replyTo, mentions, convert, media });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        if (convert) {
+          const job = await this.queueMediaConversion({ to, media, caption, options: { ...options, replyTo, mentions, convert } });
+          const status = job.code === mediaService.INVALID_MEDIA ? 400 : 500;
+          return res.status(job.success ? 202 : status).json(job);
+        }
+
+        const result = await whatsappBot.sendMediaMessage(to, media, caption, { ...options, replyTo, mentions });
+        res.status(this.getSendStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error sending media message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/whatsapp/send-location', async (req, res) => {
+      try {
+        const { to, latitude, longitude, name, address, url, replyTo } = req.body;
+
+        if (!to || latitude === undefined || longitude === undefined) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: to, latitude, longitude',
+          });
+        }
+
+        const lat = Number(latitude);
+        const lng = Number(longitude);
+
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+          return res.status(400).json({
+            success: false,
+            error: 'latitude must be between -90 and 90 and longitude between -180 and 180',
+          });
+        }
+
+        const validationError = this.validateSendFields({ replyTo });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await whatsappBot.sendLocation(to, lat, lng, { name, address, url, replyTo });
+        res.status(this.getSendStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error sending location:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Contact cards from structured input: { contacts: [{ name, phones, emails, organization, title }] }
+    this.app.post('/api/whatsapp/send-contact', async (req, res) => {
+      try {
+        const { to, contact, replyTo } = req.body;
+        const contacts = req.body.contacts || (contact ? [contact] : []);
+
+        if (!to || !Array.isArray(contacts) || contacts.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: to, contacts',
+          });
+        }
+
+        const validationError = this.validateContacts(contacts) || this.validateSendFields({ replyTo });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await whatsappBot.sendContacts(to, contacts, { replyTo });
+        res.status(this.getSendStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error sending contact cards:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Sent message endpoints: messageId is the id returned by the send endpoints
+    this.app.get('/api/messages/:messageId', async (req, res) => {
+      try {
+        const message = await messageStore.lookup(req.params.messageId);
+
+        if (!message) {
+          return res.status(404).json({
+            success: false,
+            error: `Message not found: ${req.params.messageId}`,
+          });
+        }
+
+        res.json({ success: true, messageId: req.params.messageId, ...message });
+      } catch (error) {
+        logger.error('Error looking up message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.patch('/api/messages/:messageId', async (req, res) => {
+      try {
+        const { text, chatId } = req.body;
+
+        if (!text) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required field: text',
+          });
+        }
+
+        const result = await whatsappBot.editMessage(req.params.messageId, text, { chatId });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error editing message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/messages/:messageId', async (req, res) => {
+      try {
+        const chatId = req.body?.chatId || req.query.chatId;
+        const everyone = String(req.body?.everyone ?? req.query.everyone ?? true) !== 'false';
+        const result = await whatsappBot.deleteMessage(req.params.messageId, { chatId, everyone });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error deleting message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Message reaction endpoints; messageId is the serialized id, or the short id plus chatId
+    this.app.post('/api/messages/:messageId/reaction', async (req, res) => {
+      try {
+        const { emoji, chatId } = req.body;
+
+        if (!emoji) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required field: emoji',
+          });
+        }
+
+        const result = await whatsappBot.reactToMessage(req.params.messageId, emoji, { chatId });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error reacting to message:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/messages/:messageId/reaction', async (req, res) => {
+      try {
+        const chatId = req.body?.chatId || req.query.chatId;
+        const result = await whatsappBot.reactToMessage(req.params.messageId, '', { chatId });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error removing reaction:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Poll endpoints
+    this.app.post('/api/polls', async (req, res) => {
+      try {
+        const { to, question, options, allowMultipleAnswers } = req.body;
+
+        if (!to || !question || !Array.isArray(options) || options.length < 2) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: to, question, options (at least 2)',
+          });
+        }
+
+        const result = await whatsappBot.sendPoll(to, question, options, { allowMultipleAnswers: !!allowMultipleAnswers });
+        if (!result.success) {
+          return res.status(result.code === consentService.OPTED_OUT ? 403 : 500).json(result);
+        }
+
+        res.status(result.deferred ? 202 : 201).json(result);
+      } catch (error) {
+        logger.error('Error sending poll:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/polls', async (req, res) => {
+      try {
+        const polls = await pollService.listPolls({ chatId: req.query.chatId && toChatId(req.query.chatId) });
+        res.json({
+          success: true,
+          total: polls.length,
+          polls,
+        });
+      } catch (error) {
+        logger.error('Error listing polls:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/polls/:pollId/results', async (req, res) => {
+      try {
+        const results = await pollService.getResults(req.params.pollId);
+
+        if (!results) {
+          return res.status(404).json({
+            success: false,
+            error: `Poll not found: ${req.params.pollId}`,
+          });
+        }
+
+        res.json({ success: true, ...results });
+      } catch (error) {
+        logger.error('Error getting poll results:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/polls/:pollId', async (req, res) => {
+      try {
+        await pollService.deletePoll(req.params.pollId);
+        res.json({ success: true });
+      } catch (error) {
+        logger.error('Error deleting poll:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Group management endpoints
+    this.app.get('/api/groups', async (req, res) => {
+      try {
+        const result = await whatsappBot.listGroups();
+        res.status(result.success ? 200 : 500).json(result);
+      } catch (error) {
+        logger.error('Error listing groups:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/groups', async (req, res) => {
+      try {
+        const { title, participants, options } = req.body;
+
+        if (!title || !Array.isArray(participants)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: title, participants',
+          });
+        }
+
+        const result = await whatsappBot.createGroup(title, participants, options);
+        res.status(result.success ? 201 : 400).json(result);
+      } catch (error) {
+        logger.error('Error creating group:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/groups/:groupId', async (req, res) => {
+      try {
+        const result = await whatsappBot.getGroupInfo(req.params.groupId);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        logger.error('Error getting group info:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.patch('/api/groups/:groupId', async (req, res) => {
+      try {
+        const { subject, description } = req.body;
+        const result = await whatsappBot.updateGroupInfo(req.params.groupId, { subject, description });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error updating group info:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // action: add | remove | promote | demote
+    this.app.post('/api/groups/:groupId/participants/:action', async (req, res) => {
+      try {
+        const { participants } = req.body;
+
+        if (!Array.isArray(participants) || participants.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required field: participants',
+          });
+        }
+
+        const result = await whatsappBot.updateGroupParticipants(req.params.groupId, req.params.action, participants);
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error updating group participants:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.put('/api/groups/:groupId/picture', async (req, res) => {
+      try {
+        const { path: filePath, url, data, mimetype, filename } = req.body;
+
+        if (!filePath && !url && !data) {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide either path, url or data and mimetype',
+          });
+        }
+
+        const result = await whatsappBot.setGroupPicture(req.params.groupId, { path: filePath, url, data, mimetype, filename });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error setting group picture:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/groups/:groupId/picture', async (req, res) => {
+      try {
+        const result = await whatsappBot.setGroupPicture(req.params.groupId, null);
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error removing group picture:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.patch('/api/groups/:groupId/settings', async (req, res) => {
+      try {
+        const result = await whatsappBot.updateGroupSettings(req.params.groupId, req.body || {});
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error updating group settings:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/groups/:groupId/invite', async (req, res) => {
+      try {
+        const result = await whatsappBot.getGroupInviteLink(req.params.groupId);
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error getting group invite link:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/groups/:groupId/invite/revoke', async (req, res) => {
+      try {
+        const result = await whatsappBot.revokeGroupInviteLink(req.params.groupId);
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        logger.error('Error revoking group invite link:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Group welcome/farewell templates
+    this.app.get('/api/group-greetings', (req, res) => {
+      res.json({
+        success: true,
+        ...groupGreetings.getAllSettings(),
+      });
+    });
+
+    this.app.get('/api/group-greetings/:groupId', (req, res) => {
+      res.json({
+        success: true,
+        settings: groupGreetings.getSettings(toGroupId(req.params.groupId)),
+      });
+    });
+
+    this.app.post('/api/group-greetings/reload', (req, res) => {
+      const result = groupGreetings.loadSettings();
+      res.status(result.success ? 200 : 400).json(result);
+    });
+
+    // Queue management endpoints
+    this.app.get('/api/queue/stats', async (req, res) => {
+      try {
+        const stats = await queueService.getQueueStats();
+        res.json(stats);
+      } catch (error) {
+        logger.error('Error getting queue stats:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/queue/pause', async (req, res) => {
+      try {
+        const result = await queueService.pauseQueue();
+        res.json(result);
+      } catch (error) {
+        logger.error('Error pausing queue:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/queue/resume', async (req, res) => {
+      try {
+        const result = await queueService.resumeQueue();
+        res.json(result);
+      } catch (error) {
+        logger.error('Error resuming queue:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/queue/clean', async (req, res) => {
+      try {
+        const result = await queueService.cleanQueue();
+        res.json(result);
+      } catch (error) {
+        logger.error('Error cleaning queue:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Job management endpoints
+    this.app.post('/api/jobs', async (req, res) => {
+      try {
+        const { type, data, options } = req.body;
+
+        if (!type || !data) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing required fields: type, data',
+          });
+        }
+
+        const result = await queueService.addJob(config.queue.name, type, data, options);
+        res.json(result);
+      } catch (error) {
+        logger.error('Error adding job:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Search: ?state=waiting,failed&type=whatsapp-message&since=...&until=...&data.from=521...
+    this.app.get('/api/jobs', async (req, res) => {
+      try {
+        const states = req.query.state ? String(req.query.state).split(',') : queueService.JOB_STATES;
+        const invalidState = states.find(state => !queueService.JOB_STATES.includes(state));
+
+        if (invalidState) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid state: ${invalidState}. Use one of ${queueService.JOB_STATES.join(', ')}`,
+          });
+        }
+
+        const invalidDate = [req.query.since, req.query.until].find(date => date && Number.isNaN(new Date(date).getTime()));
+
+        if (invalidDate) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid date: ${invalidDate}`,
+          });
+        }
+
+        // Payload filters come as data.field=value or data[field]=value
+        const data = {
+          ...(typeof req.query.data === 'object' ? req.query.data : {}),
+          ...Object.fromEntries(Object.entries(req.query)
+            .filter(([key]) => key.startsWith('data.'))
+            .map(([key, value]) => [key.slice('data.'.length), value])),
+        };
+
+        const result = await queueService.listJobs(config.queue.name, {
+          states,
+          type: req.query.type,
+          since: req.query.since,
+          until: req.query.until,
+          data,
+          limit: Math.min(parseInt(req.query.limit) || 50, 500),
+          offset: parseInt(req.query.offset) || 0,
+        });
+
+        res.status(result.success ? 200 : 500).json(result);
+      } catch (error) {
+        logger.error('Error listing jobs:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/jobs/:jobId', async (req, res) => {
+      const result = await queueService.getJobStatus(config.queue.name, req.params.jobId);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+
+    this.app.post('/api/jobs/:jobId/retry', async (req, res) => {
+      const result = await queueService.retryJob(config.queue.name, req.params.jobId);
+      res.status(this.getJobOperationStatus(result)).json(result);
+    });
+
+    this.app.post('/api/jobs/:jobId/promote', async (req, res) => {
+      const result = await queueService.promoteJob(config.queue.name, req.params.jobId);
+      res.status(this.getJobOperationStatus(result)).json(result);
+    });
+
+    this.app.patch('/api/jobs/:jobId/priority', async (req, res) => {
+      const priority = Number(req.body?.priority);
+
+      // Bull priorities go from 1 (highest) to 2097152 (lowest)
+      if (!Number.isInteger(priority) || priority < 1 || priority > 2097152) {
+        return res.status(400).json({
+          success: false,
+          error: 'priority must be an integer between 1 (highest) and 2097152',
+        });
+      }
+
+      const result = await queueService.changeJobPriority(config.queue.name, req.params.jobId, priority);
+      res.status(this.getJobOperationStatus(result)).json(result);
+    });
+
+    this.app.delete('/api/jobs/:jobId', async (req, res) => {
+      const result = await queueService.removeJob(config.queue.name, req.params.jobId);
+      res.status(this.getJobOperationStatus(result)).json(result);
+    });
+
+    this.app.get('/api/jobs/:jobId/status', async (req, res) => {
+      try {
+        const { jobId } = req.params;
+        const result = await queueService.getJobStatus(config.queue.name, jobId);
+        res.json(result);
+      } catch (error) {
+        logger.error('Error getting job status:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Dead-letter queue: jobs that exhausted their retries
+    this.app.get('/api/dead-letter', async (req, res) => {
+      try {
+        const filter = this.getDeadLetterFilter(req.query);
+        const validationError = deadLetterQueue.validateFilter(filter);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const entries = await deadLetterQueue.list(filter);
+
+        res.json({
+          success: true,
+          total: entries.length,
+          entries: entries.slice(offset, offset + limit).map(entry => deadLetterQueue.summarize(entry)),
+        });
+      } catch (error) {
+        logger.error('Error listing dead-letter jobs:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Bulk replay: body with the same filters as the listing plus an optional limit
+    this.app.post('/api/dead-letter/replay', async (req, res) => {
+      try {
+        const filter = this.getDeadLetterFilter(req.body || {});
+        const validationError = deadLetterQueue.validateFilter(filter);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await deadLetterQueue.replayMatching(filter, parseInt(req.body?.limit) || undefined);
+        res.json(result);
+      } catch (error) {
+        logger.error('Error replaying dead-letter jobs:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/dead-letter/:entryId', async (req, res) => {
+      try {
+        const entry = await deadLetterQueue.get(req.params.entryId);
+
+        if (!entry) {
+          return res.status(404).json({
+            success: false,
+            error: `Dead-letter entry not found: ${req.params.entryId}`,
+          });
+        }
+
+        res.json({ success: true, entry });
+      } catch (error) {
+        logger.error('Error getting dead-letter job:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.post('/api/dead-letter/:entryId/replay', async (req, res) => {
+      try {
+        const result = await deadLetterQueue.replay(req.params.entryId);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        logger.error('Error replaying dead-letter job:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/dead-letter/:entryId', async (req, res) => {
+      try {
+        const result = await deadLetterQueue.discard(req.params.entryId);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        logger.error('Error discarding dead-letter job:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Bulk discard by filter; ?all=true is required to empty the whole queue
+    this.app.delete('/api/dead-letter', async (req, res) => {
+      try {
+        const filter = this.getDeadLetterFilter(req.query);
+        const validationError = deadLetterQueue.validateFilter(filter);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        if (Object.keys(filter).length === 0 && req.query.all !== 'true') {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide a filter or all=true',
+          });
+        }
+
+        const result = await deadLetterQueue.discardMatching(filter);
+        res.json(result);
+      } catch (error) {
+        logger.error('Error discarding dead-letter jobs:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Scheduled messages: sendAt for a one-off message, cron for a recurring one
+    this.app.post('/api/schedules', async (req, res) => {
+      try {
+        const validationError = this.validateSendFields({ mentions: req.body?.mentions, media: req.body?.media });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await scheduleService.create(req.body || {});
+        res.status(result.success ? 201 : this.getScheduleStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error creating schedule:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/schedules', async (req, res) => {
+      try {
+        const filter = Object.fromEntries(['status', 'type', 'to']
+          .filter(field => req.query[field])
+          .map(field => [field, req.query[field]]));
+        const validationError = scheduleService.validateFilter(filter);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const schedules = await scheduleService.list(filter);
+
+        res.json({
+          success: true,
+          total: schedules.length,
+          schedules: schedules.slice(offset, offset + limit),
+        });
+      } catch (error) {
+        logger.error('Error listing schedules:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/schedules/:scheduleId', async (req, res) => {
+      try {
+        const schedule = await scheduleService.get(req.params.scheduleId);
+
+        if (!schedule) {
+          return res.status(404).json({
+            success: false,
+            error: `Schedule not found: ${req.params.scheduleId}`,
+          });
+        }
+
+        res.json({ success: true, schedule });
+      } catch (error) {
+        logger.error('Error getting schedule:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.patch('/api/schedules/:scheduleId', async (req, res) => {
+      try {
+        const validationError = this.validateSendFields({ mentions: req.body?.mentions, media: req.body?.media });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const result = await scheduleService.update(req.params.scheduleId, req.body || {});
+        res.status(this.getScheduleStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error updating schedule:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.delete('/api/schedules/:scheduleId', async (req, res) => {
+      try {
+        const result = await scheduleService.cancel(req.params.scheduleId);
+        res.status(this.getScheduleStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error cancelling schedule:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Broadcast campaigns: JSON with recipients (or csv text), or multipart/form-data
+    // with the recipient CSV in the "file" field
+    this.app.post('/api/campaigns', this.uploadMedia('file'), async (req, res) => {
+      try {
+        const definition = { ...req.body };
+        const validationError = this.validateSendFields({ media: definition.media });
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        if (req.file) {
+          definition.csv = req.file.buffer.toString('utf8');
+        }
+
+        const result = await campaignService.create(definition);
+        res.status(result.success ? 201 : this.getCampaignStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error creating campaign:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns', async (req, res) => {
+      try {
+        const validationError = campaignService.validateStatus(req.query.status);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const campaigns = await campaignService.list({ status: req.query.status });
+
+        res.json({
+          success: true,
+          total: campaigns.length,
+          campaigns: campaigns.slice(offset, offset + limit),
+        });
+      } catch (error) {
+        logger.error('Error listing campaigns:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:campaignId', async (req, res) => {
+      try {
+        const campaign = await campaignService.get(req.params.campaignId);
+
+        if (!campaign) {
+          return res.status(404).json({
+            success: false,
+            error: `Campaign not found: ${req.params.campaignId}`,
+          });
+        }
+
+        const recipients = await campaignService.getRecipients(campaign.id);
+        res.json({ success: true, campaign, counts: campaignService.getCounts(recipients) });
+      } catch (error) {
+        logger.error('Error getting campaign:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:campaignId/recipients', async (req, res) => {
+      try {
+        const validationError = campaignService.validateRecipientStatus(req.query.status);
+
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError,
+          });
+        }
+
+        if (!(await campaignService.get(req.params.campaignId))) {
+          return res.status(404).json({
+            success: false,
+            error: `Campaign not found: ${req.params.campaignId}`,
+          });
+        }
+
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const recipients = await campaignService.getRecipients(req.params.campaignId, { status: req.query.status });
+
+        res.json({
+          success: true,
+          total: recipients.length,
+          recipients: recipients.slice(offset, offset + limit),
+        });
+      } catch (error) {
+        logger.error('Error listing campaign recipients:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:campaignId/report', async (req, res) => {
+      try {
+        const report = await campaignService.getReport(req.params.campaignId);
+
+        if (!report) {
+          return res.status(404).json({
+            success: false,
+            error: `Campaign not found: ${req.params.campaignId}`,
+          });
+        }
+
+        res.json({ success: true, ...report });
+      } catch (error) {
+        logger.error('Error getting campaign report:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    // Paused campaigns keep their pending recipients until resumed; cancelled ones drop them
+    this.app.post('/api/campaigns/:campaignId/pause', async (req, res) => {
+      try {
+        const result = await campaignService.pause(req.params.campaignId);
+        res.status(this.getCampaignStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error pausing campaign:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
 
-      const overallHealthy = Object.values(health.services).every(service => 
-        service === true || service === 'connected'
-      );
+    this.app.post('/api/campaigns/:campaignId/resume', async (req, res) => {
+      try {
+        const result = await campaignService.resume(req.params.campaignId);
+        res.status(this.getCampaignStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error resuming campaign:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
 
-      res.status(overallHealthy ? 200 : 503).json(health);
+    this.app.post('/api/campaigns/:campaignId/cancel', async (req, res) => {
+      try {
+        const result = await campaignService.cancel(req.params.campaignId);
+        res.status(this.getCampaignStatus(result)).json(result);
+      } catch (error) {
+        logger.error('Error cancelling campaign:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
     });
 
-    // Status endpoint
-    this.app.get('/api/status', (req, res) => {
-      const clientInfo = whatsappBot.getClientInfo();
+    // Conversational flow endpoints
+    this.app.get('/api/flows', (req, res) => {
       res.json({
-        status: 'active',
-        whatsapp: clientInfo,
-        queue: queueService.isHealthy(),
-        timestamp: new Date().toISOString(),
+        success: true,
+        flows: flowEngine.list(),
       });
     });
 
-    // Get WhatsApp client info
-    this.app.get('/api/whatsapp/info', (req, res) => {
-      const clientInfo = whatsappBot.getClientInfo();
-      res.json(clientInfo || { status: 'not_ready' });
-    });
-
-    // Send message endpoint
-    this.app.post('/api/whatsapp/send', async (req, res) => {
+    this.app.post('/api/flows/:name/start', async (req, res) => {
       try {
-        const { to, message, options } = req.body;
+        const { to, data } = req.body;
 
-        if (!to || !message) {
+        if (!to) {
           return res.status(400).json({
             success: false,
-            error: 'Missing required fields: to, message',
+            error: 'Missing required field: to',
           });
         }
 
-        const result = await whatsappBot.sendMessage(to, message, options);
-        res.json(result);
+        const chatId = toChatId(to);
+        const result = await flowEngine.start(req.params.name, {
+          chatId,
+          from: to,
+          isGroup: chatId.endsWith('@g.us'),
+          data,
+        });
+
+        if (!result.success) {
+          return res.status(400).json(result);
+        }
+
+        const sendResult = await whatsappBot.sendMessage(chatId, result.reply);
+
+        if (!sendResult.success) {
+          await flowEngine.endSession(chatId);
+        }
+
+        res.json({
+          ...sendResult,
+          flow: result.flow,
+        });
       } catch (error) {
-        logger.error('Error sending message:', error);
+        logger.error('Error starting flow:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -118,22 +1281,20 @@ class ApiServer {
       }
     });
 
-    // Send media message endpoint
-    this.app.post('/api/whatsapp/send-media', async (req, res) => {
+    this.app.get('/api/flows/sessions/:chatId', async (req, res) => {
       try {
-        const { to, media, caption, options } = req.body;
+        const session = await flowEngine.getSession(toChatId(req.params.chatId));
 
-        if (!to || !media) {
-          return res.status(400).json({
+        if (!session) {
+          return res.status(404).json({
             success: false,
-            error: 'Missing required fields: to, media',
+            error: 'No active flow',
           });
         }
 
-        const result = await whatsappBot.sendMediaMessage(to, media, caption, options);
-        res.json(result);
+        res.json({ success: true, session });
       } catch (error) {
-        logger.error('Error sending media message:', error);
+        logger.error('Error getting flow session:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -141,13 +1302,12 @@ class ApiServer {
       }
     });
 
-    // Queue management endpoints
-    this.app.get('/api/queue/stats', async (req, res) => {
+    this.app.delete('/api/flows/sessions/:chatId', async (req, res) => {
       try {
-        const stats = await queueService.getQueueStats();
-        res.json(stats);
+        const result = await flowEngine.cancel(toChatId(req.params.chatId));
+        res.status(result.success ? 200 : 404).json(result);
       } catch (error) {
-        logger.error('Error getting queue stats:', error);
+        logger.error('Error cancelling flow session:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -155,12 +1315,25 @@ class ApiServer {
       }
     });
 
-    this.app.post('/api/queue/pause', async (req, res) => {
+    // Auto-reply rules endpoints
+    this.app.get('/api/auto-reply/rules', (req, res) => {
+      res.json({
+        success: true,
+        ...autoReplyEngine.getRules(),
+      });
+    });
+
+    this.app.post('/api/auto-reply/reload', (req, res) => {
+      const result = autoReplyEngine.loadRules();
+      res.status(result.success ? 200 : 400).json(result);
+    });
+
+    this.app.get('/api/auto-reply/chats/:chatId', async (req, res) => {
       try {
-        const result = await queueService.pauseQueue();
-        res.json(result);
+        const state = await autoReplyGuard.getChatState(toChatId(req.params.chatId));
+        res.json({ success: true, ...state });
       } catch (error) {
-        logger.error('Error pausing queue:', error);
+        logger.error('Error getting auto-reply chat state:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -168,12 +1341,22 @@ class ApiServer {
       }
     });
 
-    this.app.post('/api/queue/resume', async (req, res) => {
+    // Operator takeover: silence auto-replies in a chat (seconds defaults to AUTO_REPLY_OPERATOR_SUPPRESSION)
+    this.app.put('/api/auto-reply/chats/:chatId/suppress', async (req, res) => {
+      const seconds = Number(req.body?.seconds ?? config.autoReply.operatorSuppression);
+
+      if (!(seconds > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'seconds must be a positive number',
+        });
+      }
+
       try {
-        const result = await queueService.resumeQueue();
-        res.json(result);
+        const until = await autoReplyGuard.suppress(toChatId(req.params.chatId), seconds, 'api');
+        res.json({ success: true, until });
       } catch (error) {
-        logger.error('Error resuming queue:', error);
+        logger.error('Error suppressing auto-replies:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -181,12 +1364,12 @@ class ApiServer {
       }
     });
 
-    this.app.post('/api/queue/clean', async (req, res) => {
+    this.app.delete('/api/auto-reply/chats/:chatId/suppress', async (req, res) => {
       try {
-        const result = await queueService.cleanQueue();
-        res.json(result);
+        await autoReplyGuard.resume(toChatId(req.params.chatId));
+        res.json({ success: true });
       } catch (error) {
-        logger.error('Error cleaning queue:', error);
+        logger.error('Error resuming auto-replies:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -194,22 +1377,69 @@ class ApiServer {
       }
     });
 
-    // Job management endpoints
-    this.app.post('/api/jobs', async (req, res) => {
+    // Business hours endpoints
+    this.app.get('/api/business-hours', async (req, res) => {
       try {
-        const { type, data, options } = req.body;
+        const state = await businessHours.getState();
+        res.json({
+          success: true,
+          ...state,
+          ...businessHours.getSummary(),
+        });
+      } catch (error) {
+        logger.error('Error getting business hours state:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
 
-        if (!type || !data) {
-          return res.status(400).json({
-            success: false,
-            error: 'Missing required fields: type, data',
-          });
-        }
+    this.app.put('/api/business-hours/override', async (req, res) => {
+      const result = await businessHours.setOverride(req.body || {});
+      res.status(result.success ? 200 : 400).json(result);
+    });
 
-        const result = await queueService.addJob(config.queue.name, type, data, options);
-        res.json(result);
+    this.app.delete('/api/business-hours/override', async (req, res) => {
+      const result = await businessHours.clearOverride();
+      res.status(result.success ? 200 : 500).json(result);
+    });
+
+    this.app.post('/api/business-hours/holidays', async (req, res) => {
+      const { ics } = req.body;
+
+      if (!ics) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required field: ics',
+        });
+      }
+
+      const result = await businessHours.importHolidays(ics);
+      res.status(result.success ? 200 : 400).json(result);
+    });
+
+    // Group moderation endpoints
+    this.app.get('/api/moderation/policies', (req, res) => {
+      res.json({
+        success: true,
+        enabled: config.moderation.enabled,
+        ...moderationService.getPolicies(),
+      });
+    });
+
+    this.app.post('/api/moderation/reload', (req, res) => {
+      const result = moderationService.loadPolicies();
+      res.status(result.success ? 200 : 400).json(result);
+    });
+
+    // Forgive a member: reset the warnings counted towards removal
+    this.app.delete('/api/moderation/strikes/:chatId/:number', async (req, res) => {
+      try {
+        await moderationService.clearStrikes(toGroupId(req.params.chatId), req.params.number);
+        res.json({ success: true });
       } catch (error) {
-        logger.error('Error adding job:', error);
+        logger.error('Error clearing moderation strikes:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -217,13 +1447,87 @@ class ApiServer {
       }
     });
 
-    this.app.get('/api/jobs/:jobId/status', async (req, res) => {
+    // Consent endpoints
+    this.app.get('/api/consent', async (req, res) => {
       try {
-        const { jobId } = req.params;
-        const result = await queueService.getJobStatus(config.queue.name, jobId);
-        res.json(result);
+        const consents = await consentService.listConsents({ status: req.query.status });
+        res.json({
+          success: true,
+          mode: consentService.mode,
+          total: consents.length,
+          consents,
+        });
       } catch (error) {
-        logger.error('Error getting job status:', error);
+        logger.error('Error listing consents:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.get('/api/consent/:number', async (req, res) => {
+      try {
+        const consent = await consentService.getConsent(req.params.number);
+        res.json({
+          success: true,
+          consent,
+          canSend: await consentService.canSend(req.params.number),
+        });
+      } catch (error) {
+        logger.error('Error getting consent:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    });
+
+    this.app.put('/api/consent/:number', async (req, res) => {
+      const { status, source } = req.body || {};
+      const result = await consentService.setConsent(req.params.number, status, { source: source || 'api' });
+      res.status(result.success ? 200 : 400).json(result);
+    });
+
+    this.app.delete('/api/consent/:number', async (req, res) => {
+      const result = await consentService.deleteConsent(req.params.number);
+      res.status(result.success ? 200 : 500).json(result);
+    });
+
+    // Stored media download, only with a valid signature (see mediaStorage.getSignedUrl)
+    this.app.get('/media/:prefix/:file', async (req, res) => {
+      const key = `${req.params.prefix}/${req.params.file}`;
+
+      if (!mediaStorage.verify(key, req.query.expires, req.query.signature)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid or expired media link',
+        });
+      }
+
+      try {
+        const media = await mediaStorage.open(key);
+
+        if (!media) {
+          return res.status(404).json({
+            success: false,
+            error: 'Media not found',
+          });
+        }
+
+        res.set({
+          'Content-Type': media.mimetype,
+          'Cache-Control': 'private, max-age=3600',
+          ...(media.size !== undefined && { 'Content-Length': media.size }),
+        });
+
+        media.stream.on('error', (error) => {
+          logger.error(`Error streaming media ${key}:`, error);
+          res.destroy(error);
+        });
+        media.stream.pipe(res);
+      } catch (error) {
+        logger.error('Error serving media:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -238,13 +1542,15 @@ class ApiServer {
         
         logger.whatsapp('Received webhook from webservice', webhookData);
 
+        let result;
+
         // Process webhook based on type
         switch (webhookData.type) {
           case 'send_message':
-            await this.handleSendMessageWebhook(webhookData);
+            result = await this.handleSendMessageWebhook(webhookData);
             break;
           case 'send_media':
-            await this.handleSendMediaWebhook(webhookData);
+            result = await this.handleSendMediaWebhook(webhookData);
             break;
           case 'queue_job':
             await this.handleQueueJobWebhook(webhookData);
@@ -253,6 +1559,14 @@ class ApiServer {
             logger.warn('Unknown webhook type:', webhookData.type);
         }
 
+        if (result?.code === consentService.OPTED_OUT) {
+          return res.status(403).json({ ...result, received: true });
+        }
+
+        if ([INVALID_REQUEST, mediaService.INVALID_MEDIA].includes(result?.code)) {
+          return res.status(400).json({ ...result, received: true });
+        }
+
         res.json({ success: true, received: true });
       } catch (error) {
         logger.error('Error processing webhook:', error);
@@ -369,7 +1683,7 @@ class ApiServer {
     });
 
     // Stats endpoint
-    this.app.get('/api/stats', (req, res) => {
+    this.app.get('/api/stats', async (req, res) => {
       res.json({
         success: true,
         stats: {
@@ -377,6 +1691,8 @@ class ApiServer {
           memory: process.memoryUsage(),
           whatsapp: whatsappBot.getClientInfo(),
           handlers: messageHandler.getHandlerStats(),
+          commands: commandRegistry.getStats(),
+          throttle: await outboundThrottle.getBudget(),
           timestamp: new Date().toISOString(),
         },
       });
@@ -394,13 +1710,189 @@ class ApiServer {
 
   // Webhook handlers
   async handleSendMessageWebhook(webhookData) {
-    const { to, message, options } = webhookData.data;
-    await whatsappBot.sendMessage(to, message, options);
+    const { to, message, options, replyTo, mentions } = webhookData.data;
+    const validationError = this.validateSendFields({ replyTo, mentions });
+
+    if (validationError) {
+      logger.warn(`Invalid send_message webhook: ${validationError}`);
+      return { success: false, error: validationError, code: INVALID_REQUEST };
+    }
+
+    return whatsappBot.sendMessage(to, message, { ...options, replyTo, mentions });
   }
 
   async handleSendMediaWebhook(webhookData) {
-    const { to, media, caption, options } = webhookData.data;
-    await whatsappBot.sendMediaMessage(to, media, caption, options);
+    const { to, media, caption, options, replyTo, mentions, convert } = webhookData.data;
+    const validationError = this.validateSendFields({ replyTo, mentions, convert, media });
+
+    if (validationError) {
+      logger.warn(`Invalid send_media webhook: ${validationError}`);
+      return { success: false, error: validationError, code: INVALID_REQUEST };
+    }
+
+    if (convert) {
+      return this.queueMediaConversion({ to, media, caption, options: { ...options, replyTo, mentions, convert } });
+    }
+
+    return whatsappBot.sendMediaMessage(to, media, caption, { ...options, replyTo, mentions });
+  }
+
+  // Inline payloads go to the media storage first so the job only carries a reference
+  async queueMediaConversion({ to, media, caption, options }) {
+    let jobMedia;
+
+    try {
+      jobMedia = await mediaService.toReference(media);
+    } catch (error) {
+      logger.error('Error storing media for conversion:', error);
+      return { success: false, error: error.message, code: error.code };
+    }
+
+    const job = await queueService.addMediaConversionJob({ to, media: jobMedia, caption, options });
+
+    return job.success
+      ? { success: true, queued: true, jobId: job.jobId }
+      : job;
+  }
+
+  // replyTo: message id returned by a send (or a serialized id); mentions: phone numbers
+  validateSendFields({ replyTo, mentions, convert, media }) {
+    if (media !== undefined && mediaService.isStorageReference(media)) {
+      return 'media must be a URL, a base64 payload or a file of the media directory';
+    }
+
+    if (replyTo !== undefined && (typeof replyTo !== 'string' || !replyTo.trim())) {
+      return 'replyTo must be a message id';
+    }
+
+    if (mentions !== undefined) {
+      if (!Array.isArray(mentions)) {
+        return 'mentions must be an array of phone numbers';
+      }
+
+      const invalid = mentions.find(number => !normalizeNumber(number));
+
+      if (invalid !== undefined) {
+        return `Invalid phone number in mentions: ${invalid}`;
+      }
+    }
+
+    if (convert !== undefined && !mediaConverter.isTarget(convert)) {
+      return `convert must be one of ${mediaConverter.getTargets().join(', ')}`;
+    }
+
+    return null;
+  }
+
+  // Every card needs a name and at least one phone number
+  validateContacts(contacts) {
+    for (const [index, contact] of contacts.entries()) {
+      if (!contact || !(contact.name || contact.firstName || contact.lastName)) {
+        return `contacts[${index}] needs a name`;
+      }
+
+      const phones = contact.phones || [];
+
+      if (!Array.isArray(phones) || phones.length === 0) {
+        return `contacts[${index}] needs at least one phone number`;
+      }
+
+      const invalid = phones.find(phone => !normalizeNumber(typeof phone === 'string' ? phone : phone?.number));
+
+      if (invalid !== undefined) {
+        return `Invalid phone number in contacts[${index}]: ${JSON.stringify(invalid)}`;
+      }
+    }
+
+    return null;
+  }
+
+  getJobOperationStatus(result) {
+    if (result.success) return 200;
+
+    switch (result.code) {
+      case queueService.JOB_NOT_FOUND: return 404;
+      case queueService.INVALID_JOB_STATE: return 409;
+      default: return 500;
+    }
+  }
+
+  getScheduleStatus(result) {
+    if (result.success) return 200;
+
+    switch (result.code) {
+      case scheduleService.INVALID_SCHEDULE: return 400;
+      case scheduleService.SCHEDULE_NOT_FOUND: return 404;
+      case scheduleService.SCHEDULE_INACTIVE: return 409;
+      default: return 500;
+    }
+  }
+
+  getCampaignStatus(result) {
+    if (result.success) return 200;
+
+    switch (result.code) {
+      case campaignService.INVALID_CAMPAIGN: return 400;
+      case campaignService.CAMPAIGN_NOT_FOUND: return 404;
+      case campaignService.INVALID_CAMPAIGN_STATE: return 409;
+      default: return 500;
+    }
+  }
+
+  // Dead-letter filters present in a query string or body
+  getDeadLetterFilter(source) {
+    const filter = {
+      status: source.status,
+      queue: source.queue,
+      jobType: source.jobType,
+      error: source.error,
+      since: source.since,
+      until: source.until,
+    };
+
+    return Object.fromEntries(Object.entries(filter).filter(([, value]) => value));
+  }
+
+  // Opted-out recipients get 403 and unusable media 400 so callers can tell them apart from delivery errors;
+  // sends put off by the outbound throttle get 202
+  getSendStatus(result) {
+    if (result.deferred) return 202;
+
+    switch (result.code) {
+      case consentService.OPTED_OUT: return 403;
+      case mediaService.INVALID_MEDIA: return 400;
+      default: return 200;
+    }
+  }
+
+  // Multipart uploads are kept in memory up to the media size limit
+  uploadMedia(field) {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: config.media.maxSize, files: 1 },
+    }).single(field);
+
+    return (req, res, next) => upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: mediaService.INVALID_MEDIA,
+        });
+      }
+
+      return next(error);
+    });
+  }
+
+  // Multipart fields arrive as strings: mentions as a comma separated list, options as JSON
+  parseMultipartFields({ options, mentions }) {
+    return {
+      options: typeof options === 'string' && options ? JSON.parse(options) : options,
+      mentions: typeof mentions === 'string'
+        ? mentions.split(',').map(number => number.trim()).filter(Boolean)
+        : mentions,
+    };
   }
 
   async handleQueueJobWebhook(webhookData) {
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const i18n = require('./i18n');
+const { readStructuredFile } = require('../utils/files');
+const { isSameNumber } = require('../utils/phone');
+const { getZonedTime, isWithinTimeRange, normalizeWeekday } = require('../utils/time');
+
+class AutoReplyEngine {
+  constructor() {
+    this.rules = [];
+    this.mode = config.autoReply.mode;
+    this.rulesFile = path.resolve(config.autoReply.rulesFile);
+    this.lastLoadedAt = null;
+    this.isWatching = false;
+  }
+
+  // Load rules from the JSON/YAML rules file
+  loadRules(file = this.rulesFile) {
+    try {
+      const parsed = readStructuredFile(file);
+
+      if (parsed === null) {
+        logger.bot(`Auto-reply rules file not found: ${file}`);
+        this.rules = [];
+        return { success: true, total: 0 };
+      }
+
+      const definitions = Array.isArray(parsed) ? parsed : parsed?.rules || [];
+
+      const rules = definitions
+        .map((definition, index) => this.compileRule(definition, index))
+        .filter(Boolean)
+        .sort((a, b) => b.priority - a.priority);
+
+      this.rules = rules;
+      this.mode = parsed?.mode || config.autoReply.mode;
+      this.lastLoadedAt = new Date().toISOString();
+
+      logger.bot(`Loaded ${rules.length} auto-reply rules (${this.mode}-match)`);
+      return { success: true, total: rules.length, mode: this.mode };
+    } catch (error) {
+      // Keep the previous rules when the file is invalid
+      logger.error('Error loading auto-reply rules:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reload automatically when the rules file changes
+  watch() {
+    if (this.isWatching) return;
+
+    fs.watchFile(this.rulesFile, { interval: config.autoReply.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.bot('Auto-reply rules file changed, reloading...');
+        this.loadRules();
+      }
+    });
+
+    this.isWatching = true;
+  }
+
+  unwatch() {
+    if (!this.isWatching) return;
+
+    fs.unwatchFile(this.rulesFile);
+    this.isWatching = false;
+  }
+
+  // Validate a rule definition and precompile its matchers
+  compileRule(definition, index) {
+    const id = definition.id || `rule-${index + 1}`;
+
+    try {
+      if (!definition.reply || (!definition.reply.text && !definition.reply.media)) {
+        throw new Error('reply.text or reply.media is required');
+      }
+
+      const match = definition.match || {};
+
+      return {
+        id,
+        enabled: definition.enabled !== false,
+        priority: Number(definition.priority) || 0,
+        match: {
+          ...match,
+          chatType: match.chatType || 'private',
+          keywords: (match.keywords || []).map(keyword => keyword.toLowerCase()),
+          regex: match.regex ? new RegExp(match.regex, match.flags || 'i') : null,
+          types: match.types || null,
+          from: match.from || null,
+          groups: match.groups || null,
+          timeWindow: match.timeWindow || null,
+          businessHours: match.businessHours || null,
+        },
+        reply: definition.reply,
+        cooldown: definition.cooldown ?? undefined,
+        oncePerConversation: definition.oncePerConversation ?? undefined,
+      };
+    } catch (error) {
+      logger.error(`Invalid auto-reply rule ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Return the rules matching a message, honouring first/all-match mode.
+  // businessState is the current business hours state (open, closed or holiday).
+  match(messageData, { now = new Date(), businessState = null } = {}) {
+    const matches = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      const result = this.matchRule(rule, messageData, { now, businessState });
+      if (!result) continue;
+
+      matches.push({ rule, groups: result.groups });
+
+      if (this.mode !== 'all') break;
+    }
+
+    return matches;
+  }
+
+  matchRule(rule, messageData, { now, businessState }) {
+    const { match } = rule;
+    const body = messageData.body || '';
+
+    if (match.chatType === 'private' && messageData.isGroup) return null;
+    if (match.chatType === 'group' && !messageData.isGroup) return null;
+
+    if (match.types && !match.types.includes(messageData.type)) return null;
+
+    if (match.from && !match.from.some(number => isSameNumber(number, messageData.from))) return null;
+
+    if (match.groups && !match.groups.includes(messageData.chatId)) return null;
+
+    if (match.timeWindow && !this.isInTimeWindow(match.timeWindow, now)) return null;
+
+    if (match.businessHours && ![].concat(match.businessHours).includes(businessState)) return null;
+
+    if (match.keywords.length > 0) {
+      const words = body.toLowerCase();
+      if (!match.keywords.some(keyword => words.includes(keyword))) return null;
+    }
+
+    let groups = {};
+
+    if (match.regex) {
+      const result = match.regex.exec(body);
+      if (!result) return null;
+      groups = { ...result.groups };
+      result.slice(1).forEach((value, i) => {
+        groups[`match${i + 1}`] = value;
+      });
+    }
+
+    return { groups };
+  }
+
+  isInTimeWindow(window, now) {
+    const zoned = getZonedTime(now, window.timezone || config.autoReply.timezone);
+
+    if (window.days && !window.days.map(normalizeWeekday).includes(zoned.weekday)) {
+      return false;
+    }
+
+    if (window.start && window.end) {
+      return isWithinTimeRange(zoned.minutesOfDay, window.start, window.end);
+    }
+
+    return true;
+  }
+
+  // Build the outgoing reply for a matched rule
+  renderReply(match, messageData, locale = i18n.defaultLocale) {
+    const { reply } = match.rule;
+    const vars = {
+      name: messageData.fromName || messageData.from,
+      from: messageData.from,
+      body: messageData.body,
+      chatName: messageData.chatName,
+      prefix: config.bot.prefix,
+      ...match.groups,
+    };
+
+    return {
+      ruleId: match.rule.id,
+      text: reply.text ? i18n.format(locale, i18n.localize(reply.text, locale), vars) : null,
+      media: reply.media || null,
+      caption: reply.caption ? i18n.format(locale, i18n.localize(reply.caption, locale), vars) : undefined,
+    };
+  }
+
+  getRules() {
+    return {
+      mode: this.mode,
+      file: this.rulesFile,
+      lastLoadedAt: this.lastLoadedAt,
+      rules: this.rules.map(rule => ({
+        id: rule.id,
+        enabled: rule.enabled,
+        priority: rule.priority,
+        match: { ...rule.match, regex: rule.match.regex ? rule.match.regex.source : null },
+        reply: rule.reply,
+      })),
+    };
+  }
+}
+
+module.exports = new AutoReplyEngine();
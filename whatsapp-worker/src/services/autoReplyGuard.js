@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+
+const CONVERSATION_PREFIX = 'auto-reply:conversation:';
+const COOLDOWN_PREFIX = 'auto-reply:cooldown:';
+const CLAIM_PREFIX = 'auto-reply:claim:';
+const OPERATOR_PREFIX = 'auto-reply:operator:';
+
+// Decides whether an auto-reply may be sent to a chat: per-rule cooldowns,
+// once-per-conversation replies and silence while a human operator is active.
+// All state lives in Redis so it is shared between workers and restarts.
+class AutoReplyGuard {
+  // Register an incoming message, starting a new conversation after the inactivity timeout
+  async touchConversation(chatId) {
+    const key = CONVERSATION_PREFIX + chatId;
+    const now = new Date().toISOString();
+    const conversation = (await queueService.getValue(key)) || {
+      id: crypto.randomUUID(),
+      startedAt: now,
+      replied: [],
+    };
+
+    conversation.lastMessageAt = now;
+    await queueService.setValue(key, conversation, config.autoReply.conversationTimeout);
+
+    return conversation;
+  }
+
+  // Reserve an auto-reply of a rule for a chat; false when it must be suppressed.
+  // Rules can override the global settings with cooldown and oncePerConversation.
+  async acquire(chatId, ruleId, rule = {}) {
+    try {
+      const cooldown = rule.cooldown ?? config.autoReply.cooldown;
+      const oncePerConversation = rule.oncePerConversation ?? config.autoReply.oncePerConversation;
+
+      const conversation = await this.touchConversation(chatId);
+
+      if (await this.isOperatorActive(chatId)) {
+        return this.suppressed(chatId, ruleId, 'operator');
+      }
+
+      const claimKey = `${CLAIM_PREFIX}${chatId}:${conversation.id}:${ruleId}`;
+
+      if (oncePerConversation) {
+        // The claim key closes the race between concurrent jobs of the same chat
+        const claimed = !conversation.replied.includes(ruleId)
+          && await queueService.setValueIfAbsent(claimKey, Date.now(), config.autoReply.conversationTimeout);
+
+        if (!claimed) {
+          return this.suppressed(chatId, ruleId, 'conversation');
+        }
+      }
+
+      if (cooldown > 0) {
+        const acquired = await queueService.setValueIfAbsent(`${COOLDOWN_PREFIX}${chatId}:${ruleId}`, Date.now(), cooldown);
+
+        if (!acquired) {
+          // Nothing is sent, so a later message of the conversation may still get the reply
+          if (oncePerConversation) {
+            await queueService.deleteValue(claimKey);
+          }
+
+          return this.suppressed(chatId, ruleId, 'cooldown');
+        }
+      }
+
+      if (!conversation.replied.includes(ruleId)) {
+        conversation.replied = [...conversation.replied, ruleId];
+        await queueService.setValue(CONVERSATION_PREFIX + chatId, conversation, config.autoReply.conversationTimeout);
+      }
+
+      return true;
+    } catch (error) {
+      // Without Redis there is no way to deduplicate, so stay quiet rather than spam
+      logger.error('Error checking auto-reply guard:', error.message);
+      return false;
+    }
+  }
+
+  suppressed(chatId, ruleId, reason) {
+    logger.bot(`Auto-reply ${ruleId} suppressed for ${chatId} (${reason})`);
+    return false;
+  }
+
+  // Silence auto-replies in a chat while a human operator is talking to the contact
+  async suppress(chatId, seconds = config.autoReply.operatorSuppression, source = 'operator') {
+    if (!(seconds > 0)) return null;
+
+    const until = new Date(Date.now() + seconds * 1000).toISOString();
+    await queueService.setValue(OPERATOR_PREFIX + chatId, { source, until }, seconds);
+
+    logger.bot(`Auto-replies suppressed for ${chatId} until ${until}`, { source });
+    return until;
+  }
+
+  async resume(chatId) {
+    await queueService.deleteValue(OPERATOR_PREFIX + chatId);
+  }
+
+  async isOperatorActive(chatId) {
+    return !!(await queueService.getValue(OPERATOR_PREFIX + chatId));
+  }
+
+  async getChatState(chatId) {
+    const [conversation, suppression] = await Promise.all([
+      queueService.getValue(CONVERSATION_PREFIX + chatId),
+      queueService.getValue(OPERATOR_PREFIX + chatId),
+    ]);
+
+    return { chatId, conversation, suppression };
+  }
+}
+
+module.exports = new AutoReplyGuard();
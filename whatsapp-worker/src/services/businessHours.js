@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const i18n = require('./i18n');
+const { parseIcs } = require('../utils/ics');
+const {
+  WEEKDAYS,
+  getZonedTime,
+  parseTimeOfDay,
+  isWithinTimeRange,
+  normalizeWeekday,
+} = require('../utils/time');
+
+const OVERRIDE_KEY = 'business-hours:override';
+const IMPORTED_HOLIDAYS_KEY = 'business-hours:holidays';
+const STATES = ['open', 'closed', 'holiday'];
+
+class BusinessHours {
+  constructor() {
+    this.enabled = config.businessHours.enabled;
+    this.timezone = config.businessHours.timezone;
+    this.schedule = {};
+    this.fileHolidays = [];
+    this.importedHolidays = [];
+  }
+
+  // Parse the weekly schedule and load holidays from the ICS file and the API imports
+  async initialize() {
+    try {
+      this.schedule = this.parseSchedule(config.businessHours.schedule);
+    } catch (error) {
+      logger.error('Invalid BUSINESS_HOURS_SCHEDULE, treating every day as closed:', error.message);
+    }
+
+    this.loadHolidaysFile();
+
+    try {
+      this.importedHolidays = (await queueService.getValue(IMPORTED_HOLIDAYS_KEY)) || [];
+    } catch (error) {
+      logger.warn('Could not load imported holidays:', error.message);
+    }
+
+    logger.bot(`Business hours ${this.enabled ? 'enabled' : 'disabled'} (${this.getHolidays().length} holidays)`);
+  }
+
+  // "mon-fri 09:00-18:00,sat 10:00-14:00" -> { 1: [{ start, end }], ... }
+  parseSchedule(definition) {
+    const schedule = {};
+
+    (definition || '').split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+      const [days, hours] = part.split(/\s+/);
+      const [start, end] = (hours || '').split('-');
+
+      // Validates both times, throws on malformed definitions
+      parseTimeOfDay(start);
+      parseTimeOfDay(end);
+
+      const [first, last] = days.split('-').map(normalizeWeekday);
+
+      if (first === -1 || last === -1) {
+        throw new Error(`Invalid business days: ${days}`);
+      }
+
+      for (let day = first; ; day = (day + 1) % 7) {
+        schedule[day] = [...(schedule[day] || []), { start, end }];
+        if (last === undefined || day === last) break;
+      }
+    });
+
+    return schedule;
+  }
+
+  loadHolidaysFile(file = config.businessHours.holidaysFile) {
+    if (!file) return 0;
+
+    try {
+      const resolved = path.resolve(file);
+
+      if (!fs.existsSync(resolved)) {
+        logger.warn(`Holidays file not found: ${resolved}`);
+        return 0;
+      }
+
+      this.fileHolidays = this.toHolidays(parseIcs(fs.readFileSync(resolved, 'utf8'), { timeZone: this.timezone }));
+      return this.fileHolidays.length;
+    } catch (error) {
+      logger.error('Error loading holidays file:', error);
+      return 0;
+    }
+  }
+
+  // Replace the holidays imported through the API with the events of an ICS document
+  async importHolidays(icsContent) {
+    try {
+      const holidays = this.toHolidays(parseIcs(icsContent, { timeZone: this.timezone }));
+
+      await queueService.setValue(IMPORTED_HOLIDAYS_KEY, holidays);
+      this.importedHolidays = holidays;
+
+      logger.bot(`Imported ${holidays.length} holidays`);
+      return { success: true, imported: holidays.length };
+    } catch (error) {
+      logger.error('Error importing holidays:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Convert ICS events to whole-day ranges in the business timezone (end exclusive).
+  // Yearly rules keep the first occurrence plus { interval, count, until }; events with
+  // any other rule are skipped
+  toHolidays(events) {
+    const toDate = value => (value.allDay ? value.date : getZonedTime(value.date, this.timezone).date);
+
+    return events.map((event) => {
+      const startDate = toDate(event.start);
+      let endDate = event.end ? toDate(event.end) : startDate;
+
+      // All-day DTEND is already exclusive; timed events cover every day they touch
+      if (!event.end || !event.end.allDay || endDate <= startDate) {
+        endDate = moment.utc(endDate < startDate ? startDate : endDate).add(1, 'day').format('YYYY-MM-DD');
+      }
+
+      const name = event.summary || 'Holiday';
+      const yearly = event.rrule ? this.toYearlyRule(event.rrule, startDate) : null;
+
+      if (event.rrule && !yearly) {
+        logger.warn(`Skipping holiday "${name}": unsupported RRULE ${Object.entries(event.rrule).map(part => part.join('=')).join(';')}`);
+        return null;
+      }
+
+      return {
+        name,
+        startDate,
+        endDate,
+        ...(yearly && { yearly }),
+      };
+    }).filter(Boolean);
+  }
+
+  // FREQ=YEARLY with INTERVAL, COUNT, UNTIL, and BYMONTH/BYMONTHDAY matching the start date;
+  // null for anything else
+  toYearlyRule({ FREQ, INTERVAL = '1', COUNT, UNTIL, BYMONTH, BYMONTHDAY, ...rest }, startDate) {
+    const [, month, day] = startDate.split('-').map(Number);
+
+    if (FREQ !== 'YEARLY' || Object.keys(rest).length > 0
+      || (BYMONTH && Number(BYMONTH) !== month) || (BYMONTHDAY && Number(BYMONTHDAY) !== day)) {
+      return null;
+    }
+
+    return {
+      interval: Math.max(parseInt(INTERVAL, 10) || 1, 1),
+      count: COUNT ? parseInt(COUNT, 10) : null,
+      until: UNTIL ? moment.utc(UNTIL.slice(0, 8), 'YYYYMMDD').format('YYYY-MM-DD') : null,
+    };
+  }
+
+  getHolidays() {
+    return [...this.fileHolidays, ...this.importedHolidays];
+  }
+
+  findHoliday(date) {
+    return this.getHolidays().find(holiday => this.coversDate(holiday, date)) || null;
+  }
+
+  // Yearly holidays are checked against the occurrence starting this year and the one
+  // starting the year before (ranges over New Year)
+  coversDate({ startDate, endDate, yearly }, date) {
+    if (!yearly) {
+      return date >= startDate && date < endDate;
+    }
+
+    const year = Number(date.slice(0, 4));
+    const firstYear = Number(startDate.slice(0, 4));
+
+    return [year - 1, year].some((occurrenceYear) => {
+      const years = occurrenceYear - firstYear;
+
+      if (years < 0 || years % yearly.interval !== 0 || (yearly.count && years / yearly.interval >= yearly.count)) {
+        return false;
+      }
+
+      const start = moment.utc(startDate).add(years, 'years').format('YYYY-MM-DD');
+      const end = moment.utc(endDate).add(years, 'years').format('YYYY-MM-DD');
+
+      return (!yearly.until || start <= yearly.until) && date >= start && date < end;
+    });
+  }
+
+  // Manual override, stored in Redis so every worker sees it
+  async getOverride() {
+    try {
+      return await queueService.getValue(OVERRIDE_KEY);
+    } catch (error) {
+      logger.debug('Could not read business hours override:', error.message);
+      return null;
+    }
+  }
+
+  async setOverride({ state, until = null, reason = null }) {
+    if (!STATES.includes(state)) {
+      return { success: false, error: `Invalid state: ${state}. Use one of ${STATES.join(', ')}` };
+    }
+
+    const ttl = until ? (new Date(until).getTime() - Date.now()) / 1000 : null;
+
+    if (until && !(ttl > 0)) {
+      return { success: false, error: 'until must be a future date' };
+    }
+
+    try {
+      const override = { state, until, reason, createdAt: new Date().toISOString() };
+      await queueService.setValue(OVERRIDE_KEY, override, ttl);
+
+      logger.bot(`Business hours overridden: ${state}`, { until, reason });
+      return { success: true, override };
+    } catch (error) {
+      logger.error('Error setting business hours override:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async clearOverride() {
+    try {
+      await queueService.deleteValue(OVERRIDE_KEY);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error clearing business hours override:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  isOpenAt(zoned) {
+    return (this.schedule[zoned.weekday] || [])
+      .some(range => isWithinTimeRange(zoned.minutesOfDay, range.start, range.end));
+  }
+
+  // Next opening in the business timezone, searching up to two weeks ahead
+  getNextOpening(now = new Date()) {
+    const zoned = getZonedTime(now, this.timezone);
+
+    for (let offset = 0; offset < 14; offset++) {
+      const day = moment.utc(zoned.date).add(offset, 'days');
+      const date = day.format('YYYY-MM-DD');
+
+      if (this.findHoliday(date)) continue;
+
+      const opening = (this.schedule[day.day()] || [])
+        .map(range => range.start)
+        .filter(start => offset > 0 || parseTimeOfDay(start) > zoned.minutesOfDay)
+        .sort()[0];
+
+      if (opening) {
+        return { date, time: opening, weekday: WEEKDAYS[day.day()] };
+      }
+    }
+
+    return null;
+  }
+
+  // Current state: override, then holiday calendar, then weekly schedule
+  async getState(now = new Date()) {
+    if (!this.enabled) {
+      return { state: 'open', source: 'disabled' };
+    }
+
+    const override = await this.getOverride();
+
+    if (override) {
+      return {
+        state: override.state,
+        source: 'override',
+        override,
+        ...(override.state !== 'open' && { nextOpening: this.getNextOpening(now) }),
+      };
+    }
+
+    const zoned = getZonedTime(now, this.timezone);
+    const holiday = this.findHoliday(zoned.date);
+
+    if (holiday) {
+      return { state: 'holiday', source: 'calendar', holiday, nextOpening: this.getNextOpening(now) };
+    }
+
+    if (this.isOpenAt(zoned)) {
+      return { state: 'open', source: 'schedule' };
+    }
+
+    return { state: 'closed', source: 'schedule', nextOpening: this.getNextOpening(now) };
+  }
+
+  // Localized auto-reply for the current state
+  async getReplyText(locale = i18n.defaultLocale, vars = {}) {
+    const current = await this.getState();
+    const keys = {
+      open: 'businessHours.inHours',
+      closed: 'businessHours.outOfHours',
+      holiday: 'businessHours.holiday',
+    };
+
+    return i18n.t(locale, keys[current.state], {
+      welcome: i18n.getWelcomeMessage(locale),
+      holiday: current.holiday?.name || current.override?.reason || '',
+      nextOpening: current.nextOpening ? `${current.nextOpening.date} ${current.nextOpening.time}` : '-',
+      ...vars,
+    });
+  }
+
+  getSummary() {
+    return {
+      enabled: this.enabled,
+      timezone: this.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      schedule: Object.entries(this.schedule).map(([day, ranges]) => ({
+        day: WEEKDAYS[day],
+        ranges,
+      })),
+      holidays: this.getHolidays(),
+    };
+  }
+}
+
+module.exports = new BusinessHours();
@@ -0,0 +1,630 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const mediaService = require('./mediaService');
+const webserviceClient = require('./webserviceClient');
+const { toChatId, normalizeNumber } = require('../utils/phone');
+const { parseCsv } = require('../utils/csv');
+const { renderTemplate, getTemplateVariables } = require('../utils/text');
+const { parseDateTime, isValidTimeZone } = require('../utils/time');
+
+const CAMPAIGNS_KEY = 'campaigns:registry';
+const RECIPIENTS_PREFIX = 'campaign:recipients:';
+const MESSAGE_PREFIX = 'campaign:message:';
+const DISPATCH_JOB = 'campaign-dispatch';
+const MESSAGE_JOB = 'campaign-message';
+const PRIORITY = 10; // after replies and API sends
+
+const STATUSES = ['scheduled', 'running', 'paused', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'delivered', 'read', 'failed', 'cancelled'];
+
+// Delivery progress reported by message acks; a recipient never moves backwards
+const DELIVERY_RANK = { sent: 1, delivered: 2, read: 3 };
+const ACK_STATUSES = { received: 'delivered', read: 'read', played: 'read' };
+
+// CSV columns accepted for the phone number; every other column is a template variable
+const PHONE_COLUMNS = ['to', 'phone', 'number', 'telefono', 'teléfono', 'celular'];
+
+// Error codes: bad definition, unknown id, and actions the campaign status does not allow
+const INVALID_CAMPAIGN = 'INVALID_CAMPAIGN';
+const CAMPAIGN_NOT_FOUND = 'CAMPAIGN_NOT_FOUND';
+const INVALID_CAMPAIGN_STATE = 'INVALID_CAMPAIGN_STATE';
+
+const invalidCampaign = message => Object.assign(new Error(message), { code: INVALID_CAMPAIGN });
+
+// "row 3 (abc), row 7 (xyz) and 4 more"
+const describeRows = (rows) => {
+  const shown = rows.slice(0, 5).map(({ row, detail }) => `row ${row} (${detail})`).join(', ');
+  return rows.length > 5 ? `${shown} and ${rows.length - 5} more` : shown;
+};
+
+// Announcements to a list of recipients with {{variables}} per recipient. The campaign
+// lives in a Redis hash and its recipients in another one, keyed by chat id. A
+// campaign-dispatch job queues the pending recipients in batches (one campaign-message
+// job each, spread over the batch interval) and schedules the next batch until every
+// recipient is done. Message jobs go through the outbound throttle and delay themselves
+// when it is exhausted; message acks move recipients to delivered and read.
+class CampaignService {
+  constructor() {
+    queueService.onJobExhausted((queueName, job, error) => {
+      if (job.name === MESSAGE_JOB) {
+        return this.recordResult(job.data, { success: false, error: error.message }, { final: true });
+      }
+
+      return null;
+    });
+  }
+
+  // definition: { name, message | media + caption, recipients | csv, sendAt, timezone }
+  async create(definition) {
+    const now = new Date().toISOString();
+    let campaign;
+    let recipients;
+
+    try {
+      const template = await this.buildTemplate(definition);
+      const { sendAt, timezone } = this.buildStart(definition);
+      const list = this.buildRecipients(definition, template);
+      ({ recipients } = list);
+
+      campaign = {
+        id: crypto.randomUUID(),
+        name: definition.name || `Campaign ${now.slice(0, 10)}`,
+        status: 'scheduled',
+        template,
+        sendAt,
+        timezone,
+        total: recipients.length,
+        duplicates: list.duplicates,
+        dispatchRound: 1,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+      };
+    } catch (error) {
+      if ([INVALID_CAMPAIGN, mediaService.INVALID_MEDIA].includes(error.code)) {
+        return { success: false, error: error.message, code: INVALID_CAMPAIGN };
+      }
+
+      throw error;
+    }
+
+    await queueService.setFields(RECIPIENTS_PREFIX + campaign.id, Object.fromEntries(
+      recipients.map(recipient => [recipient.chatId, recipient]),
+    ));
+    await queueService.setField(CAMPAIGNS_KEY, campaign.id, campaign);
+
+    const job = await this.enqueueDispatch(campaign);
+
+    if (!job.success) {
+      await queueService.deleteField(CAMPAIGNS_KEY, campaign.id);
+      await queueService.deleteValue(RECIPIENTS_PREFIX + campaign.id);
+      return job;
+    }
+
+    logger.queue(`Campaign ${campaign.id} created with ${campaign.total} recipients`, {
+      name: campaign.name,
+      sendAt: campaign.sendAt,
+    });
+
+    return { success: true, campaign };
+  }
+
+  async get(id) {
+    return queueService.getField(CAMPAIGNS_KEY, id);
+  }
+
+  // Most recent first
+  async list({ status } = {}) {
+    const campaigns = Object.values(await queueService.getAllFields(CAMPAIGNS_KEY));
+
+    return campaigns
+      .filter(campaign => !status || campaign.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Recipients in list order
+  async getRecipients(id, { status } = {}) {
+    const recipients = Object.values(await queueService.getAllFields(RECIPIENTS_PREFIX + id));
+
+    return recipients
+      .filter(recipient => !status || recipient.status === status)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  validateStatus(status, statuses = STATUSES) {
+    return status && !statuses.includes(status)
+      ? `Invalid status: ${status}. Use one of ${statuses.join(', ')}`
+      : null;
+  }
+
+  validateRecipientStatus(status) {
+    return this.validateStatus(status, RECIPIENT_STATUSES);
+  }
+
+  getCounts(recipients) {
+    const counts = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+    recipients.forEach((recipient) => { counts[recipient.status]++; });
+
+    return counts;
+  }
+
+  // Campaign with its progress and delivery funnel; errors grouped by message
+  async getReport(id) {
+    const campaign = await this.get(id);
+
+    if (!campaign) {
+      return null;
+    }
+
+    const recipients = await this.getRecipients(id);
+    const counts = this.getCounts(recipients);
+    const sent = counts.sent + counts.delivered + counts.read;
+    const delivered = counts.delivered + counts.read;
+    const done = sent + counts.failed + counts.cancelled;
+    const rate = value => (sent > 0 ? Math.round((value / sent) * 1000) / 10 : 0);
+    const errors = recipients
+      .filter(recipient => recipient.status === 'failed')
+      .reduce((acc, recipient) => ({ ...acc, [recipient.error]: (acc[recipient.error] || 0) + 1 }), {});
+
+    return {
+      campaign,
+      counts,
+      progress: {
+        total: recipients.length,
+        done,
+        percent: recipients.length > 0 ? Math.round((done / recipients.length) * 1000) / 10 : 100,
+      },
+      delivery: {
+        sent,
+        delivered,
+        read: counts.read,
+        failed: counts.failed,
+        deliveryRate: rate(delivered),
+        readRate: rate(counts.read),
+      },
+      errors: Object.entries(errors)
+        .map(([error, count]) => ({ error, count }))
+        .sort((a, b) => b.count - a.count),
+      duration: campaign.startedAt
+        ? Math.round(((campaign.completedAt ? new Date(campaign.completedAt) : new Date()) - new Date(campaign.startedAt)) / 1000)
+        : null,
+    };
+  }
+
+  async pause(id) {
+    return this.transition(id, ['scheduled', 'running'], 'pause', async campaign => ({
+      ...campaign,
+      status: 'paused',
+      pausedAt: new Date().toISOString(),
+    }));
+  }
+
+  // Pending recipients (including the ones put back while paused) are dispatched again
+  async resume(id) {
+    return this.transition(id, ['paused'], 'resume', async (campaign) => {
+      const delay = campaign.sendAt ? Math.max(new Date(campaign.sendAt).getTime() - Date.now(), 0) : 0;
+      const resumed = {
+        ...campaign,
+        status: delay > 0 || !campaign.startedAt ? 'scheduled' : 'running',
+        dispatchRound: campaign.dispatchRound + 1,
+        pausedAt: null,
+      };
+
+      const job = await this.enqueueDispatch(resumed, delay);
+
+      if (!job.success) {
+        throw new Error(job.error);
+      }
+
+      return resumed;
+    });
+  }
+
+  // Pending recipients are cancelled now, queued ones when their job runs
+  async cancel(id) {
+    return this.transition(id, ['scheduled', 'running', 'paused'], 'cancel', async (campaign) => {
+      const cancelledAt = new Date().toISOString();
+      const pending = await this.getRecipients(id, { status: 'pending' });
+
+      await queueService.setFields(RECIPIENTS_PREFIX + id, Object.fromEntries(pending.map(recipient => [
+        recipient.chatId,
+        { ...recipient, status: 'cancelled', updatedAt: cancelledAt },
+      ])));
+
+      await webserviceClient.logWhatsAppEvent('campaign_cancelled', {
+        campaignId: id,
+        name: campaign.name,
+        cancelledRecipients: pending.length,
+        timestamp: cancelledAt,
+      });
+
+      return { ...campaign, status: 'cancelled', cancelledAt, completedAt: cancelledAt };
+    });
+  }
+
+  async transition(id, allowedStatuses, action, apply) {
+    const campaign = await this.get(id);
+
+    if (!campaign) {
+      return { success: false, error: `Campaign not found: ${id}`, code: CAMPAIGN_NOT_FOUND };
+    }
+
+    if (!allowedStatuses.includes(campaign.status)) {
+      return {
+        success: false,
+        error: `Cannot ${action} campaign ${id} while it is ${campaign.status}`,
+        code: INVALID_CAMPAIGN_STATE,
+      };
+    }
+
+    try {
+      const updated = { ...(await apply(campaign)), updatedAt: new Date().toISOString() };
+      await queueService.setField(CAMPAIGNS_KEY, id, updated);
+
+      logger.queue(`Campaign ${id}: ${action} (${campaign.status} -> ${updated.status})`);
+      return { success: true, campaign: updated };
+    } catch (error) {
+      logger.error(`Error on campaign ${id} (${action}):`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Queue the next batch of pending recipients (campaign-dispatch jobs)
+  async dispatch({ campaignId, round }) {
+    let campaign = await this.get(campaignId);
+
+    if (!campaign || campaign.dispatchRound !== round || !['scheduled', 'running'].includes(campaign.status)) {
+      logger.queue(`Skipping outdated dispatch of campaign ${campaignId} (round ${round})`);
+      return { skipped: true };
+    }
+
+    if (campaign.status === 'scheduled') {
+      const started = await this.start(campaignId);
+
+      if (!started.success) {
+        return { skipped: true };
+      }
+
+      ({ campaign } = started);
+    }
+
+    const { batchSize, batchInterval } = config.campaigns;
+    await this.settleLostMessages(campaignId);
+    const recipients = await this.getRecipients(campaignId);
+    const batch = recipients.filter(recipient => recipient.status === 'pending').slice(0, batchSize);
+    const spacing = (batchInterval * 1000) / batchSize;
+    const queued = {};
+
+    for (const [position, recipient] of batch.entries()) {
+      const job = await queueService.addJob(config.queue.name, MESSAGE_JOB, {
+        campaignId,
+        chatId: recipient.chatId,
+      }, { priority: PRIORITY, delay: Math.round(position * spacing) });
+
+      if (job.success) {
+        queued[recipient.chatId] = {
+          ...recipient,
+          status: 'queued',
+          jobId: String(job.jobId),
+          updatedAt: new Date().toISOString(),
+        };
+      }
+    }
+
+    await queueService.setFields(RECIPIENTS_PREFIX + campaignId, queued);
+
+    const remaining = recipients
+      .filter(recipient => ['pending', 'queued'].includes((queued[recipient.chatId] || recipient).status))
+      .length;
+
+    if (remaining === 0) {
+      await this.complete(campaignId);
+      return { queued: 0, remaining: 0 };
+    }
+
+    // Also runs after the last batch, to notice when the queued messages are done
+    await this.enqueueDispatch(campaign, batchInterval * 1000);
+
+    return { queued: Object.keys(queued).length, remaining };
+  }
+
+  // A pause or cancel that happened meanwhile wins: both go through transition()
+  async start(id) {
+    const result = await this.transition(id, ['scheduled'], 'start', async campaign => ({
+      ...campaign,
+      status: 'running',
+      startedAt: campaign.startedAt || new Date().toISOString(),
+    }));
+
+    if (result.success) {
+      await webserviceClient.logWhatsAppEvent('campaign_started', {
+        campaignId: id,
+        name: result.campaign.name,
+        total: result.campaign.total,
+        timestamp: result.campaign.startedAt,
+      });
+    }
+
+    return result;
+  }
+
+  async complete(id) {
+    const completedAt = new Date().toISOString();
+    const result = await this.transition(id, ['running'], 'complete', async campaign => ({
+      ...campaign,
+      status: 'completed',
+      completedAt,
+    }));
+
+    if (!result.success) {
+      return result;
+    }
+
+    const report = await this.getReport(id);
+    logger.queue(`Campaign ${id} completed`, report.delivery);
+
+    await webserviceClient.logWhatsAppEvent('campaign_completed', {
+      campaignId: id,
+      name: result.campaign.name,
+      ...report.delivery,
+      timestamp: completedAt,
+    });
+
+    return result;
+  }
+
+  // Queued recipients whose message job is gone (removed through the API, dropped by
+  // removeOnFail or moved to the dead-letter queue) or ended without reporting back would
+  // keep the campaign running forever: they count as failed
+  async settleLostMessages(campaignId) {
+    const queued = await this.getRecipients(campaignId, { status: 'queued' });
+
+    for (const recipient of queued) {
+      const status = await queueService.getJobStatus(config.queue.name, recipient.jobId);
+      const lost = status.success
+        ? ['completed', 'failed'].includes(status.job.state)
+        : status.code === queueService.JOB_NOT_FOUND;
+
+      if (lost) {
+        logger.queue(`Campaign ${campaignId}: message job ${recipient.jobId} of ${recipient.chatId} is gone`);
+        await this.recordResult({ campaignId, chatId: recipient.chatId }, {
+          success: false,
+          error: status.job?.failedReason || `Message job ${recipient.jobId} no longer exists`,
+        }, { final: true });
+      }
+    }
+  }
+
+  // { to, message, media, caption } of a queued recipient, or null when the job must not send:
+  // while paused the recipient goes back to pending, once cancelled it is cancelled
+  async getDelivery({ campaignId, chatId }) {
+    const campaign = await this.get(campaignId);
+    const recipient = await queueService.getField(RECIPIENTS_PREFIX + campaignId, chatId);
+
+    if (!campaign || !recipient || recipient.status !== 'queued') {
+      return null;
+    }
+
+    if (['paused', 'cancelled'].includes(campaign.status)) {
+      await this.setRecipient(campaignId, {
+        ...recipient,
+        status: campaign.status === 'paused' ? 'pending' : 'cancelled',
+        jobId: null,
+      });
+      return null;
+    }
+
+    const { message, media, caption } = campaign.template;
+
+    return {
+      to: recipient.chatId,
+      message: message && renderTemplate(message, recipient.variables),
+      media,
+      caption: caption && renderTemplate(caption, recipient.variables),
+    };
+  }
+
+  // A message job over the outbound budget is queued again instead of failing
+  async requeue(job, delay) {
+    const next = await queueService.addJob(config.queue.name, MESSAGE_JOB, job.data, { priority: PRIORITY, delay });
+
+    if (!next.success) {
+      throw new Error(`Could not requeue campaign message: ${next.error}`);
+    }
+
+    const recipient = await queueService.getField(RECIPIENTS_PREFIX + job.data.campaignId, job.data.chatId);
+
+    if (recipient) {
+      await this.setRecipient(job.data.campaignId, { ...recipient, jobId: String(next.jobId) });
+    }
+
+    return { success: true, deferred: true, jobId: next.jobId };
+  }
+
+  // Result of a send; failures that will be retried keep the recipient queued
+  async recordResult({ campaignId, chatId }, result, { final = result.success } = {}) {
+    const recipient = await queueService.getField(RECIPIENTS_PREFIX + campaignId, chatId);
+
+    if (!recipient || recipient.status !== 'queued') {
+      return;
+    }
+
+    if (result.success) {
+      await this.setRecipient(campaignId, {
+        ...recipient,
+        status: 'sent',
+        messageId: result.messageId,
+        sentAt: new Date().toISOString(),
+        error: null,
+      });
+      await queueService.setValue(MESSAGE_PREFIX + result.messageId, { campaignId, chatId }, config.messages.idTtl);
+      return;
+    }
+
+    await this.setRecipient(campaignId, {
+      ...recipient,
+      status: final ? 'failed' : 'queued',
+      error: result.error,
+      code: result.code || null,
+    });
+  }
+
+  // Message acks: received -> delivered, read/played -> read
+  async recordAck(messageId, ackStatus) {
+    const status = ACK_STATUSES[ackStatus];
+    const reference = status && await queueService.getValue(MESSAGE_PREFIX + messageId);
+
+    if (!reference) {
+      return;
+    }
+
+    const recipient = await queueService.getField(RECIPIENTS_PREFIX + reference.campaignId, reference.chatId);
+
+    if (!recipient || !DELIVERY_RANK[recipient.status] || DELIVERY_RANK[recipient.status] >= DELIVERY_RANK[status]) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    await this.setRecipient(reference.campaignId, {
+      ...recipient,
+      status,
+      deliveredAt: recipient.deliveredAt || now,
+      ...(status === 'read' && { readAt: now }),
+    });
+  }
+
+  async setRecipient(campaignId, recipient) {
+    await queueService.setField(RECIPIENTS_PREFIX + campaignId, recipient.chatId, {
+      ...recipient,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  async enqueueDispatch(campaign, delay = null) {
+    const startIn = campaign.sendAt ? new Date(campaign.sendAt).getTime() - Date.now() : 0;
+
+    return queueService.addJob(config.queue.name, DISPATCH_JOB, {
+      campaignId: campaign.id,
+      round: campaign.dispatchRound,
+    }, { priority: PRIORITY, delay: Math.max(delay ?? startIn, 0) });
+  }
+
+  // The media goes to the media storage once, so jobs and the registry only keep a reference
+  // and a URL is not downloaded again for every recipient
+  async buildTemplate({ message, media, caption }) {
+    if (!message && !media) {
+      throw invalidCampaign('Provide a message or media');
+    }
+
+    return media
+      ? { message: null, media: await mediaService.toStoredReference(media), caption: caption || message || null }
+      : { message, media: null, caption: null };
+  }
+
+  buildStart({ sendAt, timezone = config.scheduler.timezone }) {
+    const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    if (!isValidTimeZone(zone)) {
+      throw invalidCampaign(`Invalid timezone: ${zone}`);
+    }
+
+    if (!sendAt) {
+      return { sendAt: null, timezone: zone };
+    }
+
+    let date;
+
+    try {
+      date = parseDateTime(sendAt, zone);
+    } catch (error) {
+      throw invalidCampaign(`sendAt must be an ISO date and time: ${sendAt}`);
+    }
+
+    if (date.getTime() <= Date.now()) {
+      throw invalidCampaign(`sendAt is in the past: ${date.toISOString()}`);
+    }
+
+    return { sendAt: date.toISOString(), timezone: zone };
+  }
+
+  // recipients: ["5215512345678", { to, variables }] or csv text with a phone column;
+  // every recipient needs a value for each template variable ({{number}} is built in)
+  buildRecipients({ recipients, csv }, template) {
+    const entries = csv
+      ? parseCsv(csv).map(record => this.fromCsvRecord(record))
+      : (Array.isArray(recipients) ? recipients : []).map(recipient => (typeof recipient === 'object' && recipient
+        ? { to: recipient.to, variables: recipient.variables || {} }
+        : { to: recipient, variables: {} }));
+
+    if (entries.length === 0) {
+      throw invalidCampaign('Provide recipients (a list or a CSV with a phone column)');
+    }
+
+    if (entries.length > config.campaigns.maxRecipients) {
+      throw invalidCampaign(`Too many recipients: ${entries.length} (maximum ${config.campaigns.maxRecipients})`);
+    }
+
+    // CSV rows are counted from the header
+    const row = index => (csv ? index + 2 : index + 1);
+    const invalid = entries
+      .map((entry, index) => ({ row: row(index), detail: String(entry.to ?? '') }))
+      .filter(({ detail }) => !detail.trim() || (!detail.includes('@') && !normalizeNumber(detail)));
+
+    if (invalid.length > 0) {
+      throw invalidCampaign(`Invalid phone numbers: ${describeRows(invalid)}`);
+    }
+
+    const required = getTemplateVariables([template.message, template.caption].join(' '))
+      .filter(name => name !== 'number');
+    const missing = entries
+      .map((entry, index) => ({
+        row: row(index),
+        detail: required.filter(name => [undefined, null, ''].includes(entry.variables[name])).join(', '),
+      }))
+      .filter(({ detail }) => detail);
+
+    if (missing.length > 0) {
+      throw invalidCampaign(`Missing template variables: ${describeRows(missing)}`);
+    }
+
+    const unique = new Map();
+    const now = new Date().toISOString();
+
+    entries.forEach((entry) => {
+      const chatId = toChatId(entry.to);
+
+      if (!unique.has(chatId)) {
+        unique.set(chatId, {
+          index: unique.size,
+          to: String(entry.to),
+          chatId,
+          variables: { number: normalizeNumber(chatId.split('@')[0]), ...entry.variables },
+          status: 'pending',
+          jobId: null,
+          messageId: null,
+          error: null,
+          updatedAt: now,
+        });
+      }
+    });
+
+    return { recipients: [...unique.values()], duplicates: entries.length - unique.size };
+  }
+
+  fromCsvRecord(record) {
+    const phoneColumn = Object.keys(record).find(column => PHONE_COLUMNS.includes(column.toLowerCase()));
+    const { [phoneColumn]: to, ...variables } = record;
+
+    return { to, variables };
+  }
+}
+
+module.exports = new CampaignService();
+module.exports.DISPATCH_JOB = DISPATCH_JOB;
+module.exports.MESSAGE_JOB = MESSAGE_JOB;
+module.exports.INVALID_CAMPAIGN = INVALID_CAMPAIGN;
+module.exports.CAMPAIGN_NOT_FOUND = CAMPAIGN_NOT_FOUND;
+module.exports.INVALID_CAMPAIGN_STATE = INVALID_CAMPAIGN_STATE;
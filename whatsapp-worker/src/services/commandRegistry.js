@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { isSameNumber } = require('../utils/phone');
+const i18n = require('./i18n');
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.commandsDir = path.join(__dirname, '..', 'commands');
+  }
+
+  // Load every command module found in the commands directory
+  loadCommands(dir = this.commandsDir) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js'));
+
+    files.forEach((file) => {
+      try {
+        this.register(require(path.join(dir, file)));
+      } catch (error) {
+        logger.error(`Error loading command module ${file}:`, error);
+      }
+    });
+
+    logger.bot(`Loaded ${this.commands.size} bot commands`);
+    return this.commands.size;
+  }
+
+  // Drop cached command modules and load them again from disk
+  reload(dir = this.commandsDir) {
+    Object.keys(require.cache)
+      .filter(file => file.startsWith(dir + path.sep))
+      .forEach((file) => {
+        delete require.cache[file];
+      });
+
+    this.commands.clear();
+    this.aliases.clear();
+
+    return this.loadCommands(dir);
+  }
+
+  // Register a single command definition
+  register(command) {
+    if (!command || !command.name || typeof command.execute !== 'function') {
+      throw new Error('Command must define a name and an execute function');
+    }
+
+    const name = command.name.toLowerCase();
+
+    if (this.commands.has(name) || this.aliases.has(name)) {
+      throw new Error(`Command name already registered: ${name}`);
+    }
+
+    const definition = {
+      aliases: [],
+      description: '',
+      args: [],
+      hidden: false,
+      adminOnly: false,
+      ...command,
+      name,
+    };
+
+    definition.aliases.forEach((alias) => {
+      const key = alias.toLowerCase();
+      if (this.commands.has(key) || this.aliases.has(key)) {
+        throw new Error(`Command alias already registered: ${key}`);
+      }
+      this.aliases.set(key, name);
+    });
+
+    this.commands.set(name, definition);
+    return definition;
+  }
+
+  // Resolve a command by name or alias
+  get(nameOrAlias) {
+    if (!nameOrAlias) return null;
+
+    const key = nameOrAlias.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  // List registered commands (hidden and admin ones excluded unless requested)
+  list({ includeHidden = false, includeAdmin = false } = {}) {
+    return Array.from(this.commands.values())
+      .filter(command => includeHidden || !command.hidden)
+      .filter(command => includeAdmin || !command.adminOnly)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Check whether a sender is listed in BOT_ADMIN_NUMBERS
+  isAdmin(number) {
+    return config.bot.adminNumbers.some(adminNumber => isSameNumber(adminNumber, number));
+  }
+
+  // Check whether a sender may run a command
+  canExecute(command, number) {
+    return !command.adminOnly || this.isAdmin(number);
+  }
+
+  // Split a message body into command name and raw arguments
+  parse(body, prefix = config.bot.prefix) {
+    if (!body || !body.startsWith(prefix)) {
+      return null;
+    }
+
+    const parts = body.slice(prefix.length).trim().split(/\s+/).filter(Boolean);
+
+    return {
+      command: (parts[0] || '').toLowerCase(),
+      args: parts.slice(1),
+    };
+  }
+
+  // Validate raw arguments against a command's argument spec
+  parseArgs(command, rawArgs = [], locale = i18n.defaultLocale) {
+    const values = {};
+
+    for (let i = 0; i < command.args.length; i++) {
+      const spec = command.args[i];
+      let value = spec.type === 'rest' ? rawArgs.slice(i).join(' ') : rawArgs[i];
+
+      if (value === undefined || value === '') {
+        if (spec.required) {
+          return { success: false, error: i18n.t(locale, 'args.missing', { name: spec.name }) };
+        }
+        values[spec.name] = spec.default;
+        continue;
+      }
+
+      if (spec.type === 'number') {
+        value = Number(value);
+        if (Number.isNaN(value)) {
+          return { success: false, error: i18n.t(locale, 'args.notNumber', { name: spec.name }) };
+        }
+      }
+
+      if (spec.choices) {
+        const choices = this.getChoices(command, spec, locale);
+        const choice = choices.find(({ value: canonical, label }) => [canonical, label.toLowerCase()].includes(String(value).toLowerCase()));
+
+        if (!choice) {
+          return {
+            success: false,
+            error: i18n.t(locale, 'args.invalidChoice', { name: spec.name, choices: choices.map(({ label }) => label).join(', ') }),
+          };
+        }
+
+        value = choice.value;
+      }
+
+      values[spec.name] = value;
+    }
+
+    return { success: true, values };
+  }
+
+  // Choices of an argument with their label in the locale ("groups" for "grupos" in English);
+  // both the label and the declared value are accepted
+  getChoices(command, spec, locale = i18n.defaultLocale) {
+    return spec.choices.map((value) => {
+      const key = `commands.${command.name}.choices.${spec.name}.${value}`;
+      return { value, label: i18n.has(locale, key) ? i18n.t(locale, key) : value };
+    });
+  }
+
+  // Build the usage line for a command, e.g. "!help [comando]"
+  getUsage(command, prefix = config.bot.prefix) {
+    const args = command.args.map((spec) => {
+      const label = spec.type === 'rest' ? `${spec.name}...` : spec.name;
+      return spec.required ? `<${label}>` : `[${label}]`;
+    });
+
+    return [`${prefix}${command.name}`, ...args].join(' ');
+  }
+
+  // Localized descriptions, falling back to the ones declared by the module
+  describe(command, locale = i18n.defaultLocale) {
+    const key = `commands.${command.name}.description`;
+    return i18n.has(locale, key) ? i18n.t(locale, key) : command.description;
+  }
+
+  describeArg(command, spec, locale = i18n.defaultLocale) {
+    const key = `commands.${command.name}.args.${spec.name}`;
+    return i18n.has(locale, key) ? i18n.t(locale, key) : spec.description;
+  }
+
+  // Generated help text for all commands available to the sender
+  getHelpText(prefix = config.bot.prefix, { isAdmin = false, locale = i18n.defaultLocale } = {}) {
+    const lines = this.list({ includeAdmin: isAdmin }).map((command) => {
+      const lock = command.adminOnly ? '🔒 ' : '';
+      return `${lock}${this.getUsage(command, prefix)} - ${this.describe(command, locale)}`;
+    });
+
+    return [
+      i18n.t(locale, 'help.title'),
+      '',
+      ...lines,
+      '',
+      i18n.t(locale, 'help.footer', { prefix }),
+    ].join('\n');
+  }
+
+  // Generated help text for a single command
+  getCommandHelpText(command, prefix = config.bot.prefix, locale = i18n.defaultLocale) {
+    const lines = [
+      `📖 *${prefix}${command.name}*`,
+      '',
+      this.describe(command, locale),
+      '',
+      i18n.t(locale, 'common.usage', { usage: this.getUsage(command, prefix) }),
+    ];
+
+    if (command.aliases.length > 0) {
+      lines.push(i18n.t(locale, 'help.aliases', { aliases: command.aliases.map(alias => `${prefix}${alias}`).join(', ') }));
+    }
+
+    if (command.args.length > 0) {
+      lines.push('', i18n.t(locale, 'help.arguments'));
+      command.args.forEach((spec) => {
+        const required = i18n.t(locale, spec.required ? 'help.required' : 'help.optional');
+        const description = this.describeArg(command, spec, locale);
+        lines.push(`• ${spec.name} (${required})${description ? ` - ${description}` : ''}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  // Get registry statistics
+  getStats() {
+    return {
+      totalCommands: this.commands.size,
+      commands: this.list({ includeHidden: true, includeAdmin: true }).map(command => ({
+        name: command.name,
+        aliases: command.aliases,
+        adminOnly: command.adminOnly,
+      })),
+    };
+  }
+}
+
+module.exports = new CommandRegistry();
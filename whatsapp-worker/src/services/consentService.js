@@ -0,0 +1,128 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const i18n = require('./i18n');
+const flowEngine = require('./flowEngine');
+const { normalizeNumber } = require('../utils/phone');
+const { normalizeText } = require('../utils/text');
+
+const REGISTRY_KEY = 'consent:registry';
+const HISTORY_LIMIT = 20;
+const STATUSES = ['opted_in', 'opted_out'];
+
+// Error code returned by the send methods when the recipient opted out
+const OPTED_OUT = 'OPTED_OUT';
+
+class ConsentService {
+  constructor() {
+    this.mode = config.consent.mode;
+  }
+
+  // Keywords of the contact's language plus the global ones of CONSENT_*_KEYWORDS (STOP/START
+  // by default); other languages' words ("sair", "alta") are ordinary words for this contact
+  getKeywords(type, locale = i18n.defaultLocale) {
+    const key = type === 'opt_out' ? 'optOutKeywords' : 'optInKeywords';
+    const fromCatalog = i18n.lookup(locale, `consent.${key}`) || i18n.lookup(i18n.defaultLocale, `consent.${key}`) || [];
+
+    return new Set([...fromCatalog, ...config.consent[key]].map(normalizeText));
+  }
+
+  // Whether a message is exactly an opt-out/opt-in keyword: 'opt_out', 'opt_in' or null
+  detectKeyword(body, locale = i18n.defaultLocale) {
+    const text = normalizeText(body);
+    if (!text) return null;
+
+    if (this.getKeywords('opt_out', locale).has(text)) return 'opt_out';
+    if (this.getKeywords('opt_in', locale).has(text)) return 'opt_in';
+    return null;
+  }
+
+  // Keyword of an incoming private message in the sender's language. An opt-out always wins
+  // and cancels the chat's active flow; an opt-in keyword during a flow is an answer to it
+  async detectMessageKeyword({ body, from, chatId, isGroup }) {
+    if (isGroup || !normalizeText(body)) return null;
+
+    const keyword = this.detectKeyword(body, await i18n.getContactLocale(from));
+
+    if (!keyword || !(await flowEngine.getSession(chatId))) {
+      return keyword;
+    }
+
+    if (keyword === 'opt_in') {
+      return null;
+    }
+
+    await flowEngine.cancel(chatId);
+    return keyword;
+  }
+
+  async getConsent(number) {
+    return queueService.getField(REGISTRY_KEY, normalizeNumber(number));
+  }
+
+  async listConsents({ status } = {}) {
+    const records = Object.values(await queueService.getAllFields(REGISTRY_KEY));
+    return status ? records.filter(record => record.status === status) : records;
+  }
+
+  // Record a consent change, keeping a short history of previous changes
+  async setConsent(number, status, { source = 'api', keyword = null } = {}) {
+    const digits = normalizeNumber(number);
+
+    if (!digits) {
+      return { success: false, error: 'Invalid number' };
+    }
+
+    if (!STATUSES.includes(status)) {
+      return { success: false, error: `Invalid status: ${status}. Use one of ${STATUSES.join(', ')}` };
+    }
+
+    try {
+      const previous = await queueService.getField(REGISTRY_KEY, digits);
+      const updatedAt = new Date().toISOString();
+      const record = {
+        number: digits,
+        status,
+        source,
+        keyword,
+        updatedAt,
+        history: [
+          { status, source, keyword, at: updatedAt },
+          ...(previous?.history || []),
+        ].slice(0, HISTORY_LIMIT),
+      };
+
+      await queueService.setField(REGISTRY_KEY, digits, record);
+
+      logger.bot(`Consent for ${digits} set to ${status}`, { source });
+      return { success: true, consent: record };
+    } catch (error) {
+      logger.error('Error saving consent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteConsent(number) {
+    try {
+      await queueService.deleteField(REGISTRY_KEY, normalizeNumber(number));
+      return { success: true };
+    } catch (error) {
+      logger.error('Error deleting consent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // opt-out mode sends unless the contact opted out; opt-in mode requires an explicit opt-in
+  async canSend(number) {
+    const record = await this.getConsent(number);
+
+    if (this.mode === 'opt-in') {
+      return record?.status === 'opted_in';
+    }
+
+    return record?.status !== 'opted_out';
+  }
+}
+
+module.exports = new ConsentService();
+module.exports.OPTED_OUT = OPTED_OUT;
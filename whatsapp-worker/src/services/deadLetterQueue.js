@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const webserviceClient = require('./webserviceClient');
+
+const ENTRIES_KEY = 'dead-letter:jobs';
+const STATUSES = ['dead', 'replayed'];
+
+// Jobs that used up all their attempts, kept with their payload, error and attempt
+// history until they are replayed or discarded. Replayed jobs carry opts.replayOf
+// with the id of the entry they come from.
+class DeadLetterQueue {
+  constructor() {
+    queueService.onJobExhausted((queueName, job, error) => this.add(queueName, job, error));
+  }
+
+  async add(queueName, job, error) {
+    const entry = {
+      id: crypto.randomUUID(),
+      status: 'dead',
+      queueName,
+      jobId: String(job.id),
+      jobType: job.name,
+      data: job.data,
+      options: {
+        priority: job.opts.priority,
+        attempts: job.opts.attempts,
+      },
+      error: {
+        message: error.message,
+        stack: error.stack,
+      },
+      // Bull keeps one stack trace per failed attempt
+      attempts: (job.stacktrace || []).map((stack, index) => ({
+        attempt: index + 1,
+        error: String(stack).split('\n')[0],
+        stack,
+      })),
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp).toISOString(),
+      failedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+      replayOf: job.opts.replayOf || null,
+      replays: [],
+    };
+
+    await queueService.setField(ENTRIES_KEY, entry.id, entry);
+
+    logger.queue(`Job ${job.id} (${job.name}) moved to the dead-letter queue`, {
+      entryId: entry.id,
+      error: error.message,
+    });
+
+    await webserviceClient.logWhatsAppEvent('job_dead_lettered', this.summarize(entry));
+    return entry;
+  }
+
+  async get(id) {
+    return queueService.getField(ENTRIES_KEY, id);
+  }
+
+  // Entries matching every given filter, most recent failure first
+  async list(filter = {}) {
+    const entries = Object.values(await queueService.getAllFields(ENTRIES_KEY));
+
+    return entries
+      .filter(entry => this.matches(entry, filter))
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  }
+
+  // filter: { status, queue, jobType, error (text in the message), since, until (ISO dates) }
+  matches(entry, { status, queue, jobType, error, since, until } = {}) {
+    return (!status || entry.status === status)
+      && (!queue || entry.queueName === queue)
+      && (!jobType || entry.jobType === jobType)
+      && (!error || entry.error.message.toLowerCase().includes(String(error).toLowerCase()))
+      && (!since || entry.failedAt >= new Date(since).toISOString())
+      && (!until || entry.failedAt <= new Date(until).toISOString());
+  }
+
+  validateFilter({ status, since, until } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      return `Invalid status: ${status}. Use one of ${STATUSES.join(', ')}`;
+    }
+
+    const invalidDate = [since, until].find(date => date && Number.isNaN(new Date(date).getTime()));
+    return invalidDate ? `Invalid date: ${invalidDate}` : null;
+  }
+
+  summarize({ data, attempts, error, ...entry }) {
+    return { ...entry, error: error.message, replays: entry.replays.length };
+  }
+
+  // Queue the job again with fresh attempts; the entry stays as the record of the failure
+  async replay(id) {
+    const entry = await this.get(id);
+
+    if (!entry) {
+      return { success: false, error: `Dead-letter entry not found: ${id}` };
+    }
+
+    const job = await queueService.addJob(entry.queueName, entry.jobType, entry.data, {
+      ...(entry.options.priority !== undefined && { priority: entry.options.priority }),
+      replayOf: entry.id,
+    });
+
+    if (!job.success) {
+      return job;
+    }
+
+    const updated = {
+      ...entry,
+      status: 'replayed',
+      replays: [...entry.replays, { jobId: String(job.jobId), replayedAt: new Date().toISOString() }],
+    };
+    await queueService.setField(ENTRIES_KEY, id, updated);
+
+    logger.queue(`Dead-letter entry ${id} replayed as job ${job.jobId}`);
+    return { success: true, entryId: id, jobId: job.jobId };
+  }
+
+  // Replay every entry matching the filter (only entries not replayed yet unless status says otherwise)
+  async replayMatching(filter = {}, limit = Infinity) {
+    const entries = (await this.list({ status: 'dead', ...filter })).slice(0, limit);
+    const results = [];
+
+    for (const entry of entries) {
+      results.push(await this.replay(entry.id));
+    }
+
+    return {
+      success: true,
+      replayed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results,
+    };
+  }
+
+  async discard(id) {
+    if (!(await this.get(id))) {
+      return { success: false, error: `Dead-letter entry not found: ${id}` };
+    }
+
+    await queueService.deleteField(ENTRIES_KEY, id);
+    return { success: true };
+  }
+
+  async discardMatching(filter = {}) {
+    const entries = await this.list(filter);
+
+    for (const entry of entries) {
+      await queueService.deleteField(ENTRIES_KEY, entry.id);
+    }
+
+    logger.queue(`Discarded ${entries.length} dead-letter entries`, filter);
+    return { success: true, discarded: entries.length };
+  }
+}
+
+module.exports = new DeadLetterQueue();
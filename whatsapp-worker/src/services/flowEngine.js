@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const webserviceClient = require('./webserviceClient');
+const i18n = require('./i18n');
+
+const SESSION_PREFIX = 'flow:session:';
+
+class FlowEngine {
+  constructor() {
+    this.flows = new Map();
+    this.flowsDir = path.join(__dirname, '..', 'flows');
+  }
+
+  // Load every flow definition found in the flows directory
+  loadFlows(dir = this.flowsDir) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js'));
+
+    files.forEach((file) => {
+      try {
+        this.register(require(path.join(dir, file)));
+      } catch (error) {
+        logger.error(`Error loading flow module ${file}:`, error);
+      }
+    });
+
+    logger.bot(`Loaded ${this.flows.size} conversational flows`);
+    return this.flows.size;
+  }
+
+  // Register a single flow definition
+  register(flow) {
+    if (!flow || !flow.name || !flow.steps || !flow.steps[flow.initial]) {
+      throw new Error('Flow must define a name, steps and a valid initial step');
+    }
+
+    const name = flow.name.toLowerCase();
+
+    if (this.flows.has(name)) {
+      throw new Error(`Flow already registered: ${name}`);
+    }
+
+    const definition = {
+      description: '',
+      allowGroups: false,
+      timeout: config.flows.sessionTtl,
+      ...flow,
+      name,
+    };
+
+    this.flows.set(name, definition);
+    return definition;
+  }
+
+  get(name) {
+    return name ? this.flows.get(name.toLowerCase()) || null : null;
+  }
+
+  list() {
+    return Array.from(this.flows.values()).map(flow => ({
+      name: flow.name,
+      description: flow.description,
+      steps: Object.keys(flow.steps),
+    }));
+  }
+
+  // Session persistence
+  getSessionKey(chatId) {
+    return `${SESSION_PREFIX}${chatId}`;
+  }
+
+  async getSession(chatId) {
+    return await queueService.getValue(this.getSessionKey(chatId));
+  }
+
+  async saveSession(session) {
+    const flow = this.get(session.flow);
+    session.updatedAt = new Date().toISOString();
+    await queueService.setValue(this.getSessionKey(session.chatId), session, flow.timeout);
+  }
+
+  async endSession(chatId) {
+    await queueService.deleteValue(this.getSessionKey(chatId));
+  }
+
+  // Start a flow for a chat and return the first prompt
+  async start(flowName, { chatId, from, isGroup = false, data = {}, locale = null }) {
+    try {
+      const flow = this.get(flowName);
+
+      if (!flow) {
+        return { success: false, error: `Flow not found: ${flowName}` };
+      }
+
+      if (isGroup && !flow.allowGroups) {
+        return { success: false, error: `Flow ${flow.name} is not available in groups` };
+      }
+
+      const session = {
+        flow: flow.name,
+        chatId,
+        from,
+        step: flow.initial,
+        answers: {},
+        data,
+        locale: locale || await i18n.getContactLocale(from),
+        startedAt: new Date().toISOString(),
+      };
+
+      this.setStepExpiry(flow, session);
+      await this.saveSession(session);
+
+      logger.bot(`Flow ${flow.name} started`, { chatId, from });
+
+      return {
+        success: true,
+        flow: flow.name,
+        reply: this.renderPrompt(flow.steps[session.step], session),
+      };
+    } catch (error) {
+      logger.error('Error starting flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Cancel the active flow of a chat, if any
+  async cancel(chatId) {
+    try {
+      const session = await this.getSession(chatId);
+
+      if (!session) {
+        return { success: false, error: 'No active flow' };
+      }
+
+      await this.endSession(chatId);
+
+      await webserviceClient.logWhatsAppEvent('flow_cancelled', {
+        flow: session.flow,
+        chatId,
+        from: session.from,
+        step: session.step,
+        timestamp: new Date().toISOString(),
+      });
+
+      return { success: true, flow: session.flow };
+    } catch (error) {
+      logger.error('Error cancelling flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Feed an incoming message to the chat's active flow.
+  // Returns { handled: false } when the chat has no active flow.
+  async handleMessage(messageData) {
+    const session = await this.getSession(messageData.chatId);
+
+    if (!session) {
+      return { handled: false };
+    }
+
+    const flow = this.get(session.flow);
+
+    if (!flow) {
+      await this.endSession(messageData.chatId);
+      return { handled: false };
+    }
+
+    const input = (messageData.body || '').trim();
+
+    if (config.flows.cancelKeywords.includes(input.toLowerCase())) {
+      await this.cancel(messageData.chatId);
+      return {
+        handled: true,
+        flow: flow.name,
+        cancelled: true,
+        reply: this.renderText(flow.cancelMessage || i18n.t(session.locale, 'flow.cancelled'), session),
+      };
+    }
+
+    if (session.stepExpiresAt && Date.now() > session.stepExpiresAt) {
+      await this.endSession(messageData.chatId);
+
+      await webserviceClient.logWhatsAppEvent('flow_expired', {
+        flow: flow.name,
+        chatId: session.chatId,
+        from: session.from,
+        step: session.step,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        handled: true,
+        flow: flow.name,
+        expired: true,
+        reply: this.renderText(flow.timeoutMessage || i18n.t(session.locale, 'flow.expired'), session),
+      };
+    }
+
+    const step = flow.steps[session.step];
+    const validation = this.validateInput(step, input, session);
+
+    if (!validation.success) {
+      return {
+        handled: true,
+        flow: flow.name,
+        step: session.step,
+        reply: `${validation.error}\n\n${this.renderPrompt(step, session)}`,
+      };
+    }
+
+    session.answers[step.field || session.step] = validation.value;
+
+    const nextStep = typeof step.next === 'function'
+      ? step.next(validation.value, session.answers, session)
+      : step.next;
+
+    if (!nextStep) {
+      return await this.complete(flow, session);
+    }
+
+    if (!flow.steps[nextStep]) {
+      throw new Error(`Flow ${flow.name} has no step named ${nextStep}`);
+    }
+
+    session.step = nextStep;
+    this.setStepExpiry(flow, session);
+    await this.saveSession(session);
+
+    return {
+      handled: true,
+      flow: flow.name,
+      step: nextStep,
+      reply: this.renderPrompt(flow.steps[nextStep], session),
+    };
+  }
+
+  // Deliver collected answers and close the session
+  async complete(flow, session) {
+    await this.endSession(session.chatId);
+
+    const payload = {
+      flow: flow.name,
+      chatId: session.chatId,
+      from: session.from,
+      answers: session.answers,
+      data: session.data,
+      startedAt: session.startedAt,
+      completedAt: new Date().toISOString(),
+    };
+
+    const delivery = flow.onComplete || {};
+    let result;
+
+    if (delivery.type === 'supabase') {
+      result = await webserviceClient.syncToSupabase(delivery.table, payload);
+    } else {
+      result = await webserviceClient.queueJob(delivery.jobType || 'process-flow-result', payload);
+    }
+
+    if (!result.success) {
+      logger.error(`Failed to deliver flow ${flow.name} result`, { chatId: session.chatId, error: result.error });
+    }
+
+    await webserviceClient.logWhatsAppEvent('flow_completed', {
+      flow: flow.name,
+      chatId: session.chatId,
+      from: session.from,
+      delivered: result.success,
+      timestamp: payload.completedAt,
+    });
+
+    logger.bot(`Flow ${flow.name} completed`, { chatId: session.chatId });
+
+    return {
+      handled: true,
+      flow: flow.name,
+      completed: true,
+      answers: session.answers,
+      reply: this.renderText(flow.completeMessage || i18n.t(session.locale, 'flow.completed'), session),
+    };
+  }
+
+  // Step helpers
+  validateInput(step, input, session) {
+    let value = input;
+
+    if (step.choices) {
+      const choice = step.choices.find(option => option.toLowerCase() === input.toLowerCase());
+      if (!choice) {
+        return {
+          success: false,
+          error: this.renderText(step.errorMessage, session)
+            || i18n.t(session.locale, 'flow.invalidChoice', { choices: step.choices.join(', ') }),
+        };
+      }
+      value = choice;
+    }
+
+    if (step.validate instanceof RegExp && !step.validate.test(input)) {
+      return { success: false, error: this.renderText(step.errorMessage, session) || i18n.t(session.locale, 'flow.invalidInput') };
+    }
+
+    if (typeof step.validate === 'function') {
+      const outcome = step.validate(input, session.answers);
+      if (outcome !== true) {
+        return {
+          success: false,
+          error: typeof outcome === 'string'
+            ? outcome
+            : this.renderText(step.errorMessage, session) || i18n.t(session.locale, 'flow.invalidInput'),
+        };
+      }
+    }
+
+    if (typeof step.transform === 'function') {
+      value = step.transform(value, session.answers);
+    }
+
+    return { success: true, value };
+  }
+
+  setStepExpiry(flow, session) {
+    const step = flow.steps[session.step];
+    session.stepExpiresAt = step.timeout ? Date.now() + step.timeout * 1000 : null;
+  }
+
+  renderPrompt(step, session) {
+    return this.renderText(step.prompt, session);
+  }
+
+  // Texts may be plain strings, functions of the answers, or objects keyed by locale
+  renderText(text, session) {
+    if (typeof text === 'function') {
+      return text(session.answers, session);
+    }
+
+    return i18n.localize(text, session.locale);
+  }
+}
+
+module.exports = new FlowEngine();
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const i18n = require('./i18n');
+const { readStructuredFile } = require('../utils/files');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  locale: null,
+  welcome: { enabled: true, text: null }, // null uses the group.welcome catalog entry
+  farewell: { enabled: false, text: null }, // null uses the group.farewell catalog entry
+  rules: { text: null, link: null, delivery: 'group' }, // delivery: group | dm
+};
+
+// Per-group welcome/farewell templates loaded from a JSON/YAML file. "default" applies
+// to every group, entries under "groups" override it for a single group id.
+// Joins and leaves are batched per group so a wave of members gets a single message.
+class GroupGreetings {
+  constructor() {
+    this.defaultSettings = {};
+    this.groupSettings = {};
+    this.settingsFile = path.resolve(config.groupGreetings.file);
+    this.lastLoadedAt = null;
+    this.isWatching = false;
+    this.pending = new Map();
+  }
+
+  loadSettings(file = this.settingsFile) {
+    try {
+      const parsed = readStructuredFile(file);
+
+      this.defaultSettings = parsed?.default || {};
+      this.groupSettings = parsed?.groups || {};
+      this.lastLoadedAt = new Date().toISOString();
+
+      const groups = Object.keys(this.groupSettings).length;
+      logger.bot(parsed === null
+        ? 'Group greetings file not found, using the default templates'
+        : `Loaded group greetings (${groups} group overrides)`);
+      return { success: true, groups };
+    } catch (error) {
+      // Keep the previous settings when the file is invalid
+      logger.error('Error loading group greetings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  watch() {
+    if (this.isWatching) return;
+
+    fs.watchFile(this.settingsFile, { interval: config.groupGreetings.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.bot('Group greetings file changed, reloading...');
+        this.loadSettings();
+      }
+    });
+
+    this.isWatching = true;
+  }
+
+  // Stop watching the file and drop greetings still waiting for their batch window
+  shutdown() {
+    if (this.isWatching) {
+      fs.unwatchFile(this.settingsFile);
+      this.isWatching = false;
+    }
+
+    this.pending.forEach(batch => clearTimeout(batch.timer));
+    this.pending.clear();
+  }
+
+  // Effective settings of a group: built-in defaults, then "default", then the group entry
+  getSettings(chatId) {
+    const override = this.groupSettings[chatId] || {};
+    const merge = key => ({
+      ...DEFAULT_SETTINGS[key],
+      ...this.defaultSettings[key],
+      ...override[key],
+    });
+
+    return {
+      ...DEFAULT_SETTINGS,
+      ...this.defaultSettings,
+      ...override,
+      welcome: merge('welcome'),
+      farewell: merge('farewell'),
+      rules: merge('rules'),
+    };
+  }
+
+  // Collect participants for the batch window, then call flush once with all of them
+  schedule(kind, chatId, participantIds, flush) {
+    const key = `${kind}:${chatId}`;
+    const batch = this.pending.get(key) || { ids: new Set(), timer: null };
+
+    participantIds.forEach(id => batch.ids.add(id));
+
+    if (!batch.timer) {
+      batch.timer = setTimeout(async () => {
+        this.pending.delete(key);
+
+        try {
+          await flush([...batch.ids]);
+        } catch (error) {
+          logger.error(`Error sending group ${kind}:`, error);
+        }
+      }, config.groupGreetings.batchWindow * 1000);
+    }
+
+    this.pending.set(key, batch);
+  }
+
+  // Render a welcome/farewell template, falling back to the catalog entry
+  render(template, catalogKey, locale, vars) {
+    const text = i18n.localize(template, locale);
+
+    return text
+      ? i18n.format(locale, text, vars)
+      : i18n.t(locale, catalogKey, vars);
+  }
+
+  getAllSettings() {
+    return {
+      default: this.defaultSettings,
+      groups: this.groupSettings,
+      file: this.settingsFile,
+      lastLoadedAt: this.lastLoadedAt,
+    };
+  }
+}
+
+module.exports = new GroupGreetings();
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const { normalizeNumber } = require('../utils/phone');
+
+const LOCALE_PREFIX = 'i18n:locale:';
+
+// Country calling codes used to guess a contact's language
+const COUNTRY_CODE_LOCALES = {
+  1: 'en', // US / Canada
+  44: 'en', // United Kingdom
+  61: 'en', // Australia
+  353: 'en', // Ireland
+  55: 'pt', // Brazil
+  351: 'pt', // Portugal
+  244: 'pt', // Angola
+  258: 'pt', // Mozambique
+  34: 'es', // Spain
+  52: 'es', // Mexico
+  53: 'es', // Cuba
+  54: 'es', // Argentina
+  56: 'es', // Chile
+  57: 'es', // Colombia
+  58: 'es', // Venezuela
+  51: 'es', // Peru
+};
+
+class I18n {
+  constructor() {
+    this.catalogs = {};
+    this.defaultLocale = config.i18n.defaultLocale;
+    this.localesDir = path.join(__dirname, '..', 'locales');
+    this.loadCatalogs();
+  }
+
+  // Load every catalog found in the locales directory
+  loadCatalogs(dir = this.localesDir) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .forEach((file) => {
+        this.catalogs[path.basename(file, '.js')] = require(path.join(dir, file));
+      });
+
+    if (!this.catalogs[this.defaultLocale]) {
+      logger.warn(`Default locale ${this.defaultLocale} has no catalog`);
+    }
+  }
+
+  getSupportedLocales() {
+    return Object.keys(this.catalogs);
+  }
+
+  isSupported(locale) {
+    return !!locale && Object.prototype.hasOwnProperty.call(this.catalogs, locale);
+  }
+
+  // Translate a key, falling back to the default locale and then to the key itself
+  t(locale, key, vars = {}) {
+    let entry = this.lookup(locale, key);
+
+    if (entry === undefined && locale !== this.defaultLocale) {
+      entry = this.lookup(this.defaultLocale, key);
+    }
+
+    if (entry === undefined) {
+      return key;
+    }
+
+    return this.format(locale, entry, vars);
+  }
+
+  // Check whether a key exists in the locale or in the default catalog
+  has(locale, key) {
+    return this.lookup(locale, key) !== undefined || this.lookup(this.defaultLocale, key) !== undefined;
+  }
+
+  lookup(locale, key) {
+    const catalog = this.catalogs[locale];
+    if (!catalog) return undefined;
+
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  }
+
+  // Pick the plural form (when the entry has one) and interpolate {{vars}}
+  format(locale, entry, vars) {
+    let template = entry;
+
+    if (template && typeof template === 'object') {
+      const category = new Intl.PluralRules(locale).select(Number(vars.count) || 0);
+      template = template[category] ?? template.other;
+    }
+
+    if (typeof template !== 'string') {
+      return '';
+    }
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+      vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+    ));
+  }
+
+  // Guess a locale from the number's country calling code
+  inferLocale(number) {
+    const digits = normalizeNumber(number);
+
+    for (let length = 3; length >= 1; length--) {
+      const locale = COUNTRY_CODE_LOCALES[digits.slice(0, length)];
+      if (locale && this.isSupported(locale)) {
+        return locale;
+      }
+    }
+
+    return this.defaultLocale;
+  }
+
+  // Contact language: explicit preference, then country code, then default
+  async getContactLocale(number) {
+    try {
+      const stored = await queueService.getValue(`${LOCALE_PREFIX}${normalizeNumber(number)}`);
+      if (this.isSupported(stored)) {
+        return stored;
+      }
+    } catch (error) {
+      logger.debug('Could not read contact locale:', error.message);
+    }
+
+    return this.inferLocale(number);
+  }
+
+  async setContactLocale(number, locale) {
+    if (!this.isSupported(locale)) {
+      return { success: false, error: `Unsupported locale: ${locale}` };
+    }
+
+    try {
+      await queueService.setValue(`${LOCALE_PREFIX}${normalizeNumber(number)}`, locale);
+      return { success: true, locale };
+    } catch (error) {
+      logger.error('Error saving contact locale:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resolve a value that can be a plain string or an object keyed by locale
+  localize(value, locale = this.defaultLocale) {
+    if (value && typeof value === 'object') {
+      return value[locale] || value[this.defaultLocale] || Object.values(value)[0];
+    }
+
+    return value;
+  }
+
+  // Welcome text for a locale; BOT_WELCOME_MESSAGE overrides the default locale template
+  getWelcomeMessage(locale = this.defaultLocale) {
+    if (config.bot.welcomeMessage && locale === this.defaultLocale) {
+      return this.format(locale, config.bot.welcomeMessage, { prefix: config.bot.prefix });
+    }
+
+    return this.t(locale, 'welcome', { prefix: config.bot.prefix });
+  }
+}
+
+module.exports = new I18n();
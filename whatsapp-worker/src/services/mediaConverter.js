@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const mime = require('mime-types');
+const { MessageMedia } = require('whatsapp-web.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { INVALID_MEDIA } = require('./mediaService');
+
+// Conversion targets and the send options WhatsApp needs for each of them
+const TARGETS = {
+  sticker: { sendOptions: { sendMediaAsSticker: true } },
+  voice: { sendOptions: { sendAudioAsVoice: true } },
+  image: { sendOptions: {} },
+  video: { sendOptions: {} },
+};
+
+const STICKER_SIZE = 512;
+
+// Input the tools cannot convert is bad media, so the job fails for good instead of retrying
+const invalidMedia = message => Object.assign(new Error(message), { code: INVALID_MEDIA });
+
+const replaceExtension = (filename, extension) => (filename
+  ? `${path.parse(filename).name}.${extension}`
+  : null);
+
+// Converts outgoing media to the formats WhatsApp expects: images to WebP stickers
+// (sharp), audio to OGG/Opus voice notes and video to H.264/AAC MP4 (ffmpeg), and
+// oversize images to resized JPEGs (sharp). Both tools must be installed locally.
+class MediaConverter {
+  getTargets() {
+    return Object.keys(TARGETS);
+  }
+
+  isTarget(target) {
+    return Object.prototype.hasOwnProperty.call(TARGETS, target);
+  }
+
+  // Returns { media, sendOptions } with the converted MessageMedia
+  async convert(media, target) {
+    if (!this.isTarget(target)) {
+      throw invalidMedia(`Unknown conversion: ${target}. Use one of ${this.getTargets().join(', ')}`);
+    }
+
+    const input = Buffer.from(media.data, 'base64');
+    const startedAt = Date.now();
+    let converted;
+
+    switch (target) {
+      case 'sticker':
+        converted = await this.toSticker(input, media);
+        break;
+      case 'voice':
+        converted = await this.toVoiceNote(input, media);
+        break;
+      case 'image':
+        converted = await this.toImage(input, media);
+        break;
+      default:
+        converted = await this.toVideo(input, media);
+        break;
+    }
+
+    logger.whatsapp(`Converted ${media.mimetype} to ${target} in ${Date.now() - startedAt}ms`, {
+      from: input.length,
+      to: converted.filesize,
+    });
+
+    return { media: converted, sendOptions: TARGETS[target].sendOptions };
+  }
+
+  async toSticker(input, media) {
+    const output = await this.decode(this.sharp(input, { animated: true })
+      .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .webp({ quality: config.mediaConversion.stickerQuality })
+      .toBuffer());
+
+    return this.toMessageMedia(output, 'image/webp', replaceExtension(media.filename, 'webp'));
+  }
+
+  // Images within the size and dimension limits are sent untouched
+  async toImage(input, media) {
+    const { maxImageDimension, maxImageSize, jpegQuality } = config.mediaConversion;
+    const metadata = await this.decode(this.sharp(input).metadata());
+    const oversize = input.length > maxImageSize
+      || metadata.width > maxImageDimension
+      || metadata.height > maxImageDimension;
+
+    if (!oversize && ['jpeg', 'png'].includes(metadata.format)) {
+      return media;
+    }
+
+    const output = await this.decode(this.sharp(input)
+      .rotate() // apply the EXIF orientation before it is stripped
+      .resize(maxImageDimension, maxImageDimension, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: jpegQuality, mozjpeg: true })
+      .toBuffer());
+
+    return this.toMessageMedia(output, 'image/jpeg', replaceExtension(media.filename, 'jpg'));
+  }
+
+  async toVoiceNote(input, media) {
+    const output = await this.ffmpeg(input, media, 'ogg', [
+      '-vn',
+      '-c:a', 'libopus',
+      '-b:a', '32k',
+      '-ac', '1',
+      '-ar', '48000',
+      '-application', 'voip',
+    ]);
+
+    return this.toMessageMedia(output, 'audio/ogg; codecs=opus', replaceExtension(media.filename, 'ogg'));
+  }
+
+  async toVideo(input, media) {
+    const { maxVideoDimension } = config.mediaConversion;
+    const output = await this.ffmpeg(input, media, 'mp4', [
+      // Fit inside the maximum dimension keeping even sizes, as H.264 requires
+      '-vf', `scale='min(${maxVideoDimension},iw)':'min(${maxVideoDimension},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+      '-c:v', 'libx264',
+      '-profile:v', 'baseline',
+      '-level', '3.1',
+      '-pix_fmt', 'yuv420p',
+      '-preset', 'veryfast',
+      '-crf', '28',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-movflags', '+faststart',
+    ]);
+
+    return this.toMessageMedia(output, 'video/mp4', replaceExtension(media.filename, 'mp4'));
+  }
+
+  toMessageMedia(buffer, mimetype, filename) {
+    return new MessageMedia(mimetype, buffer.toString('base64'), filename, buffer.length);
+  }
+
+  // sharp only fails once it reads the input: unsupported or corrupt images
+  async decode(pending) {
+    try {
+      return await pending;
+    } catch (error) {
+      throw invalidMedia(`Could not convert the image: ${error.message}`);
+    }
+  }
+
+  // sharp is an optional dependency loaded on first use, so the worker runs without it
+  // (for instance where its prebuilt binaries are not available) until an image is converted
+  sharp(input, options) {
+    let sharp;
+
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      throw new Error('Image conversion requires sharp (npm install sharp)');
+    }
+
+    return sharp(input, options);
+  }
+
+  // Run ffmpeg through temporary files: several containers (MP4 among them) need seekable input/output
+  async ffmpeg(input, media, extension, args) {
+    const base = path.join(os.tmpdir(), `wa-convert-${crypto.randomUUID()}`);
+    const inputFile = `${base}.${mime.extension(media.mimetype) || 'bin'}`;
+    const outputFile = `${base}-out.${extension}`;
+
+    try {
+      await fs.promises.writeFile(inputFile, input);
+      await this.runFfmpeg(['-hide_banner', '-loglevel', 'error', '-y', '-i', inputFile, ...args, outputFile]);
+      return await fs.promises.readFile(outputFile);
+    } finally {
+      await Promise.all([inputFile, outputFile].map(file => fs.promises.rm(file, { force: true })));
+    }
+  }
+
+  runFfmpeg(args) {
+    const { ffmpegPath, timeout } = config.mediaConversion;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`ffmpeg timed out after ${timeout}ms`));
+      }, timeout);
+
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT'
+          ? new Error(`ffmpeg not found at "${ffmpegPath}" (set FFMPEG_PATH)`)
+          : error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+
+        if (code === 0) {
+          resolve();
+        } else {
+          // Missing tools and timeouts are rejected above; a failed run means input ffmpeg cannot read
+          reject(invalidMedia(`ffmpeg could not convert the media (exit code ${code}): ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = new MediaConverter();
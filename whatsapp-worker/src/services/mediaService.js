@@ -0,0 +1,214 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const axios = require('axios');
+const mime = require('mime-types');
+const { MessageMedia } = require('whatsapp-web.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const mediaStorage = require('./mediaStorage');
+const { publicLookup, assertPublicHost } = require('../utils/network');
+
+// Error code of media that cannot be sent (bad input, too large, outside the media directory)
+const INVALID_MEDIA = 'INVALID_MEDIA';
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const invalidMedia = message => Object.assign(new Error(message), { code: INVALID_MEDIA });
+
+// Downloads only connect to public addresses, whatever the URL or its redirects resolve to
+const DOWNLOAD_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// Builds the MessageMedia of an outgoing message from what API callers can supply:
+//   "https://..." or { url, filename }             downloaded by the worker
+//   { data, mimetype, filename } or a data: URL    base64 payload (multipart uploads end up here)
+//   "invoice.pdf" or { path, filename }            file inside the media directory
+//   { key, filename }                              file of the media storage, only in the worker's
+//                                                  own jobs (see isStorageReference)
+class MediaService {
+  constructor() {
+    this.directory = path.resolve(config.media.directory);
+  }
+
+  async resolve(media) {
+    if (!media) {
+      throw invalidMedia('Missing media');
+    }
+
+    if (typeof media === 'string') {
+      if (/^https?:\/\//i.test(media)) return this.fromUrl(media);
+      if (DATA_URL_PATTERN.test(media)) return this.fromBase64(media);
+      return this.fromPath(media);
+    }
+
+    if (media.url) return this.fromUrl(media.url, media.filename);
+    if (media.data) return this.fromBase64(media.data, media.mimetype, media.filename);
+    if (media.path) return this.fromPath(media.path, media.filename);
+    if (media.key) return this.fromStorage(media.key, media.filename);
+
+    throw invalidMedia('Media must be a URL, a base64 payload with its mimetype or a file of the media directory');
+  }
+
+  // Inline payloads are moved to the media storage so queued jobs only carry a reference;
+  // URLs and media directory files are kept as they are and resolved when sent
+  async toReference(media) {
+    const inline = typeof media === 'string' ? DATA_URL_PATTERN.test(media) : !!media?.data;
+
+    return inline ? this.toStoredReference(media) : media;
+  }
+
+  // Any media copied to the media storage, for content sent many times (campaigns): it is
+  // downloaded or read once and every job sends the stored copy
+  async toStoredReference(media) {
+    const resolved = await this.resolve(media);
+    const stored = await mediaStorage.store(Buffer.from(resolved.data, 'base64'), { mimetype: resolved.mimetype });
+
+    return { key: stored.key, filename: resolved.filename };
+  }
+
+  // API and webhook input may not name stored files; references are made by toReference
+  isStorageReference(media) {
+    return !!media && typeof media === 'object' && media.key !== undefined;
+  }
+
+  // MEDIA_ALLOWED_HOSTS limits downloads to those hosts and their subdomains
+  isAllowedHost(hostname) {
+    const { allowedHosts } = config.media;
+    const host = hostname.toLowerCase();
+
+    return allowedHosts.length === 0 || allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+  }
+
+  // Only public http(s) hosts; the whole download must fit in the size limit and the timeout
+  async fromUrl(url, filename = null) {
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw invalidMedia(`Invalid media URL: ${url}`);
+    }
+
+    const assertHost = (hostname) => {
+      if (!this.isAllowedHost(hostname)) {
+        throw invalidMedia(`Media host is not allowed: ${hostname}`);
+      }
+
+      try {
+        assertPublicHost(hostname);
+      } catch (error) {
+        throw invalidMedia(`Media host is not allowed: ${error.message}`);
+      }
+    };
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw invalidMedia(`Invalid media URL: ${url}`);
+    }
+
+    assertHost(parsed.hostname);
+
+    let response;
+
+    try {
+      response = await axios.get(parsed.href, {
+        ...DOWNLOAD_AGENTS,
+        responseType: 'arraybuffer',
+        timeout: config.media.downloadTimeout,
+        signal: AbortSignal.timeout(config.media.downloadTimeout),
+        maxContentLength: config.media.maxSize,
+        maxRedirects: 5,
+        beforeRedirect: options => assertHost(options.hostname),
+        proxy: false,
+      });
+    } catch (error) {
+      throw invalidMedia(`Could not download media from ${parsed.href}: ${error.message}`);
+    }
+
+    const name = filename || decodeURIComponent(path.basename(parsed.pathname)) || null;
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const mimetype = contentType && contentType !== 'application/octet-stream'
+      ? contentType
+      : mime.lookup(name || '') || 'application/octet-stream';
+
+    logger.whatsapp(`Downloaded media from ${parsed.host}`, { mimetype, size: response.data.byteLength });
+    return new MessageMedia(mimetype, Buffer.from(response.data).toString('base64'), name, response.data.byteLength);
+  }
+
+  fromBase64(data, mimetype = null, filename = null) {
+    const dataUrl = String(data).match(DATA_URL_PATTERN);
+    const base64 = String(data).replace(DATA_URL_PATTERN, '').replace(/\s/g, '');
+    const type = mimetype || dataUrl?.[1] || mime.lookup(filename || '');
+
+    if (!type) {
+      throw invalidMedia('mimetype is required for base64 media');
+    }
+
+    if (!base64 || !BASE64_PATTERN.test(base64)) {
+      throw invalidMedia('Media data is not valid base64');
+    }
+
+    const size = Math.floor(base64.length * 3 / 4) - (base64.match(/=+$/)?.[0].length || 0);
+    this.assertSize(size);
+
+    return new MessageMedia(type, base64, filename, size);
+  }
+
+  async fromStorage(key, filename = null) {
+    const stored = await mediaStorage.read(key);
+
+    if (!stored) {
+      throw invalidMedia(`Stored media not found: ${key}`);
+    }
+
+    return new MessageMedia(stored.mimetype, stored.buffer.toString('base64'), filename, stored.buffer.length);
+  }
+
+  // Local files are only read inside the media directory, symlinks included
+  async fromPath(file, filename = null) {
+    let realDirectory;
+    let realFile;
+
+    try {
+      realDirectory = await fs.promises.realpath(this.directory);
+      realFile = await fs.promises.realpath(path.resolve(this.directory, file));
+    } catch (error) {
+      throw invalidMedia(`Media file not found: ${file}`);
+    }
+
+    const relative = path.relative(realDirectory, realFile);
+
+    if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+      throw invalidMedia(`Media file is outside the media directory: ${file}`);
+    }
+
+    const stats = await fs.promises.stat(realFile);
+
+    if (!stats.isFile()) {
+      throw invalidMedia(`Media path is not a file: ${file}`);
+    }
+
+    this.assertSize(stats.size);
+
+    const media = MessageMedia.fromFilePath(realFile);
+
+    if (filename) {
+      media.filename = filename;
+    }
+
+    return media;
+  }
+
+  assertSize(size) {
+    if (size > config.media.maxSize) {
+      throw invalidMedia(`Media exceeds the maximum size of ${config.media.maxSize} bytes`);
+    }
+  }
+}
+
+module.exports = new MediaService();
+module.exports.INVALID_MEDIA = INVALID_MEDIA;
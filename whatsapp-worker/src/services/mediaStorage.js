@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const mime = require('mime-types');
+const config = require('../config');
+const logger = require('../utils/logger');
+const LocalStorage = require('../storage/local');
+const S3Storage = require('../storage/s3');
+
+// "ab/ab12...ef.jpeg": first two hash characters as a folder, then the sha256 and extension
+const KEY_PATTERN = /^[0-9a-f]{2}\/[0-9a-f]{64}\.[a-z0-9.+-]+$/;
+
+// Received media is stored once, content-addressed by its sha256, in the configured
+// backend. Jobs and events only carry a reference with a signed download URL that
+// the API server verifies before streaming the file.
+class MediaStorage {
+  constructor() {
+    this.backend = null;
+    this.secret = config.mediaStorage.urlSecret;
+
+    if (!this.secret) {
+      // Links still work, but only until the worker restarts
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('MEDIA_URL_SECRET is not set, media download links will expire on restart');
+    }
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      const { driver } = config.mediaStorage;
+
+      switch (driver) {
+        case 'local':
+          this.backend = new LocalStorage({ directory: config.mediaStorage.directory });
+          break;
+        case 's3':
+          this.backend = new S3Storage(config.mediaStorage.s3);
+          break;
+        default:
+          throw new Error(`Unknown media storage driver: ${driver}`);
+      }
+    }
+
+    return this.backend;
+  }
+
+  // Store a file unless the same content is already stored; returns its reference
+  async store(buffer, { mimetype, filename = null }) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const key = `${sha256.slice(0, 2)}/${sha256}.${mime.extension(mimetype) || 'bin'}`;
+    const backend = this.getBackend();
+
+    if (await backend.exists(key)) {
+      logger.whatsapp(`Media ${key} already stored`);
+    } else {
+      await backend.put(key, buffer, mimetype);
+      logger.whatsapp(`Stored media ${key}`, { size: buffer.length, driver: config.mediaStorage.driver });
+    }
+
+    return {
+      key,
+      sha256,
+      size: buffer.length,
+      mimetype,
+      filename,
+      ...this.getSignedUrl(key),
+    };
+  }
+
+  getSignedUrl(key, ttl = config.mediaStorage.urlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const signature = this.sign(key, expires);
+
+    return {
+      url: `${config.mediaStorage.publicUrl.replace(/\/$/, '')}/media/${key}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  // Valid key, not expired and signed by this worker
+  verify(key, expires, signature) {
+    if (!KEY_PATTERN.test(key) || !/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(String(signature || ''));
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // Whole content of a stored file, or null when it does not exist
+  async read(key) {
+    const media = await this.open(key);
+    if (!media) return null;
+
+    const chunks = [];
+    for await (const chunk of media.stream) {
+      chunks.push(chunk);
+    }
+
+    return { buffer: Buffer.concat(chunks), mimetype: media.mimetype };
+  }
+
+  // { stream, size, mimetype } of a stored file, or null when it does not exist
+  async open(key) {
+    if (!KEY_PATTERN.test(key)) return null;
+
+    const object = await this.getBackend().get(key);
+    return object && { ...object, mimetype: mime.lookup(key) || 'application/octet-stream' };
+  }
+}
+
+module.exports = new MediaStorage();
@@ -0,0 +1,36 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+
+const SENT_PREFIX = 'messages:sent:';
+
+// Maps the short message ids returned by the send methods to the full
+// WhatsApp ids, so later edits/deletes can find them after a restart
+class MessageStore {
+  async remember(message, extra = {}) {
+    try {
+      await queueService.setValue(SENT_PREFIX + message.id.id, {
+        serializedId: message.id._serialized,
+        chatId: message.id.remote?._serialized || message.id.remote,
+        sentAt: new Date().toISOString(),
+        ...extra,
+      }, config.messages.idTtl);
+    } catch (error) {
+      // Sending already succeeded; the message just cannot be edited later
+      logger.debug('Could not store sent message id:', error.message);
+    }
+  }
+
+  async lookup(messageId) {
+    return queueService.getValue(SENT_PREFIX + messageId);
+  }
+
+  async update(messageId, changes) {
+    const entry = await this.lookup(messageId);
+    if (!entry) return;
+
+    await queueService.setValue(SENT_PREFIX + messageId, { ...entry, ...changes }, config.messages.idTtl);
+  }
+}
+
+module.exports = new MessageStore();
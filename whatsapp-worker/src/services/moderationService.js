@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const { readStructuredFile } = require('../utils/files');
+const { normalizeNumber } = require('../utils/phone');
+const { normalizeText, containsWord } = require('../utils/text');
+
+const STRIKES_PREFIX = 'moderation:strikes:';
+const FLOOD_PREFIX = 'moderation:flood:';
+const FLOOD_WARNED_PREFIX = 'moderation:flood-warned:';
+
+const INVITE_LINK_PATTERN = /chat\.whatsapp\.com\/\S+/i;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+/gi;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  blockInviteLinks: false,
+  blockUrls: false,
+  allowedDomains: [],
+  bannedWords: [],
+  maxMessagesPerMinute: 0,
+  blockedMediaTypes: [],
+  exemptAdmins: true,
+  deleteMessages: true,
+  warn: true,
+  maxWarnings: 3,
+  strikeTtl: 7 * 24 * 60 * 60,
+  locale: null,
+};
+
+// Per-group moderation policies loaded from a JSON/YAML file. "default" applies to
+// every group, entries under "groups" override it for a single group id.
+class ModerationService {
+  constructor() {
+    this.defaultPolicy = null;
+    this.groupPolicies = {};
+    this.policiesFile = path.resolve(config.moderation.policiesFile);
+    this.lastLoadedAt = null;
+    this.isWatching = false;
+  }
+
+  loadPolicies(file = this.policiesFile) {
+    try {
+      const parsed = readStructuredFile(file);
+
+      if (parsed === null) {
+        logger.bot(`Moderation policies file not found: ${file}`);
+        this.defaultPolicy = null;
+        this.groupPolicies = {};
+        return { success: true, groups: 0 };
+      }
+
+      this.defaultPolicy = parsed?.default ? this.compilePolicy(parsed.default) : null;
+      this.groupPolicies = parsed?.groups || {};
+      this.lastLoadedAt = new Date().toISOString();
+
+      const groups = Object.keys(this.groupPolicies).length;
+      logger.bot(`Loaded moderation policies (${groups} group overrides${this.defaultPolicy ? ', default policy' : ''})`);
+      return { success: true, groups, hasDefault: !!this.defaultPolicy };
+    } catch (error) {
+      // Keep the previous policies when the file is invalid
+      logger.error('Error loading moderation policies:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  watch() {
+    if (this.isWatching) return;
+
+    fs.watchFile(this.policiesFile, { interval: config.moderation.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.bot('Moderation policies file changed, reloading...');
+        this.loadPolicies();
+      }
+    });
+
+    this.isWatching = true;
+  }
+
+  unwatch() {
+    if (!this.isWatching) return;
+
+    fs.unwatchFile(this.policiesFile);
+    this.isWatching = false;
+  }
+
+  compilePolicy(definition) {
+    const policy = { ...DEFAULT_POLICY, ...definition };
+
+    return {
+      ...policy,
+      allowedDomains: policy.allowedDomains.map(domain => domain.toLowerCase()),
+      bannedWords: policy.bannedWords.map(normalizeText).filter(Boolean),
+    };
+  }
+
+  // Effective policy of a group, or null when the group is not moderated
+  getPolicy(chatId) {
+    const override = this.groupPolicies[chatId];
+
+    if (!override && !this.defaultPolicy) return null;
+
+    const policy = override
+      ? this.compilePolicy({ ...(this.defaultPolicy || {}), ...override })
+      : this.defaultPolicy;
+
+    return policy.enabled ? policy : null;
+  }
+
+  isAllowedUrl(url, policy) {
+    const host = url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0].toLowerCase();
+    return policy.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  // Content checks: returns { reason, detail } for the first violation, or null
+  findContentViolation({ body, type }, policy) {
+    const text = body || '';
+
+    if (policy.blockedMediaTypes.includes(type)) {
+      return { reason: 'media', detail: type };
+    }
+
+    if (policy.blockInviteLinks && INVITE_LINK_PATTERN.test(text)) {
+      return { reason: 'inviteLink', detail: text.match(INVITE_LINK_PATTERN)[0] };
+    }
+
+    if (policy.blockUrls) {
+      const url = (text.match(URL_PATTERN) || []).find(candidate => !this.isAllowedUrl(candidate, policy));
+      if (url) {
+        return { reason: 'url', detail: url };
+      }
+    }
+
+    if (policy.bannedWords.length > 0) {
+      const normalized = normalizeText(text);
+      const word = policy.bannedWords.find(banned => containsWord(normalized, banned));
+      if (word) {
+        return { reason: 'bannedWord', detail: word };
+      }
+    }
+
+    return null;
+  }
+
+  // Count a message against the per-minute limit of its sender.
+  // Returns { exceeded, firstInWindow } so floods are only warned once per minute.
+  async trackFlood(chatId, author, policy) {
+    if (!(policy.maxMessagesPerMinute > 0)) {
+      return { exceeded: false };
+    }
+
+    const sender = normalizeNumber(author);
+    const count = await queueService.increment(`${FLOOD_PREFIX}${chatId}:${sender}`, 60);
+
+    if (count <= policy.maxMessagesPerMinute) {
+      return { exceeded: false };
+    }
+
+    const firstInWindow = await queueService.setValueIfAbsent(`${FLOOD_WARNED_PREFIX}${chatId}:${sender}`, Date.now(), 60);
+    return { exceeded: true, count, firstInWindow };
+  }
+
+  // Evaluate a group message; strikes are only counted for warnable violations
+  async evaluate({ chatId, author, body, type }) {
+    const policy = this.getPolicy(chatId);
+    if (!policy) return null;
+
+    const violation = this.findContentViolation({ body, type }, policy);
+
+    if (violation) {
+      return { policy, ...violation, countsStrike: true };
+    }
+
+    const flood = await this.trackFlood(chatId, author, policy);
+
+    if (flood.exceeded) {
+      return {
+        policy,
+        reason: 'flood',
+        detail: `${flood.count} messages/min`,
+        countsStrike: flood.firstInWindow,
+      };
+    }
+
+    return null;
+  }
+
+  async addStrike(chatId, author, policy) {
+    return queueService.increment(`${STRIKES_PREFIX}${chatId}:${normalizeNumber(author)}`, policy.strikeTtl);
+  }
+
+  async clearStrikes(chatId, number) {
+    await queueService.deleteValue(`${STRIKES_PREFIX}${chatId}:${normalizeNumber(number)}`);
+  }
+
+  getPolicies() {
+    return {
+      default: this.defaultPolicy,
+      groups: this.groupPolicies,
+      file: this.policiesFile,
+      lastLoadedAt: this.lastLoadedAt,
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,147 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const { getZonedTime, fromZonedTime } = require('../utils/time');
+
+const MINUTE_PREFIX = 'throttle:minute:';
+const RECIPIENT_PREFIX = 'throttle:recipient:';
+const NEW_CONTACTS_PREFIX = 'throttle:new-contacts:';
+const CONTACTS_KEY = 'throttle:contacts';
+
+// Error code of sends over the budget when the caller delays them itself (defer: false)
+const THROTTLED = 'THROTTLED';
+
+// Outbound budget of the WhatsApp number: messages per minute, spacing between
+// messages to the same chat and a daily cap of contacts messaged for the first time.
+// The counters live in Redis so every worker shares the same budget. reserve() takes
+// a slot or says how long to wait; senders then delay the message on the queue.
+class OutboundThrottle {
+  // { allowed: true, pause } or { allowed: false, reason, retryIn, turn }; times in ms, jitter
+  // included. turn is the chat's place in line a deferred send keeps: its rerun passes it
+  // back and skips the spacing between messages to the chat, which it already waited for
+  async reserve(chatId, { turn } = {}) {
+    const { enabled, messagesPerMinute, recipientInterval, newContactsPerDay } = config.throttle;
+
+    if (!enabled) {
+      return { allowed: true, pause: 0 };
+    }
+
+    try {
+      const now = Date.now();
+      const recipientKey = RECIPIENT_PREFIX + chatId;
+      const spacing = recipientInterval * 1000;
+
+      // Every message to the chat takes the next free turn of its key, so messages deferred
+      // by the spacing are sent in the order they came in
+      if (spacing > 0 && turn === undefined) {
+        turn = await queueService.takeTurn(recipientKey, spacing);
+
+        if (turn > now) {
+          return { ...this.deferred(chatId, 'recipient', turn - now), turn };
+        }
+      }
+
+      // Another limit moves the chat's later turns back too, so they stay behind this message
+      const postpone = async (reason, wait) => {
+        const deferral = this.deferred(chatId, reason, wait);
+
+        if (spacing > 0) {
+          deferral.turn = now + deferral.retryIn;
+          await queueService.delayTurns(recipientKey, deferral.turn - turn);
+        }
+
+        return deferral;
+      };
+      const day = this.getDay(now);
+      const isNewContact = newContactsPerDay > 0 && chatId.endsWith('@c.us') && !(await this.isKnown(chatId));
+
+      if (isNewContact && ((await queueService.getValue(NEW_CONTACTS_PREFIX + day.date)) || 0) >= newContactsPerDay) {
+        return postpone('newContacts', day.endsAt - now);
+      }
+
+      const minute = Math.floor(now / 60000);
+
+      if (messagesPerMinute > 0 && (await queueService.increment(MINUTE_PREFIX + minute, 120)) > messagesPerMinute) {
+        return postpone('perMinute', (minute + 1) * 60000 - now);
+      }
+
+      if (isNewContact) {
+        await queueService.increment(NEW_CONTACTS_PREFIX + day.date, 2 * 24 * 60 * 60);
+        await this.markKnown(chatId);
+      }
+
+      return { allowed: true, pause: this.getJitter() };
+    } catch (error) {
+      // Without Redis there is no shared budget; sending beats silently stopping the support line
+      logger.error('Error checking outbound throttle, sending without it:', error);
+      return { allowed: true, pause: 0 };
+    }
+  }
+
+  deferred(chatId, reason, wait) {
+    const retryIn = Math.max(wait, 0) + this.getJitter();
+    logger.whatsapp(`Outbound limit (${reason}) reached for ${chatId}, retrying in ${Math.round(retryIn / 1000)}s`);
+
+    return { allowed: false, reason, retryIn };
+  }
+
+  // With a recipient interval the jitter stays under half of it: the jitter of a wait plus
+  // that of the send cannot swap two messages to the same chat
+  getJitter() {
+    const { jitter, recipientInterval } = config.throttle;
+    const max = recipientInterval > 0 ? Math.min(jitter, Math.floor((recipientInterval * 1000 - 1) / 2)) : jitter;
+
+    return Math.floor(Math.random() * (max + 1));
+  }
+
+  // Chats that wrote to us or that we already messaged do not count as new contacts
+  async isKnown(chatId) {
+    return !!(await queueService.getField(CONTACTS_KEY, chatId));
+  }
+
+  async markKnown(chatId) {
+    if (!(await this.isKnown(chatId))) {
+      await queueService.setField(CONTACTS_KEY, chatId, new Date().toISOString());
+    }
+  }
+
+  // Calendar day of the daily cap in the throttle timezone and when it ends
+  getDay(now) {
+    const { timezone } = config.throttle;
+    const { date } = getZonedTime(new Date(now), timezone);
+    const [year, month, day] = date.split('-').map(Number);
+    const nextDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+
+    return { date, endsAt: fromZonedTime(`${nextDate}T00:00`, timezone).getTime() };
+  }
+
+  // Current budget for /api/stats; a limit of 0 means unlimited
+  async getBudget() {
+    const { enabled, messagesPerMinute, recipientInterval, newContactsPerDay, jitter } = config.throttle;
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const day = this.getDay(now);
+    const budget = (limit, used, resetsAt) => ({
+      limit,
+      used: limit > 0 ? Math.min(used, limit) : used,
+      remaining: limit > 0 ? Math.max(limit - used, 0) : null,
+      resetsAt: new Date(resetsAt).toISOString(),
+    });
+
+    try {
+      return {
+        enabled,
+        perMinute: budget(messagesPerMinute, (await queueService.getValue(MINUTE_PREFIX + minute)) || 0, (minute + 1) * 60000),
+        newContacts: budget(newContactsPerDay, (await queueService.getValue(NEW_CONTACTS_PREFIX + day.date)) || 0, day.endsAt),
+        recipientInterval,
+        jitter,
+      };
+    } catch (error) {
+      logger.error('Error reading outbound budget:', error);
+      return { enabled, error: error.message };
+    }
+  }
+}
+
+module.exports = new OutboundThrottle();
+module.exports.THROTTLED = THROTTLED;
@@ -0,0 +1,88 @@
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+
+const POLLS_KEY = 'polls:registry';
+const VOTES_PREFIX = 'polls:votes:';
+
+// Polls and their per-voter selections, stored in Redis. Each voter keeps only
+// their latest selection, as reported by the vote_update event.
+class PollService {
+  // Register a poll from its creation message (sent by the bot or received)
+  async registerPoll(message, extra = {}) {
+    const poll = {
+      id: message.id._serialized,
+      chatId: message.id.remote?._serialized || message.id.remote || message.to,
+      question: message.pollName,
+      options: (message.pollOptions || []).map(option => ({ localId: option.localId, name: option.name })),
+      allowMultipleAnswers: !!message.allowMultipleAnswers,
+      createdAt: new Date((message.timestamp || Date.now() / 1000) * 1000).toISOString(),
+      ...extra,
+    };
+
+    await queueService.setField(POLLS_KEY, poll.id, poll);
+    return poll;
+  }
+
+  async getPoll(pollId) {
+    return queueService.getField(POLLS_KEY, pollId);
+  }
+
+  async listPolls({ chatId } = {}) {
+    const polls = Object.values(await queueService.getAllFields(POLLS_KEY));
+
+    return polls
+      .filter(poll => !chatId || poll.chatId === chatId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Replace the voter's selection; an empty selection removes the vote
+  async recordVote(pollId, voter, selectedOptions, votedAt = Date.now()) {
+    const key = VOTES_PREFIX + pollId;
+
+    if (selectedOptions.length === 0) {
+      await queueService.deleteField(key, voter);
+    } else {
+      await queueService.setField(key, voter, {
+        options: selectedOptions.map(option => option.name),
+        votedAt: new Date(votedAt).toISOString(),
+      });
+    }
+
+    logger.bot(`Poll vote recorded for ${pollId}`, { voter, options: selectedOptions.map(option => option.name) });
+  }
+
+  // Tally per option with the voters of each one
+  async getResults(pollId) {
+    const poll = await this.getPoll(pollId);
+
+    if (!poll) return null;
+
+    const votes = await queueService.getAllFields(VOTES_PREFIX + pollId);
+    const results = poll.options.map(option => ({ option: option.name, count: 0, voters: [] }));
+
+    Object.entries(votes).forEach(([voter, vote]) => {
+      vote.options.forEach((name) => {
+        const result = results.find(entry => entry.option === name);
+
+        if (result) {
+          result.count += 1;
+          result.voters.push(voter);
+        }
+      });
+    });
+
+    return {
+      poll,
+      totalVoters: Object.keys(votes).length,
+      results,
+      votes,
+    };
+  }
+
+  async deletePoll(pollId) {
+    await queueService.deleteField(POLLS_KEY, pollId);
+    await queueService.deleteValue(VOTES_PREFIX + pollId);
+  }
+}
+
+module.exports = new PollService();
@@ -3,12 +3,29 @@ const Redis = require('redis');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+const JOB_STATES = ['waiting', 'active', 'delayed', 'paused', 'failed', 'completed'];
+
+// Error codes of the per-job operations
+const JOB_NOT_FOUND = 'JOB_NOT_FOUND';
+const INVALID_JOB_STATE = 'INVALID_JOB_STATE';
+// Delay a reprioritized copy is held back with until the original job is removed
+const REPRIORITIZE_HOLD_MS = 60000;
+
+// Value at a dotted path of a job payload ("contact.number")
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
 class QueueService {
   constructor() {
     this.queues = {};
     this.redisClient = null;
     this.isConnected = false;
     this.processors = new Map();
+    this.exhaustedHandlers = [];
+  }
+
+  // Register a callback for jobs that failed their last attempt (dead-letter queue)
+  onJobExhausted(handler) {
+    this.exhaustedHandlers.push(handler);
   }
 
   // Initialize Redis connection
@@ -95,7 +112,7 @@ class QueueService {
       });
     });
 
-    queue.on('failed', (job, err) => {
+    queue.on('failed', async (job, err) => {
       logger.error(`Job ${job.id} failed in queue ${queueName}`, {
         jobId: job.id,
         jobType: job.name,
@@ -103,6 +120,16 @@ class QueueService {
         attempts: job.attemptsMade,
         maxAttempts: job.opts.attempts,
       });
+
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        for (const handler of this.exhaustedHandlers) {
+          try {
+            await handler(queueName, job, err);
+          } catch (error) {
+            logger.error(`Error handling exhausted job ${job.id}:`, error);
+          }
+        }
+      }
     });
 
     queue.on('stalled', (job) => {
@@ -242,6 +269,20 @@ class QueueService {
     });
   }
 
+  async addSendMessageJob(messageData, options = {}) {
+    return await this.addJob(config.queue.name, 'send-message', messageData, {
+      priority: 6,
+      ...options,
+    });
+  }
+
+  async addMediaConversionJob(mediaData, options = {}) {
+    return await this.addJob(config.queue.name, 'convert-media', mediaData, {
+      priority: 5,
+      ...options,
+    });
+  }
+
   // Job management methods
   async getJobStatus(queueName, jobId) {
     try {
@@ -252,25 +293,13 @@ class QueueService {
         return {
           success: false,
           error: 'Job not found',
+          code: JOB_NOT_FOUND,
         };
       }
 
-      const state = await job.getState();
       return {
         success: true,
-        job: {
-          id: job.id,
-          name: job.name,
-          data: job.data,
-          state,
-          progress: job.progress(),
-          failedReason: job.failedReason,
-          processedOn: job.processedOn,
-          finishedOn: job.finishedOn,
-          createdAt: new Date(job.timestamp),
-          attempts: job.attemptsMade,
-          maxAttempts: job.opts.attempts,
-        },
+        job: this.serializeJob(job, await job.getState()),
       };
     } catch (error) {
       logger.error(`Error getting job status from queue ${queueName}:`, error);
@@ -281,6 +310,191 @@ class QueueService {
     }
   }
 
+  serializeJob(job, state) {
+    return {
+      id: job.id,
+      name: job.name,
+      data: job.data,
+      state,
+      progress: job.progress(),
+      priority: job.opts.priority,
+      failedReason: job.failedReason,
+      processedOn: job.processedOn,
+      finishedOn: job.finishedOn,
+      createdAt: new Date(job.timestamp),
+      delayedUntil: state === 'delayed' ? new Date(job.timestamp + job.delay) : undefined,
+      attempts: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      replayOf: job.opts.replayOf || null,
+    };
+  }
+
+  // Search jobs by state, type, creation time and payload fields ({ 'from': '521...' },
+  // dotted paths allowed). Each state is scanned up to config.queue.scanLimit jobs.
+  async listJobs(queueName = config.queue.name, {
+    states = JOB_STATES,
+    type,
+    since,
+    until,
+    data = {},
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    try {
+      const queue = this.getQueue(queueName);
+      const from = since ? new Date(since).getTime() : -Infinity;
+      const to = until ? new Date(until).getTime() : Infinity;
+      const matches = job => job
+        && (!type || job.name === type)
+        && job.timestamp >= from
+        && job.timestamp <= to
+        && Object.entries(data).every(([field, value]) => String(getPath(job.data, field)) === String(value));
+
+      const found = [];
+      let truncated = false;
+
+      for (const state of states) {
+        const jobs = await queue.getJobs([state], 0, config.queue.scanLimit - 1);
+
+        if (jobs.length >= config.queue.scanLimit) {
+          truncated = true;
+        }
+
+        jobs.filter(matches).forEach(job => found.push(this.serializeJob(job, state)));
+      }
+
+      found.sort((a, b) => b.createdAt - a.createdAt);
+
+      return {
+        success: true,
+        total: found.length,
+        truncated,
+        jobs: found.slice(offset, offset + limit),
+      };
+    } catch (error) {
+      logger.error(`Error listing jobs of queue ${queueName}:`, error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Run an operation on a job that must be in one of the allowed states
+  async withJob(queueName, jobId, description, allowedStates, operation) {
+    try {
+      const job = await this.getQueue(queueName).getJob(jobId);
+
+      if (!job) {
+        return { success: false, error: `Job not found: ${jobId}`, code: JOB_NOT_FOUND };
+      }
+
+      const state = await job.getState();
+
+      if (allowedStates && !allowedStates.includes(state)) {
+        return {
+          success: false,
+          error: `Cannot ${description} job ${jobId} in state ${state} (allowed: ${allowedStates.join(', ')})`,
+          code: INVALID_JOB_STATE,
+        };
+      }
+
+      const result = await operation(job, state);
+      logger.queue(`Job ${jobId} ${description}`, { queueName, state });
+
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error(`Error trying to ${description} job ${jobId}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        ...([JOB_NOT_FOUND, INVALID_JOB_STATE].includes(error.code) && { code: error.code }),
+      };
+    }
+  }
+
+  async retryJob(queueName, jobId) {
+    return this.withJob(queueName, jobId, 'retry', ['failed'], async (job) => {
+      await job.retry();
+      return { job: this.serializeJob(job, 'waiting') };
+    });
+  }
+
+  async removeJob(queueName, jobId) {
+    return this.withJob(queueName, jobId, 'remove', ['waiting', 'delayed', 'paused', 'failed', 'completed'], async (job) => {
+      await job.remove();
+      return { removed: true };
+    });
+  }
+
+  async promoteJob(queueName, jobId) {
+    return this.withJob(queueName, jobId, 'promote', ['delayed'], async (job) => {
+      await job.promote();
+      return { job: this.serializeJob(job, 'waiting') };
+    });
+  }
+
+  // Bull cannot reprioritize a queued job, so it is replaced by a copy with a new job id.
+  // The copy is added held back (delayed) before the original is removed: Bull refuses to
+  // remove a job a worker has locked, so the job never runs twice and is never lost.
+  // Occurrences of repeatable jobs are refused: a copy would register the repeat again
+  async changeJobPriority(queueName, jobId, priority) {
+    return this.withJob(queueName, jobId, 'reprioritize', ['waiting', 'delayed', 'paused'], async (job, state) => {
+      if (job.opts.repeat) {
+        throw Object.assign(
+          new Error(`Cannot reprioritize job ${jobId}: it is an occurrence of a repeatable job`),
+          { code: INVALID_JOB_STATE },
+        );
+      }
+
+      const queue = this.getQueue(queueName);
+      const remainingDelay = state === 'delayed' ? Math.max(job.timestamp + job.delay - Date.now(), 0) : 0;
+      const { jobId: _previousJobId, timestamp: _timestamp, ...opts } = job.opts;
+
+      const replacement = await queue.add(job.name, job.data, {
+        ...opts,
+        priority,
+        delay: Math.max(remainingDelay, REPRIORITIZE_HOLD_MS),
+      });
+
+      try {
+        await job.remove();
+      } catch (error) {
+        await replacement.remove();
+        throw Object.assign(
+          new Error(`Cannot reprioritize job ${jobId}: it was picked up by a worker`),
+          { code: INVALID_JOB_STATE },
+        );
+      }
+
+      if (remainingDelay < REPRIORITIZE_HOLD_MS) {
+        await replacement.promote();
+      }
+
+      return {
+        previousJobId: String(job.id),
+        jobId: String(replacement.id),
+        job: this.serializeJob(replacement, await replacement.getState()),
+      };
+    });
+  }
+
+  // Stop a repeatable job; repeat must be the same options it was added with (cron, tz, endDate, jobId)
+  async removeRepeatableJob(queueName, jobType, repeat) {
+    try {
+      await this.getQueue(queueName).removeRepeatable(jobType, repeat);
+      logger.queue(`Repeatable ${jobType} job removed from queue ${queueName}`, repeat);
+
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error removing repeatable ${jobType} job from queue ${queueName}:`, error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   async getQueueStats(queueName = config.queue.name) {
     try {
       const queue = this.getQueue(queueName);
@@ -351,6 +565,142 @@ class QueueService {
     }
   }
 
+  // Key/value state stored as JSON on the shared Redis connection
+  async getValue(key) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const value = await this.redisClient.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setValue(key, value, ttlSeconds = null) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const options = ttlSeconds ? { EX: Math.ceil(ttlSeconds) } : undefined;
+    await this.redisClient.set(key, JSON.stringify(value), options);
+  }
+
+  // Atomically set a key only when it does not exist yet; returns whether it was set
+  async setValueIfAbsent(key, value, ttlSeconds = null) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const options = { NX: true, ...(ttlSeconds && { EX: Math.ceil(ttlSeconds) }) };
+    const result = await this.redisClient.set(key, JSON.stringify(value), options);
+    return result === 'OK';
+  }
+
+  async deleteValue(key) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    await this.redisClient.del(key);
+  }
+
+  // Counter that starts expiring from its first increment (fixed windows, strikes...)
+  async increment(key, ttlSeconds = null) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const count = await this.redisClient.incr(key);
+
+    if (count === 1 && ttlSeconds) {
+      await this.redisClient.expire(key, Math.ceil(ttlSeconds));
+    }
+
+    return count;
+  }
+
+  // Turns kept in one key that holds the next free time (ms): takes the next turn, stepMs
+  // after the previous one, and returns its time. The key expires with its last turn
+  async takeTurn(key, stepMs) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const now = Date.now();
+
+    if (await this.redisClient.set(key, String(now + stepMs), { NX: true, PX: stepMs })) {
+      return now;
+    }
+
+    const next = await this.redisClient.incrBy(key, stepMs);
+
+    // The key expired between both commands and INCRBY started it over
+    if (next - stepMs < now) {
+      await this.redisClient.set(key, String(now + stepMs), { PX: stepMs });
+      return now;
+    }
+
+    await this.redisClient.pExpireAt(key, next);
+    return next - stepMs;
+  }
+
+  // Moves the next free turn of takeTurn's key delayMs later
+  async delayTurns(key, delayMs) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const next = await this.redisClient.incrBy(key, Math.round(delayMs));
+    await this.redisClient.pExpireAt(key, next);
+  }
+
+  // Hash fields stored as JSON, for registries that need to be listed
+  async getField(key, field) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const value = await this.redisClient.hGet(key, field);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setField(key, field, value) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    await this.redisClient.hSet(key, field, JSON.stringify(value));
+  }
+
+  // Several fields in one round trip: { field: value }
+  async setFields(key, values) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    if (Object.keys(values).length > 0) {
+      await this.redisClient.hSet(key, Object.fromEntries(
+        Object.entries(values).map(([field, value]) => [field, JSON.stringify(value)]),
+      ));
+    }
+  }
+
+  async getAllFields(key) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    const entries = await this.redisClient.hGetAll(key);
+    return Object.fromEntries(Object.entries(entries).map(([field, value]) => [field, JSON.parse(value)]));
+  }
+
+  async deleteField(key, field) {
+    if (!this.isConnected) {
+      throw new Error('Redis is not connected');
+    }
+
+    await this.redisClient.hDel(key, field);
+  }
+
   // Graceful shutdown
   async shutdown() {
     try {
@@ -375,4 +725,7 @@ class QueueService {
   }
 }
 
-module.exports = new QueueService();
\ No newline at end of file
+module.exports = new QueueService();
+module.exports.JOB_STATES = JOB_STATES;
+module.exports.JOB_NOT_FOUND = JOB_NOT_FOUND;
+module.exports.INVALID_JOB_STATE = INVALID_JOB_STATE;
\ No newline at end of file
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const { CronTime } = require('cron');
+const config = require('../config');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const mediaService = require('./mediaService');
+const webserviceClient = require('./webserviceClient');
+const { parseDateTime, isValidTimeZone } = require('../utils/time');
+
+const SCHEDULES_KEY = 'schedules:registry';
+const JOB_TYPE = 'scheduled-message';
+const STATUSES = ['scheduled', 'sent', 'failed', 'completed', 'cancelled'];
+const TYPES = ['once', 'recurring'];
+
+// Error codes: bad definition, unknown id, and changes to a schedule that already finished
+const INVALID_SCHEDULE = 'INVALID_SCHEDULE';
+const SCHEDULE_NOT_FOUND = 'SCHEDULE_NOT_FOUND';
+const SCHEDULE_INACTIVE = 'SCHEDULE_INACTIVE';
+
+const invalidSchedule = message => Object.assign(new Error(message), { code: INVALID_SCHEDULE });
+
+// One-off messages (sendAt) and recurring messages (cron) sent by the queue. The
+// definitions live in a Redis hash and the timing in Bull: a delayed job for one-off
+// messages and a repeatable job for recurring ones, so both survive restarts and each
+// run is picked up by a single worker. Jobs only carry the schedule id and revision;
+// a job whose revision is outdated (the schedule was updated or cancelled) is skipped.
+class ScheduleService {
+  constructor() {
+    queueService.onJobExhausted((queueName, job, error) => {
+      if (job.name === JOB_TYPE) {
+        return this.markFailed(job.data, error);
+      }
+
+      return null;
+    });
+  }
+
+  // definition: { to, message | media + caption, mentions, sendAt | cron, timezone, endAt }
+  async create(definition) {
+    const now = new Date().toISOString();
+    let schedule;
+
+    try {
+      schedule = {
+        id: crypto.randomUUID(),
+        status: 'scheduled',
+        revision: 1,
+        ...this.buildTiming(definition),
+        ...(await this.buildContent(definition)),
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        runCount: 0,
+        lastResult: null,
+      };
+    } catch (error) {
+      return this.toFailure(error);
+    }
+
+    schedule.nextRunAt = this.getNextRun(schedule);
+
+    // Registered before queueing so a due job always finds its schedule
+    await queueService.setField(SCHEDULES_KEY, schedule.id, schedule);
+    const job = await this.enqueue(schedule);
+
+    if (!job.success) {
+      await queueService.deleteField(SCHEDULES_KEY, schedule.id);
+      return job;
+    }
+
+    logger.queue(`Schedule ${schedule.id} created (${schedule.type})`, {
+      to: schedule.to,
+      sendAt: schedule.sendAt,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+    });
+
+    return { success: true, schedule };
+  }
+
+  async get(id) {
+    return queueService.getField(SCHEDULES_KEY, id);
+  }
+
+  // Schedules matching every given filter, next run first
+  async list(filter = {}) {
+    const schedules = Object.values(await queueService.getAllFields(SCHEDULES_KEY));
+
+    return schedules
+      .filter(schedule => this.matches(schedule, filter))
+      .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999')
+        || b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // filter: { status, type, to }
+  matches(schedule, { status, type, to } = {}) {
+    return (!status || schedule.status === status)
+      && (!type || schedule.type === type)
+      && (!to || schedule.to === to);
+  }
+
+  validateFilter({ status, type } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      return `Invalid status: ${status}. Use one of ${STATUSES.join(', ')}`;
+    }
+
+    if (type && !TYPES.includes(type)) {
+      return `Invalid type: ${type}. Use one of ${TYPES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  // Changes are merged into the definition; giving sendAt or cron switches the schedule type
+  async update(id, changes) {
+    const schedule = await this.get(id);
+    const inactive = this.checkActive(id, schedule);
+
+    if (inactive) {
+      return inactive;
+    }
+
+    let updated;
+
+    try {
+      const timing = changes.sendAt !== undefined || changes.cron !== undefined
+        ? { sendAt: changes.sendAt, cron: changes.cron }
+        : { sendAt: schedule.sendAt, cron: schedule.cron };
+      const content = changes.message !== undefined || changes.media !== undefined
+        ? { message: changes.message, media: changes.media, caption: changes.caption }
+        : { message: schedule.message, media: schedule.media, caption: changes.caption ?? schedule.caption };
+
+      updated = {
+        ...schedule,
+        ...this.buildTiming({
+          ...timing,
+          timezone: changes.timezone ?? schedule.timezone,
+          endAt: changes.endAt !== undefined ? changes.endAt : schedule.endAt,
+        }),
+        ...(await this.buildContent({
+          to: changes.to ?? schedule.to,
+          mentions: changes.mentions !== undefined ? changes.mentions : schedule.mentions,
+          ...content,
+        })),
+        revision: schedule.revision + 1,
+        updatedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      return this.toFailure(error);
+    }
+
+    updated.nextRunAt = this.getNextRun(updated);
+
+    await this.dequeue(schedule);
+    await queueService.setField(SCHEDULES_KEY, id, updated);
+    const job = await this.enqueue(updated);
+
+    if (!job.success) {
+      return job;
+    }
+
+    logger.queue(`Schedule ${id} updated (revision ${updated.revision})`);
+    return { success: true, schedule: updated };
+  }
+
+  // The schedule is kept as cancelled so its history stays available
+  async cancel(id) {
+    const schedule = await this.get(id);
+    const inactive = this.checkActive(id, schedule);
+
+    if (inactive) {
+      return inactive;
+    }
+
+    await this.dequeue(schedule);
+
+    const cancelled = {
+      ...schedule,
+      status: 'cancelled',
+      nextRunAt: null,
+      updatedAt: new Date().toISOString(),
+    };
+    await queueService.setField(SCHEDULES_KEY, id, cancelled);
+
+    logger.queue(`Schedule ${id} cancelled`);
+    return { success: true, schedule: cancelled };
+  }
+
+  // Schedule a due job has to send, or null when it was cancelled or changed since it was queued
+  async getDue({ scheduleId, revision }) {
+    const schedule = await this.get(scheduleId);
+
+    if (!schedule || schedule.status !== 'scheduled' || schedule.revision !== revision) {
+      logger.queue(`Skipping outdated run of schedule ${scheduleId} (revision ${revision})`);
+      return null;
+    }
+
+    return schedule;
+  }
+
+  // A run over the outbound budget is queued again instead of sending or failing
+  async requeue(job, delay) {
+    const next = await queueService.addJob(config.queue.name, JOB_TYPE, job.data, { delay });
+
+    if (!next.success) {
+      throw new Error(`Could not requeue scheduled message: ${next.error}`);
+    }
+
+    return { success: true, deferred: true, jobId: next.jobId };
+  }
+
+  // Result of a send attempt: one-off schedules end here unless the send will be retried,
+  // and only the final attempt counts as a run
+  async recordRun(schedule, result, { final = result.success } = {}) {
+    const current = await this.get(schedule.id) || schedule;
+    const ranAt = new Date().toISOString();
+    const updated = {
+      ...current,
+      lastRunAt: ranAt,
+      runCount: current.runCount + (final ? 1 : 0),
+      lastResult: {
+        success: result.success,
+        messageId: result.messageId,
+        error: result.error,
+        code: result.code,
+      },
+      updatedAt: ranAt,
+    };
+
+    if (current.type === 'once' && final) {
+      updated.status = result.success ? 'sent' : 'failed';
+      updated.nextRunAt = null;
+    } else if (current.type === 'recurring') {
+      updated.nextRunAt = this.getNextRun(updated);
+
+      if (!updated.nextRunAt) {
+        updated.status = 'completed';
+      }
+    }
+
+    await queueService.setField(SCHEDULES_KEY, schedule.id, updated);
+
+    await webserviceClient.logWhatsAppEvent(result.success ? 'scheduled_message_sent' : 'scheduled_message_failed', {
+      scheduleId: schedule.id,
+      type: schedule.type,
+      to: schedule.to,
+      messageId: result.messageId,
+      error: result.error,
+      runCount: updated.runCount,
+      timestamp: ranAt,
+    });
+
+    return updated;
+  }
+
+  // A run whose job used up its retries is over: it counts as a run and a one-off
+  // message will not be sent anymore
+  async markFailed({ scheduleId, revision }, error) {
+    const schedule = await this.get(scheduleId);
+
+    if (schedule && schedule.status === 'scheduled' && schedule.revision === revision) {
+      await queueService.setField(SCHEDULES_KEY, scheduleId, {
+        ...schedule,
+        runCount: schedule.runCount + 1,
+        lastResult: { ...schedule.lastResult, success: false, error: error.message },
+        ...(schedule.type === 'once' && { status: 'failed', nextRunAt: null }),
+        updatedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  checkActive(id, schedule) {
+    if (!schedule) {
+      return { success: false, error: `Schedule not found: ${id}`, code: SCHEDULE_NOT_FOUND };
+    }
+
+    if (schedule.status !== 'scheduled') {
+      return { success: false, error: `Schedule ${id} is ${schedule.status}`, code: SCHEDULE_INACTIVE };
+    }
+
+    return null;
+  }
+
+  // { type, sendAt, cron, timezone, endAt } of a definition
+  buildTiming({ sendAt, cron, timezone = config.scheduler.timezone, endAt }) {
+    const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    if (!isValidTimeZone(zone)) {
+      throw invalidSchedule(`Invalid timezone: ${zone}`);
+    }
+
+    if (!sendAt === !cron) {
+      throw invalidSchedule('Provide either sendAt (one-off message) or cron (recurring message)');
+    }
+
+    if (sendAt) {
+      const date = this.parseDate(sendAt, zone, 'sendAt');
+
+      if (date.getTime() <= Date.now()) {
+        throw invalidSchedule(`sendAt is in the past: ${date.toISOString()}`);
+      }
+
+      return { type: 'once', sendAt: date.toISOString(), cron: null, timezone: zone, endAt: null };
+    }
+
+    try {
+      // Same syntax Bull uses for the repeatable job, optional seconds field included
+      new CronTime(String(cron), zone);
+    } catch (error) {
+      throw invalidSchedule(`Invalid cron expression "${cron}": ${error.message}`);
+    }
+
+    const end = endAt ? this.parseDate(endAt, zone, 'endAt') : null;
+
+    if (end && end.getTime() <= Date.now()) {
+      throw invalidSchedule(`endAt is in the past: ${end.toISOString()}`);
+    }
+
+    return { type: 'recurring', sendAt: null, cron: String(cron), timezone: zone, endAt: end && end.toISOString() };
+  }
+
+  parseDate(value, timezone, field) {
+    try {
+      return parseDateTime(value, timezone);
+    } catch (error) {
+      throw invalidSchedule(`${field} must be an ISO date and time: ${value}`);
+    }
+  }
+
+  // Inline media is kept in the media storage so the registry only holds a reference
+  async buildContent({ to, message, media, caption, mentions }) {
+    if (!to) {
+      throw invalidSchedule('Missing required field: to');
+    }
+
+    if (!message && !media) {
+      throw invalidSchedule('Provide a message or media');
+    }
+
+    return {
+      to,
+      message: media ? null : message,
+      media: media ? await mediaService.toReference(media) : null,
+      caption: media ? caption || message || null : null,
+      mentions: mentions || null,
+    };
+  }
+
+  getNextRun(schedule) {
+    if (schedule.type === 'once') {
+      return schedule.sendAt;
+    }
+
+    const next = new CronTime(schedule.cron, schedule.timezone).sendAt().toJSDate();
+    return !schedule.endAt || next.toISOString() <= schedule.endAt ? next.toISOString() : null;
+  }
+
+  getJobId(schedule) {
+    return `schedule:${schedule.id}:${schedule.revision}`;
+  }
+
+  getRepeatOptions(schedule) {
+    return {
+      cron: schedule.cron,
+      tz: schedule.timezone,
+      ...(schedule.endAt && { endDate: schedule.endAt }),
+    };
+  }
+
+  async enqueue(schedule) {
+    const data = { scheduleId: schedule.id, revision: schedule.revision };
+
+    if (schedule.type === 'once') {
+      return queueService.addJob(config.queue.name, JOB_TYPE, data, {
+        jobId: this.getJobId(schedule),
+        delay: Math.max(new Date(schedule.sendAt).getTime() - Date.now(), 0),
+      });
+    }
+
+    return queueService.addJob(config.queue.name, JOB_TYPE, data, {
+      jobId: this.getJobId(schedule),
+      repeat: this.getRepeatOptions(schedule),
+    });
+  }
+
+  async dequeue(schedule) {
+    if (schedule.type === 'once') {
+      const result = await queueService.removeJob(config.queue.name, this.getJobId(schedule));
+
+      // Already running or gone: the revision check skips it anyway
+      return result.success || [queueService.JOB_NOT_FOUND, queueService.INVALID_JOB_STATE].includes(result.code)
+        ? { success: true }
+        : result;
+    }
+
+    return queueService.removeRepeatableJob(config.queue.name, JOB_TYPE, {
+      ...this.getRepeatOptions(schedule),
+      jobId: this.getJobId(schedule),
+    });
+  }
+
+  toFailure(error) {
+    if ([INVALID_SCHEDULE, mediaService.INVALID_MEDIA].includes(error.code)) {
+      return { success: false, error: error.message, code: INVALID_SCHEDULE };
+    }
+
+    throw error;
+  }
+}
+
+module.exports = new ScheduleService();
+module.exports.JOB_TYPE = JOB_TYPE;
+module.exports.INVALID_SCHEDULE = INVALID_SCHEDULE;
+module.exports.SCHEDULE_NOT_FOUND = SCHEDULE_NOT_FOUND;
+module.exports.SCHEDULE_INACTIVE = SCHEDULE_INACTIVE;
@@ -1,10 +1,42 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  Client,
+  LocalAuth,
+  Poll,
+  Location,
+} = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const QRCode = require('qrcode');
 const config = require('../config');
 const logger = require('../utils/logger');
 const webserviceClient = require('./webserviceClient');
 const queueService = require('./queueService');
+const commandRegistry = require('./commandRegistry');
+const i18n = require('./i18n');
+const autoReplyGuard = require('./autoReplyGuard');
+const consentService = require('./consentService');
+const moderationService = require('./moderationService');
+const groupGreetings = require('./groupGreetings');
+const pollService = require('./pollService');
+const messageStore = require('./messageStore');
+const mediaService = require('./mediaService');
+const mediaStorage = require('./mediaStorage');
+const mediaConverter = require('./mediaConverter');
+const outboundThrottle = require('./outboundThrottle');
+const campaignService = require('./campaignService');
+const { parseVCard, buildVCard } = require('../utils/vcard');
+const {
+  toChatId,
+  toGroupId,
+  isSameNumber,
+  normalizeNumber,
+} = require('../utils/phone');
+
+// Send methods that the outbound throttle can put off as deferred-send jobs
+const DEFERRABLE_SENDS = ['sendMessage', 'sendMediaMessage', 'sendLocation', 'sendContacts', 'sendPoll', 'sendReply'];
+
+// Turn in the chat's line that a deferred send being run already holds (see outboundThrottle)
+const deferredTurn = new AsyncLocalStorage();
 
 class WhatsAppBot {
   constructor() {
@@ -16,6 +48,15 @@ class WhatsAppBot {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 10000; // 10 seconds
+
+    commandRegistry.loadCommands();
+    groupGreetings.loadSettings();
+    groupGreetings.watch();
+
+    if (config.moderation.enabled) {
+      moderationService.loadPolicies();
+      moderationService.watch();
+    }
   }
 
   // Initialize WhatsApp client
@@ -130,6 +171,33 @@ class WhatsAppBot {
       }
     });
 
+    // Outgoing messages, including the ones typed on the phone by a human operator
+    this.client.on('message_create', async (message) => {
+      try {
+        await this.handleOutgoingMessage(message);
+      } catch (error) {
+        logger.error('Error handling outgoing message:', error);
+      }
+    });
+
+    // Reactions to messages (an empty reaction means it was removed)
+    this.client.on('message_reaction', async (reaction) => {
+      try {
+        await this.handleReaction(reaction);
+      } catch (error) {
+        logger.error('Error handling message reaction:', error);
+      }
+    });
+
+    // Poll votes (selections and deselections)
+    this.client.on('vote_update', async (vote) => {
+      try {
+        await this.handleVoteUpdate(vote);
+      } catch (error) {
+        logger.error('Error handling poll vote:', error);
+      }
+    });
+
     // Message ack event
     this.client.on('message_ack', async (message, ack) => {
       // Log message status changes
@@ -142,6 +210,13 @@ class WhatsAppBot {
         status: ackStatus,
         timestamp: new Date().toISOString(),
       });
+
+      // Delivery and read progress of campaign recipients
+      try {
+        await campaignService.recordAck(message.id.id, ackStatus);
+      } catch (error) {
+        logger.error('Error recording campaign message ack:', error);
+      }
     });
 
     // Group join event
@@ -170,6 +245,25 @@ class WhatsAppBot {
       isGroup: chat.isGroup,
     });
 
+    // Replying to someone who wrote first does not count against the new contacts cap
+    if (!chat.isGroup) {
+      await outboundThrottle.markKnown(chat.id._serialized);
+    }
+
+    // Messages removed by group moderation are not processed any further
+    if (chat.isGroup && config.moderation.enabled && await this.moderateGroupMessage(message, chat, contact)) {
+      return;
+    }
+
+    // STOP/START style keywords update the contact's consent; decided before the message is
+    // queued so the job and the active flow (if any) see the same answer
+    const consentKeyword = await consentService.detectMessageKeyword({
+      body: message.body,
+      from: contact.number,
+      chatId: chat.id._serialized,
+      isGroup: chat.isGroup,
+    });
+
     // Add to processing queue
     await queueService.addWhatsAppMessageJob({
       messageId: message.id.id,
@@ -184,8 +278,15 @@ class WhatsAppBot {
       hasMedia: message.hasMedia,
       isForwarded: message.isForwarded,
       mentionedIds: message.mentionedIds,
+      location: this.extractLocation(message),
+      contacts: this.extractContacts(message),
+      consentKeyword,
     });
 
+    if (consentKeyword) {
+      await this.handleConsentKeyword(message, contact, consentKeyword);
+    }
+
     // Process bot commands if enabled
     if (config.bot.autoReplyEnabled && message.body.startsWith(config.bot.prefix)) {
       await this.handleBotCommand(message);
@@ -200,95 +301,298 @@ class WhatsAppBot {
     });
   }
 
+  // Messages sent by this session report the "web" device type; anything typed on the
+  // phone app is a human operator, so auto-replies to that chat are paused for a while.
+  // Operators on WhatsApp Web share the bot's device type and must use the suppress API.
+  async handleOutgoingMessage(message) {
+    if (!message.fromMe || message.deviceType === 'web' || message.to?.endsWith('@g.us')) return;
+
+    await autoReplyGuard.suppress(message.to);
+  }
+
+  // Apply the group's moderation policy: delete the message, warn the sender and
+  // remove repeat offenders. Deleting and removing require the bot to be a group admin.
+  // Returns true when the message was deleted or its sender removed.
+  async moderateGroupMessage(message, chat, contact) {
+    try {
+      const chatId = chat.id._serialized;
+      const author = message.author || contact.id._serialized;
+      const violation = await moderationService.evaluate({
+        chatId,
+        author,
+        body: message.body,
+        type: message.type,
+      });
+
+      if (!violation) return false;
+
+      const { policy } = violation;
+
+      if (policy.exemptAdmins && this.isGroupAdmin(chat, author)) return false;
+
+      const botIsAdmin = this.isGroupAdmin(chat, this.client.info.wid._serialized);
+      const locale = policy.locale || i18n.defaultLocale;
+      const mention = author.split('@')[0];
+      const actions = [];
+      let strikes = null;
+
+      if (policy.deleteMessages && botIsAdmin) {
+        await message.delete(true);
+        actions.push('deleted');
+      }
+
+      if (violation.countsStrike) {
+        strikes = await moderationService.addStrike(chatId, author, policy);
+
+        if (policy.maxWarnings > 0 && strikes >= policy.maxWarnings && botIsAdmin) {
+          await chat.removeParticipants([author]);
+          await moderationService.clearStrikes(chatId, author);
+          await this.sendReply(chatId, i18n.t(locale, 'moderation.removed', { mention }), { mentions: [author] });
+          actions.push('removed');
+        } else if (policy.warn) {
+          await this.sendReply(chatId, i18n.t(locale, 'moderation.warning', {
+            mention,
+            reason: i18n.t(locale, `moderation.reasons.${violation.reason}`),
+            count: strikes,
+            max: policy.maxWarnings || '∞',
+          }), { mentions: [author] });
+          actions.push('warned');
+        }
+      }
+
+      logger.bot(`Moderation: ${violation.reason} in ${chat.name}`, { author, actions, strikes });
+
+      await webserviceClient.logWhatsAppEvent('moderation_action', {
+        chatId,
+        chatName: chat.name,
+        author,
+        authorName: contact.name || contact.pushname,
+        messageId: message.id.id,
+        body: message.body,
+        reason: violation.reason,
+        detail: violation.detail,
+        strikes,
+        actions,
+        botIsAdmin,
+        timestamp: new Date().toISOString(),
+      });
+
+      return actions.includes('deleted') || actions.includes('removed');
+    } catch (error) {
+      logger.error('Error moderating group message:', error);
+      return false;
+    }
+  }
+
+  isGroupAdmin(chat, id) {
+    const participant = (chat.participants || [])
+      .find(p => p.id._serialized === id || isSameNumber(p.id.user, id));
+
+    return !!(participant && (participant.isAdmin || participant.isSuperAdmin));
+  }
+
+  // Store the consent change and confirm it; the confirmation is a direct reply
+  // so it also reaches contacts that just opted out
+  async handleConsentKeyword(message, contact, keyword) {
+    const status = keyword === 'opt_out' ? 'opted_out' : 'opted_in';
+    const result = await consentService.setConsent(contact.number, status, {
+      source: 'keyword',
+      keyword: message.body.trim(),
+    });
+
+    if (!result.success) return;
+
+    const locale = await i18n.getContactLocale(contact.number);
+    await this.replyTo(message, i18n.t(locale, status === 'opted_out' ? 'consent.optedOut' : 'consent.optedIn'));
+
+    await webserviceClient.logWhatsAppEvent('consent_changed', {
+      from: contact.number,
+      status,
+      source: 'keyword',
+      timestamp: result.consent.updatedAt,
+    });
+  }
+
   // Handle bot commands
   async handleBotCommand(message) {
-    const command = message.body.slice(config.bot.prefix.length).split(' ')[0].toLowerCase();
-    const args = message.body.slice(config.bot.prefix.length).split(' ').slice(1);
+    const { command: name, args: rawArgs } = commandRegistry.parse(message.body);
+    const contact = await message.getContact();
+    const isAdmin = commandRegistry.isAdmin(contact.number);
+    const locale = await i18n.getContactLocale(contact.number);
+    const t = (key, vars) => i18n.t(locale, key, vars);
+    const reply = (text) => this.replyTo(message, text);
 
-    logger.bot(`Processing command: ${command}`, { args });
+    logger.bot(`Processing command: ${name}`, { args: rawArgs });
 
     try {
-      switch (command) {
-        case 'help':
-          await this.sendHelpMessage(message);
-          break;
-        case 'status':
-          await this.sendStatusMessage(message);
-          break;
-        case 'ping':
-          await message.reply('🏓 Pong!');
-          break;
-        case 'info':
-          await this.sendInfoMessage(message);
-          break;
-        default:
-          await message.reply(`❌ Comando desconocido: ${command}\nEnvía ${config.bot.prefix}help para ver los comandos disponibles.`);
+      const command = commandRegistry.get(name);
+
+      if (!command) {
+        await reply(t('common.unknownCommand', { command: name, prefix: config.bot.prefix }));
+        return;
+      }
+
+      if (!commandRegistry.canExecute(command, contact.number)) {
+        logger.warn(`Unauthorized admin command attempt: ${command.name}`, { from: contact.number });
+        await this.logAdminCommand(message, contact, command, rawArgs, { allowed: false });
+        await reply(t('common.unauthorized'));
+        return;
+      }
+
+      const parsedArgs = commandRegistry.parseArgs(command, rawArgs, locale);
+
+      if (!parsedArgs.success) {
+        await reply(`❌ ${parsedArgs.error}\n${t('common.usage', { usage: commandRegistry.getUsage(command) })}`);
+        return;
+      }
+
+      let executionError = null;
+
+      try {
+        await command.execute({
+          message,
+          args: parsedArgs.values,
+          rawArgs,
+          bot: this,
+          registry: commandRegistry,
+          prefix: config.bot.prefix,
+          contact,
+          isAdmin,
+          locale,
+          t,
+          reply,
+        });
+      } catch (error) {
+        executionError = error;
+      }
+
+      if (command.adminOnly) {
+        await this.logAdminCommand(message, contact, command, rawArgs, {
+          allowed: true,
+          ...(executionError && { error: executionError.message }),
+        });
+      }
+
+      if (executionError) {
+        throw executionError;
       }
     } catch (error) {
       logger.error('Error processing bot command:', error);
-      await message.reply('❌ Error procesando el comando. Intenta de nuevo más tarde.');
+      await reply(t('common.commandError'));
     }
   }
 
-  // Bot command handlers
-  async sendHelpMessage(message) {
-    const helpText = `
-🤖 *Bot de WhatsApp - Comandos Disponibles*
+  // Audit trail for privileged commands
+  async logAdminCommand(message, contact, command, args, details = {}) {
+    await webserviceClient.logWhatsAppEvent('admin_command', {
+      command: command.name,
+      args,
+      from: contact.number,
+      fromName: contact.name || contact.pushname,
+      chatId: message.from,
+      messageId: message.id.id,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+  }
 
-${config.bot.prefix}help - Muestra esta ayuda
-${config.bot.prefix}status - Estado del bot
-${config.bot.prefix}ping - Prueba de conectividad
-${config.bot.prefix}info - Información del bot
+  // Group event handlers
+  async handleGroupJoin(notification) {
+    const settings = groupGreetings.getSettings(notification.chatId);
 
-*Desarrollado con whatsapp-web.js*
-    `.trim();
+    if (!config.bot.autoReplyEnabled || !settings.enabled || !settings.welcome.enabled) return;
 
-    await message.reply(helpText);
+    groupGreetings.schedule('welcome', notification.chatId, this.getNotificationParticipants(notification),
+      participantIds => this.sendGroupWelcome(notification.chatId, participantIds));
   }
 
-  async sendStatusMessage(message) {
-    const stats = await queueService.getQueueStats();
-    const statusText = `
-🔄 *Estado del Bot*
+  async handleGroupLeave(notification) {
+    logger.whatsapp('User left group', { chatId: notification.chatId });
+
+    const settings = groupGreetings.getSettings(notification.chatId);
 
-✅ Estado: Activo
-⏰ Tiempo activo: ${this.getUptime()}
-📱 Conectado a WhatsApp: ${this.isConnected ? '✅' : '❌'}
-📊 Trabajos en cola: ${stats.success ? stats.stats.waiting : 'N/A'}
-📈 Trabajos procesados: ${stats.success ? stats.stats.completed : 'N/A'}
-❌ Trabajos fallidos: ${stats.success ? stats.stats.failed : 'N/A'}
-    `.trim();
+    if (!config.bot.autoReplyEnabled || !settings.enabled || !settings.farewell.enabled) return;
 
-    await message.reply(statusText);
+    groupGreetings.schedule('farewell', notification.chatId, this.getNotificationParticipants(notification),
+      participantIds => this.sendGroupFarewell(notification.chatId, participantIds));
   }
 
-  async sendInfoMessage(message) {
-    const contact = await message.getContact();
-    const chat = await message.getChat();
-    
-    const infoText = `
-ℹ️ *Información del Mensaje*
+  // Affected participants of a group notification, without the bot itself
+  getNotificationParticipants(notification) {
+    const botId = this.client.info?.wid?._serialized;
+
+    return (notification.recipientIds || [])
+      .map(id => (typeof id === 'object' ? id._serialized : id))
+      .filter(id => id && id !== botId);
+  }
 
-👤 De: ${contact.name || contact.pushname || contact.number}
-💬 Chat: ${chat.isGroup ? `Grupo: ${chat.name}` : 'Chat privado'}
-📅 Fecha: ${new Date(message.timestamp * 1000).toLocaleString()}
-🆔 ID del mensaje: ${message.id.id}
-📱 Tipo: ${message.type}
-    `.trim();
+  // Variables shared by the welcome, farewell and rules templates
+  async getGreetingVars(chat, participantIds, settings, locale) {
+    const contacts = await Promise.all(participantIds.map(id => this.client.getContactById(id).catch(() => null)));
+    const names = participantIds.map((id, i) => {
+      const contact = contacts[i];
+      return contact?.pushname || contact?.name || contact?.number || id.split('@')[0];
+    });
+    const list = items => new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
 
-    await message.reply(infoText);
+    return {
+      mentions: list(participantIds.map(id => `@${id.split('@')[0]}`)),
+      names: list(names),
+      name: names[0],
+      group: chat.name,
+      description: chat.description || '',
+      count: (chat.participants || []).length,
+      joined: participantIds.length,
+      rulesLink: settings.rules.link || '',
+      welcome: i18n.getWelcomeMessage(locale),
+      prefix: config.bot.prefix,
+    };
   }
 
-  // Group event handlers
-  async handleGroupJoin(notification) {
-    if (config.bot.autoReplyEnabled) {
-      const chat = await this.client.getChatById(notification.chatId);
-      await chat.sendMessage(`👋 ¡Bienvenido al grupo!\n\n${config.bot.welcomeMessage}`);
+  async sendGroupWelcome(chatId, participantIds) {
+    if (participantIds.length === 0) return;
+
+    const chat = await this.client.getChatById(chatId);
+    const settings = groupGreetings.getSettings(chatId);
+    const locale = settings.locale || i18n.defaultLocale;
+    const vars = await this.getGreetingVars(chat, participantIds, settings, locale);
+
+    await this.sendReply(chatId, groupGreetings.render(settings.welcome.text, 'group.welcome', locale, vars), {
+      mentions: participantIds,
+    });
+
+    if (settings.rules.text) {
+      const rules = i18n.format(locale, i18n.localize(settings.rules.text, locale), vars);
+
+      if (settings.rules.delivery === 'dm') {
+        // Private delivery goes through sendMessage so opted-out members are skipped
+        await Promise.all(participantIds.map(id => this.sendMessage(id, rules)));
+      } else {
+        await this.sendReply(chatId, rules);
+      }
     }
+
+    logger.whatsapp(`Welcomed ${participantIds.length} participants in ${chat.name}`);
+
+    await webserviceClient.logWhatsAppEvent('group_welcome_sent', {
+      chatId,
+      participants: participantIds,
+      rulesDelivery: settings.rules.text ? settings.rules.delivery : null,
+      timestamp: new Date().toISOString(),
+    });
   }
 
-  async handleGroupLeave(notification) {
-    logger.whatsapp('User left group', { chatId: notification.chatId });
+  async sendGroupFarewell(chatId, participantIds) {
+    if (participantIds.length === 0) return;
+
+    const chat = await this.client.getChatById(chatId);
+    const settings = groupGreetings.getSettings(chatId);
+    const locale = settings.locale || i18n.defaultLocale;
+    const vars = await this.getGreetingVars(chat, participantIds, settings, locale);
+
+    await this.sendReply(chatId, groupGreetings.render(settings.farewell.text, 'group.farewell', locale, vars));
+
+    logger.whatsapp(`Said farewell to ${participantIds.length} participants in ${chat.name}`);
   }
 
   // Message processing
@@ -332,27 +636,28 @@ ${config.bot.prefix}info - Información del bot
     logger.whatsapp('Message processing started');
   }
 
-  // Process media messages
+  // Download the media of a received message into the media storage; the returned
+  // reference (key, size, mimetype, signed url) is what jobs and events carry
   async processMediaMessage(mediaData) {
     try {
-      const message = await this.client.getMessageById(mediaData.messageId);
-      
-      if (!message.hasMedia) {
+      const message = await this.findMessage(mediaData.messageId, mediaData.chatId);
+
+      if (!message?.hasMedia) {
         return { success: false, error: 'Message has no media' };
       }
 
       const media = await message.downloadMedia();
-      
-      // Send media to webservice for processing
-      const result = await webserviceClient.queueJob('process-media', {
-        messageId: mediaData.messageId,
-        mediaType: media.mimetype,
-        mediaSize: media.data.length,
-        mediaData: media.data,
+
+      if (!media) {
+        return { success: false, error: 'Media is no longer available' };
+      }
+
+      const reference = await mediaStorage.store(Buffer.from(media.data, 'base64'), {
+        mimetype: media.mimetype,
         filename: media.filename,
       });
 
-      return result;
+      return { success: true, media: reference };
     } catch (error) {
       logger.error('Error processing media message:', error);
       return { success: false, error: error.message };
@@ -360,14 +665,29 @@ ${config.bot.prefix}info - Información del bot
   }
 
   // Send message methods
-  async sendMessage(to, message, options = {}) {
+  // With defer: false a send over the outbound budget is not queued but returned with
+  // code THROTTLED and retryIn, for jobs that delay themselves (campaign messages)
+  async sendMessage(to, message, { defer = true, ...options } = {}) {
     try {
       if (!this.isReady) {
         throw new Error('WhatsApp client is not ready');
       }
 
-      const chatId = to.includes('@') ? to : `${to}@c.us`;
-      const result = await this.client.sendMessage(chatId, message, options);
+      const chatId = toChatId(to);
+
+      if (!(await this.hasConsent(chatId))) {
+        return this.optedOutResult(to);
+      }
+
+      const deferred = await this.throttle(chatId, 'sendMessage', () => [to, message, options], defer);
+
+      if (deferred) {
+        return deferred;
+      }
+
+      const resolved = await this.resolveSendOptions(chatId, message, options);
+      const result = await this.client.sendMessage(chatId, resolved.text, resolved.options);
+      await messageStore.remember(result);
       
       logger.whatsapp(`Message sent to ${to}`, { messageId: result.id.id });
       
@@ -385,19 +705,45 @@ ${config.bot.prefix}info - Información del bot
     }
   }
 
-  async sendMediaMessage(to, media, caption = '', options = {}) {
+  // media: URL, base64 payload ({ data, mimetype, filename }) or a file of the media directory.
+  // options.convert (sticker, voice, image or video) converts it before sending.
+  async sendMediaMessage(to, media, caption = '', { convert, defer = true, ...options } = {}) {
     try {
       if (!this.isReady) {
         throw new Error('WhatsApp client is not ready');
       }
 
-      const chatId = to.includes('@') ? to : `${to}@c.us`;
-      const messageMedia = MessageMedia.fromFilePath(media);
-      
-      const result = await this.client.sendMessage(chatId, messageMedia, {
+      const chatId = toChatId(to);
+
+      if (!(await this.hasConsent(chatId))) {
+        return this.optedOutResult(to);
+      }
+
+      const deferred = await this.throttle(chatId, 'sendMediaMessage', async () => [
+        to,
+        await mediaService.toReference(media),
         caption,
-        ...options,
+        { convert, ...options },
+      ], defer);
+
+      if (deferred) {
+        return deferred;
+      }
+
+      let messageMedia = await mediaService.resolve(media);
+      let conversionOptions = {};
+
+      if (convert) {
+        ({ media: messageMedia, sendOptions: conversionOptions } = await mediaConverter.convert(messageMedia, convert));
+      }
+
+      const resolved = await this.resolveSendOptions(chatId, caption, options);
+      const result = await this.client.sendMessage(chatId, messageMedia, {
+        caption: resolved.text,
+        ...resolved.options,
+        ...conversionOptions,
       });
+      await messageStore.remember(result);
       
       logger.whatsapp(`Media message sent to ${to}`, { messageId: result.id.id });
       
@@ -411,11 +757,762 @@ ${config.bot.prefix}info - Información del bot
       return {
         success: false,
         error: error.message,
+        ...(error.code === mediaService.INVALID_MEDIA && { code: error.code }),
       };
     }
   }
 
-  // Utility methods
+  // Send a location pin; name and address are shown under the map preview
+  async sendLocation(to, latitude, longitude, { name, address, url, replyTo } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chatId = toChatId(to);
+
+      if (!(await this.hasConsent(chatId))) {
+        return this.optedOutResult(to);
+      }
+
+      const deferred = await this.throttle(chatId, 'sendLocation', () => [to, latitude, longitude, { name, address, url, replyTo }]);
+
+      if (deferred) {
+        return deferred;
+      }
+
+      const location = new Location(latitude, longitude, { name, address, url });
+      const resolved = await this.resolveSendOptions(chatId, undefined, { replyTo });
+      const result = await this.client.sendMessage(chatId, location, resolved.options);
+      await messageStore.remember(result);
+
+      logger.whatsapp(`Location sent to ${to}`, { messageId: result.id.id, latitude, longitude });
+
+      return {
+        success: true,
+        messageId: result.id.id,
+        timestamp: result.timestamp,
+      };
+    } catch (error) {
+      logger.error('Error sending location:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Send contact cards built from structured contacts ({ name, phones, emails, organization, title }).
+  // WhatsApp only groups cards of saved contacts, so each card goes as its own message.
+  async sendContacts(to, contacts, { replyTo } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chatId = toChatId(to);
+
+      if (!(await this.hasConsent(chatId))) {
+        return this.optedOutResult(to);
+      }
+
+      // All the cards of a call share one slot of the outbound budget
+      const deferred = await this.throttle(chatId, 'sendContacts', () => [to, contacts, { replyTo }]);
+
+      if (deferred) {
+        return deferred;
+      }
+
+      const resolved = await this.resolveSendOptions(chatId, undefined, { replyTo });
+      const messageIds = [];
+      let timestamp = null;
+
+      for (const [index, contact] of contacts.entries()) {
+        // Only the first card quotes the replied message
+        const options = index === 0 ? resolved.options : {};
+        const result = await this.client.sendMessage(chatId, buildVCard(contact), { ...options, parseVCards: true });
+
+        await messageStore.remember(result);
+        messageIds.push(result.id.id);
+        timestamp = result.timestamp;
+      }
+
+      logger.whatsapp(`${messageIds.length} contact card(s) sent to ${to}`);
+
+      return {
+        success: true,
+        messageId: messageIds[0],
+        messageIds,
+        timestamp,
+      };
+    } catch (error) {
+      logger.error('Error sending contact cards:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Take a slot of the outbound budget. Over the budget the send is queued as a
+  // deferred-send job with the arguments from getArgs (which must be serializable)
+  // and the deferral is returned; within it null is returned after a random pause.
+  async throttle(chatId, method, getArgs, defer = true) {
+    const slot = await outboundThrottle.reserve(chatId, { turn: deferredTurn.getStore() });
+
+    if (slot.allowed) {
+      if (slot.pause > 0) {
+        await new Promise(resolve => setTimeout(resolve, slot.pause));
+      }
+
+      return null;
+    }
+
+    if (!defer) {
+      return {
+        success: false,
+        error: `Outbound limit reached (${slot.reason})`,
+        code: outboundThrottle.THROTTLED,
+        reason: slot.reason,
+        retryIn: slot.retryIn,
+      };
+    }
+
+    const job = await queueService.addJob(config.queue.name, 'deferred-send', {
+      method,
+      args: await getArgs(),
+      turn: slot.turn,
+    }, { delay: slot.retryIn });
+
+    if (!job.success) {
+      throw new Error(`Could not defer message to ${chatId}: ${job.error}`);
+    }
+
+    return {
+      success: true,
+      deferred: true,
+      reason: slot.reason,
+      jobId: job.jobId,
+      sendAt: new Date(Date.now() + slot.retryIn).toISOString(),
+    };
+  }
+
+  // Run a send put off by the outbound throttle; it goes through the throttle again, in the
+  // chat's turn it was given. Anyone who can queue jobs can create these, so a deferred reply
+  // checks the consent it skipped when it was first sent (a deferred opt-out confirmation
+  // is dropped too)
+  async sendDeferred(method, args, turn) {
+    if (!DEFERRABLE_SENDS.includes(method)) {
+      return { success: false, error: `Unknown send method: ${method}` };
+    }
+
+    if (method === 'sendReply' && !(await this.hasConsent(toChatId(String(args[0]))))) {
+      return this.optedOutResult(args[0]);
+    }
+
+    return deferredTurn.run(turn, () => this[method](...args));
+  }
+
+  // Replies to a received message, moderation notices and group greetings. They skip the
+  // consent check (they answer the contact or post to a group) but not the outbound throttle
+  async sendReply(chatId, text, options = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const deferred = await this.throttle(chatId, 'sendReply', () => [chatId, text, options]);
+
+      if (deferred) {
+        logger.whatsapp(`Reply to ${chatId} deferred (${deferred.reason})`, { sendAt: deferred.sendAt });
+        return deferred;
+      }
+
+      const result = await this.client.sendMessage(chatId, text, options);
+
+      return {
+        success: true,
+        messageId: result.id.id,
+        timestamp: result.timestamp,
+      };
+    } catch (error) {
+      logger.error('Error sending reply:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Quoted reply to a received message, like message.reply but throttled
+  async replyTo(message, text) {
+    return this.sendReply(message.from, text, { quotedMessageId: message.id._serialized });
+  }
+
+  // Consent applies to contacts; group chats are not checked
+  async hasConsent(chatId) {
+    return chatId.endsWith('@g.us') || consentService.canSend(chatId);
+  }
+
+  optedOutResult(to) {
+    logger.whatsapp(`Message to ${to} not sent: recipient opted out`);
+
+    return {
+      success: false,
+      error: 'Recipient has opted out of messages',
+      code: consentService.OPTED_OUT,
+    };
+  }
+
+  async sendPoll(to, question, options, { allowMultipleAnswers = false } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chatId = toChatId(to);
+
+      if (!(await this.hasConsent(chatId))) {
+        return this.optedOutResult(to);
+      }
+
+      const deferred = await this.throttle(chatId, 'sendPoll', () => [to, question, options, { allowMultipleAnswers }]);
+
+      if (deferred) {
+        return deferred;
+      }
+
+      const result = await this.client.sendMessage(chatId, new Poll(question, options, { allowMultipleAnswers }));
+      const poll = await pollService.registerPoll(result, { chatId });
+      await messageStore.remember(result);
+
+      logger.whatsapp(`Poll sent to ${to}`, { pollId: poll.id });
+
+      return {
+        success: true,
+        messageId: result.id.id,
+        pollId: poll.id,
+        timestamp: result.timestamp,
+      };
+    } catch (error) {
+      logger.error('Error sending poll:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async handleReaction(reaction) {
+    const messageKey = reaction.msgId || {};
+    const removed = !reaction.reaction;
+
+    logger.whatsapp(`Reaction ${removed ? 'removed' : reaction.reaction} on message ${messageKey.id}`, {
+      from: reaction.senderId,
+    });
+
+    await webserviceClient.logWhatsAppEvent('message_reaction', {
+      messageId: messageKey.id,
+      serializedMessageId: messageKey._serialized,
+      chatId: messageKey.remote?._serialized || messageKey.remote,
+      from: reaction.senderId,
+      fromMe: !!reaction.id?.fromMe,
+      reaction: reaction.reaction || null,
+      removed,
+      timestamp: new Date(reaction.timestamp * 1000).toISOString(),
+    });
+  }
+
+  // Find a message by its serialized id ("true_123@c.us_3EB0..."), or by its short id:
+  // ids issued by the bot are resolved from the message store, others are searched
+  // in the latest messages of the given chat
+  async findMessage(messageId, chatId = null) {
+    if (messageId.includes('_')) {
+      return this.client.getMessageById(messageId);
+    }
+
+    const stored = await messageStore.lookup(messageId).catch(() => null);
+
+    if (stored) {
+      return this.client.getMessageById(stored.serializedId);
+    }
+
+    if (!chatId) {
+      throw new Error('chatId is required to find a message by its short id');
+    }
+
+    const chat = await this.client.getChatById(toChatId(chatId));
+    const messages = await chat.fetchMessages({ limit: 100 });
+
+    return messages.find(message => message.id.id === messageId) || null;
+  }
+
+  // React to a message with an emoji; an empty emoji removes the bot's reaction
+  async reactToMessage(messageId, emoji, { chatId } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const message = await this.findMessage(messageId, chatId);
+
+      if (!message) {
+        throw new Error(`Message not found: ${messageId}`);
+      }
+
+      await message.react(emoji);
+
+      logger.whatsapp(`Reaction ${emoji || 'removed'} on message ${message.id.id}`);
+
+      return {
+        success: true,
+        messageId: message.id.id,
+        reaction: emoji || null,
+      };
+    } catch (error) {
+      logger.error('Error reacting to message:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Edit the text of a message sent by the bot (WhatsApp allows it for 15 minutes)
+  async editMessage(messageId, text, { chatId } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const message = await this.findMessage(messageId, chatId);
+
+      if (!message) {
+        throw new Error(`Message not found: ${messageId}`);
+      }
+
+      if (!message.fromMe) {
+        throw new Error('Only messages sent by the bot can be edited');
+      }
+
+      const edited = await message.edit(text);
+
+      if (!edited) {
+        throw new Error('WhatsApp rejected the edit, the message may be too old');
+      }
+
+      await messageStore.update(message.id.id, { editedAt: new Date().toISOString() });
+      logger.whatsapp(`Message ${message.id.id} edited`);
+
+      await webserviceClient.logWhatsAppEvent('message_edited', {
+        messageId: message.id.id,
+        chatId: message.id.remote,
+        body: text,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        success: true,
+        messageId: message.id.id,
+      };
+    } catch (error) {
+      logger.error('Error editing message:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Delete a message for everyone (or only for the bot with everyone = false)
+  async deleteMessage(messageId, { chatId, everyone = true } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const message = await this.findMessage(messageId, chatId);
+
+      if (!message) {
+        throw new Error(`Message not found: ${messageId}`);
+      }
+
+      await message.delete(everyone);
+
+      await messageStore.update(message.id.id, { deletedAt: new Date().toISOString() });
+      logger.whatsapp(`Message ${message.id.id} deleted${everyone ? ' for everyone' : ''}`);
+
+      await webserviceClient.logWhatsAppEvent('message_revoked', {
+        messageId: message.id.id,
+        chatId: message.id.remote,
+        everyone,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        success: true,
+        messageId: message.id.id,
+        everyone,
+      };
+    } catch (error) {
+      logger.error('Error deleting message:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Store the voter's current selection and publish the updated tally
+  async handleVoteUpdate(vote) {
+    const pollId = vote.parentMessage?.id?._serialized || vote.parentMsgKey?._serialized;
+    if (!pollId) return;
+
+    // Polls created outside the API are registered on their first vote
+    if (!(await pollService.getPoll(pollId)) && vote.parentMessage?.pollName) {
+      await pollService.registerPoll(vote.parentMessage);
+    }
+
+    await pollService.recordVote(pollId, vote.voter, vote.selectedOptions, vote.interractedAtTs);
+
+    const results = await pollService.getResults(pollId);
+    if (!results) return;
+
+    await webserviceClient.logWhatsAppEvent('poll_results', {
+      pollId,
+      chatId: results.poll.chatId,
+      question: results.poll.question,
+      totalVoters: results.totalVoters,
+      results: results.results,
+      lastVote: {
+        voter: vote.voter,
+        options: vote.selectedOptions.map(option => option.name),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Translate the API fields replyTo (message id) and mentions (phone numbers) into
+  // whatsapp-web.js options. Mentions missing from the text are appended as @number,
+  // since WhatsApp only highlights mentions that appear in the text.
+  async resolveSendOptions(chatId, text, { replyTo, mentions, ...options } = {}) {
+    const resolved = { ...options };
+    let body = text;
+
+    if (replyTo) {
+      const quoted = await this.findMessage(String(replyTo), chatId);
+
+      if (!quoted) {
+        throw new Error(`Message to reply to not found: ${replyTo}`);
+      }
+
+      resolved.quotedMessageId = quoted.id._serialized;
+    }
+
+    if (mentions && mentions.length > 0) {
+      const numbers = mentions.map(normalizeNumber);
+      const missing = numbers.filter(number => !(body || '').includes(`@${number}`));
+
+      resolved.mentions = numbers.map(toChatId);
+      body = [body, ...missing.map(number => `@${number}`)].filter(Boolean).join(' ');
+    }
+
+    return { text: body, options: resolved };
+  }
+
+  // Send the same text to every group or private chat the bot is part of
+  async broadcastMessage(message, { groups = true } = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chats = (await this.client.getChats())
+        .filter(chat => chat.isGroup === groups);
+
+      const results = { sent: 0, deferred: 0, failed: 0 };
+
+      // Messages over the outbound budget count as sent and go out later
+      for (const chat of chats) {
+        const result = await this.sendMessage(chat.id._serialized, message);
+        results[result.success ? 'sent' : 'failed']++;
+
+        if (result.deferred) {
+          results.deferred++;
+        }
+      }
+
+      logger.whatsapp(`Broadcast sent to ${results.sent}/${chats.length} chats`, { groups });
+
+      return {
+        success: true,
+        total: chats.length,
+        ...results,
+      };
+    } catch (error) {
+      logger.error('Error broadcasting message:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Block or unblock a contact by number
+  async setContactBlocked(number, blocked) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const contact = await this.client.getContactById(toChatId(number));
+      const result = blocked ? await contact.block() : await contact.unblock();
+
+      logger.whatsapp(`Contact ${number} ${blocked ? 'blocked' : 'unblocked'}`);
+
+      return {
+        success: result !== false,
+        number: contact.number,
+        blocked,
+      };
+    } catch (error) {
+      logger.error('Error changing contact block status:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Group management
+  // Run an operation on a group chat, wrapping the result like the send methods
+  async withGroup(groupId, description, operation) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chat = await this.client.getChatById(toGroupId(groupId));
+
+      if (!chat || !chat.isGroup) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+
+      return { success: true, ...(await operation(chat)) };
+    } catch (error) {
+      logger.error(`Error ${description}:`, error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Permission-dependent setters return false instead of throwing
+  assertApplied(applied, description) {
+    if (applied === false) {
+      throw new Error(`Could not ${description}, the bot must be a group admin`);
+    }
+  }
+
+  serializeGroup(chat) {
+    return {
+      id: chat.id._serialized,
+      name: chat.name,
+      description: chat.description || null,
+      owner: chat.owner?._serialized || null,
+      createdAt: chat.createdAt ? chat.createdAt.toISOString() : null,
+      settings: {
+        messagesAdminsOnly: !!chat.groupMetadata?.announce,
+        infoAdminsOnly: !!chat.groupMetadata?.restrict,
+      },
+      participants: (chat.participants || []).map(participant => ({
+        id: participant.id._serialized,
+        isAdmin: !!participant.isAdmin,
+        isSuperAdmin: !!participant.isSuperAdmin,
+      })),
+    };
+  }
+
+  async listGroups() {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const chats = await this.client.getChats();
+      const groups = chats
+        .filter(chat => chat.isGroup)
+        .map(chat => ({
+          id: chat.id._serialized,
+          name: chat.name,
+          participants: (chat.participants || []).length,
+        }));
+
+      return { success: true, groups };
+    } catch (error) {
+      logger.error('Error listing groups:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async createGroup(title, participants = [], options = {}) {
+    try {
+      if (!this.isReady) {
+        throw new Error('WhatsApp client is not ready');
+      }
+
+      const result = await this.client.createGroup(title, participants.map(toChatId), options);
+
+      // whatsapp-web.js reports creation errors as a string
+      if (typeof result === 'string') {
+        throw new Error(result);
+      }
+
+      logger.whatsapp(`Group created: ${title}`, { groupId: result.gid._serialized });
+
+      return {
+        success: true,
+        groupId: result.gid._serialized,
+        title: result.title,
+        participants: result.participants,
+      };
+    } catch (error) {
+      logger.error('Error creating group:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async getGroupInfo(groupId) {
+    return this.withGroup(groupId, 'getting group info', async chat => ({ group: this.serializeGroup(chat) }));
+  }
+
+  // action: add | remove | promote | demote
+  async updateGroupParticipants(groupId, action, participants) {
+    const methods = {
+      add: 'addParticipants',
+      remove: 'removeParticipants',
+      promote: 'promoteParticipants',
+      demote: 'demoteParticipants',
+    };
+
+    if (!methods[action]) {
+      return { success: false, error: `Invalid action: ${action}. Use one of ${Object.keys(methods).join(', ')}` };
+    }
+
+    return this.withGroup(groupId, `running ${action} on group participants`, async (chat) => {
+      const result = await chat[methods[action]](participants.map(toChatId));
+
+      // addParticipants reports failures as a string
+      if (typeof result === 'string') {
+        throw new Error(result);
+      }
+
+      logger.whatsapp(`Group ${chat.name}: ${action} ${participants.length} participants`);
+      return { action, result };
+    });
+  }
+
+  async updateGroupInfo(groupId, { subject, description } = {}) {
+    return this.withGroup(groupId, 'updating group info', async (chat) => {
+      if (subject !== undefined) {
+        this.assertApplied(await chat.setSubject(subject), 'change the subject');
+      }
+
+      if (description !== undefined) {
+        this.assertApplied(await chat.setDescription(description), 'change the description');
+      }
+
+      return { subject, description };
+    });
+  }
+
+  // picture: path of an image file, or { data (base64), mimetype }; null removes it
+  async setGroupPicture(groupId, picture) {
+    return this.withGroup(groupId, 'updating group picture', async (chat) => {
+      if (!picture) {
+        this.assertApplied(await chat.deletePicture(), 'remove the picture');
+        return { removed: true };
+      }
+
+      const media = await mediaService.resolve(picture);
+
+      this.assertApplied(await chat.setPicture(media), 'change the picture');
+      return { updated: true };
+    });
+  }
+
+  async updateGroupSettings(groupId, { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly } = {}) {
+    return this.withGroup(groupId, 'updating group settings', async (chat) => {
+      if (messagesAdminsOnly !== undefined) {
+        this.assertApplied(await chat.setMessagesAdminsOnly(!!messagesAdminsOnly), 'change who can send messages');
+      }
+
+      if (infoAdminsOnly !== undefined) {
+        this.assertApplied(await chat.setInfoAdminsOnly(!!infoAdminsOnly), 'change who can edit the group info');
+      }
+
+      if (addMembersAdminsOnly !== undefined) {
+        this.assertApplied(await chat.setAddMembersAdminsOnly(!!addMembersAdminsOnly), 'change who can add members');
+      }
+
+      return { settings: { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly } };
+    });
+  }
+
+  async getGroupInviteLink(groupId) {
+    return this.withGroup(groupId, 'getting group invite link', async (chat) => {
+      const code = await chat.getInviteCode();
+
+      if (!code) {
+        throw new Error('Could not get the invite code, the bot must be a group admin');
+      }
+
+      return { code, link: `https://chat.whatsapp.com/${code}` };
+    });
+  }
+
+  async revokeGroupInviteLink(groupId) {
+    return this.withGroup(groupId, 'revoking group invite link', async (chat) => {
+      const code = await chat.revokeInvite();
+      logger.whatsapp(`Invite link revoked for group ${chat.name}`);
+      return { code, link: `https://chat.whatsapp.com/${code}` };
+    });
+  }
+
+  // Utility methods
+  // Coordinates of a location message, or null for any other type
+  extractLocation(message) {
+    if (message.type !== 'location' || !message.location) {
+      return null;
+    }
+
+    const { latitude, longitude, name, address, url } = message.location;
+
+    return {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      name: name || null,
+      address: address || null,
+      url: url || null,
+    };
+  }
+
+  // Structured contacts of a vCard message, or null for any other type
+  extractContacts(message) {
+    if (!['vcard', 'multi_vcard'].includes(message.type)) {
+      return null;
+    }
+
+    return (message.vCards || []).flatMap(parseVCard);
+  }
+
   getAckStatus(ack) {
     switch (ack) {
       case 0: return 'pending';
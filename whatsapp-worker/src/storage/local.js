@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Media storage on the local disk, one file per key under the storage directory
+class LocalStorage {
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+  }
+
+  resolvePath(key) {
+    return path.join(this.directory, key);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Write to a temporary file first so readers never see a partial file
+  async put(key, buffer) {
+    const file = this.resolvePath(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, buffer);
+    await fs.promises.rename(temporary, file);
+  }
+
+  // { stream, size } of a stored object, or null when it does not exist
+  async get(key) {
+    const file = this.resolvePath(key);
+
+    try {
+      const stats = await fs.promises.stat(file);
+      return { stream: fs.createReadStream(file), size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
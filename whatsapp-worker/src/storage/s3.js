@@ -0,0 +1,69 @@
+const {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = error => error.name === 'NotFound'
+  || error.name === 'NoSuchKey'
+  || error.$metadata?.httpStatusCode === 404;
+
+// Media storage on S3 or any S3-compatible service (MinIO, R2, Spaces...)
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3 media storage requires S3_BUCKET');
+    }
+
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle, // MinIO and most self-hosted services need path-style URLs
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async put(key, buffer, mimetype) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: mimetype,
+    }));
+  }
+
+  // { stream, size } of a stored object, or null when it does not exist
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { stream: object.Body, size: object.ContentLength };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+}
+
+module.exports = S3Storage;
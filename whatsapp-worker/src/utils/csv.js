@@ -0,0 +1,66 @@
+// Minimal CSV (RFC 4180) reader: quoted fields, escaped quotes and line breaks inside quotes.
+// Spreadsheets in Spanish locales export with ";", so the delimiter is taken from the header.
+
+const detectDelimiter = (content) => {
+  const header = content.split(/\r?\n/)[0];
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Rows as arrays of strings; blank lines are skipped
+const parseRows = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// First row as header: "phone,name" -> [{ phone: '...', name: '...' }]
+const parseCsv = (content) => {
+  // Excel exports start with a byte order mark
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const [header = [], ...rows] = parseRows(text, detectDelimiter(text));
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => columns.reduce((record, column, index) => (
+    column ? { ...record, [column]: (cells[index] || '').trim() } : record
+  ), {}));
+};
+
+module.exports = {
+  parseCsv,
+};
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Read a YAML (.yml/.yaml) or JSON file; returns null when the file does not exist
+const readStructuredFile = (file) => {
+  if (!fs.existsSync(file)) return null;
+
+  const content = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+};
+
+module.exports = {
+  readStructuredFile,
+};
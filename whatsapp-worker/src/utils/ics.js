@@ -0,0 +1,103 @@
+const moment = require('moment');
+const { fromZonedTime, isValidTimeZone } = require('./time');
+
+// Minimal iCalendar (RFC 5545) reader: extracts VEVENT summary, start, end and RRULE
+
+// Unfold continuation lines (lines starting with a space or tab)
+const unfoldLines = content => content
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+// "DTSTART;VALUE=DATE:20261225" -> { name, params, value }
+const parseLine = (line) => {
+  const separator = line.indexOf(':');
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = rawParams.reduce((acc, param) => {
+    const [key, value = ''] = param.split('=');
+    return { ...acc, [key.toUpperCase()]: value.replace(/^"|"$/g, '') };
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// All-day values become "YYYY-MM-DD"; date-times become Date objects. Times without Z are
+// read in their TZID, or in timeZone when the TZID is missing or not an IANA name
+const parseDateValue = ({ params, value }, timeZone) => {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { allDay: true, date: moment(value, 'YYYYMMDD').format('YYYY-MM-DD') };
+  }
+
+  if (value.endsWith('Z')) {
+    return { allDay: false, date: moment.utc(value, 'YYYYMMDDTHHmmss[Z]').toDate() };
+  }
+
+  const zone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  const localDateTime = moment(value, 'YYYYMMDDTHHmmss').format('YYYY-MM-DDTHH:mm:ss');
+
+  return { allDay: false, date: fromZonedTime(localDateTime, zone) };
+};
+
+// "FREQ=YEARLY;COUNT=5" -> { FREQ: 'YEARLY', COUNT: '5' }
+const parseRule = value => value.split(';').filter(Boolean).reduce((acc, part) => {
+  const [key, ruleValue = ''] = part.split('=');
+  return { ...acc, [key.toUpperCase()]: ruleValue.toUpperCase() };
+}, {});
+
+const unescapeText = value => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// timeZone: zone of the date-times without Z or TZID (host timezone when omitted)
+const parseIcs = (content, { timeZone } = {}) => {
+  const events = [];
+  let current = null;
+
+  unfoldLines(content).forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) return;
+
+    const property = parseLine(line);
+    if (!property) return;
+
+    switch (property.name) {
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property, timeZone);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property, timeZone);
+        break;
+      case 'RRULE':
+        current.rrule = parseRule(property.value);
+        break;
+      case 'UID':
+        current.uid = property.value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  parseIcs,
+};
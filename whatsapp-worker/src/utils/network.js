@@ -0,0 +1,75 @@
+const dns = require('dns');
+const net = require('net');
+
+// Address checks for requests to hosts supplied by API callers (media downloads)
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// "::ffff:127.0.0.1" is 127.0.0.1
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const isPublicAddress = (address) => {
+  const mapped = IPV4_MAPPED_PATTERN.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedAddress = (hostname, address) => Object.assign(
+  new Error(`${hostname} resolves to a non-public address (${address})`),
+  { code: 'EADDRBLOCKED' },
+);
+
+// dns.lookup replacement for http(s) agents: fails when a host resolves to a non-public
+// address. Checked on every connection, so redirects and DNS rebinding are covered too
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+
+    if (blocked) return callback(blockedAddress(hostname, blocked.address));
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Connections to IP literals skip the lookup, so URLs naming an address are checked up front
+const assertPublicHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw blockedAddress(hostname, host);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  assertPublicHost,
+};
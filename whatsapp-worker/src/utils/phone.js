@@ -0,0 +1,33 @@
+// Phone number helpers shared by the bot, handlers and API
+
+// Reduce a number or WhatsApp id ("+1 234-567", "1234567@c.us") to its digits
+const normalizeNumber = (value) => {
+  if (!value) return '';
+
+  return String(value).split('@')[0].split(':')[0].replace(/\D/g, '');
+};
+
+// Build a WhatsApp chat id from a number, leaving existing ids untouched
+const toChatId = (value) => {
+  const str = String(value);
+  return str.includes('@') ? str : `${normalizeNumber(str)}@c.us`;
+};
+
+// Build a WhatsApp group id, accepting the bare numeric id
+const toGroupId = (value) => {
+  const str = String(value);
+  return str.includes('@') ? str : `${str}@g.us`;
+};
+
+// Compare two numbers ignoring formatting
+const isSameNumber = (a, b) => {
+  const left = normalizeNumber(a);
+  return left !== '' && left === normalizeNumber(b);
+};
+
+module.exports = {
+  normalizeNumber,
+  toChatId,
+  toGroupId,
+  isSameNumber,
+};
@@ -0,0 +1,32 @@
+// Text helpers for keyword matching and message templates
+
+// "¡No más mensajes!" -> "no mas mensajes"
+const normalizeText = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\w\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Whole-word search of an already normalized term in an already normalized text
+const containsWord = (text, term) => ` ${text} `.includes(` ${term} `);
+
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// "Hola {{name}}" + { name: 'Ana' } -> "Hola Ana"; unknown variables are left untouched
+const renderTemplate = (template, vars = {}) => String(template || '').replace(TEMPLATE_VARIABLE, (match, name) => (
+  vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+));
+
+// Names of the {{variables}} used by a template
+const getTemplateVariables = template => [...new Set(
+  [...String(template || '').matchAll(TEMPLATE_VARIABLE)].map(match => match[1]),
+)];
+
+module.exports = {
+  normalizeText,
+  containsWord,
+  renderTemplate,
+  getTemplateVariables,
+};
@@ -0,0 +1,127 @@
+// Time helpers for schedules expressed in a named timezone
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Wall-clock parts of a date in the given IANA timezone (defaults to the host timezone)
+const getZonedTime = (date = new Date(), timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const hour = parseInt(parts.hour, 10);
+  const minute = parseInt(parts.minute, 10);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour,
+    minute,
+    minutesOfDay: hour * 60 + minute,
+  };
+};
+
+// "09:30" -> 570
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// Whether a minute of the day falls in [start, end); windows may wrap past midnight
+const isWithinTimeRange = (minutesOfDay, start, end) => {
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+
+  if (from <= to) {
+    return minutesOfDay >= from && minutesOfDay < to;
+  }
+
+  return minutesOfDay >= from || minutesOfDay < to;
+};
+
+// Whether the name is an IANA timezone known to the runtime ("America/Mexico_City")
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(timestamp)).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+// "2026-12-24T09:00" read as wall-clock time in the timezone -> Date
+const fromZonedTime = (localDateTime, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(localDateTime).trim());
+
+  if (!match) {
+    throw new Error(`Invalid date and time: ${localDateTime}`);
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(value => Number(value || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset depends on the instant itself; a second pass settles daylight saving changes
+  let timestamp = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  timestamp = wallClock - getTimeZoneOffset(timestamp, timeZone);
+
+  return new Date(timestamp);
+};
+
+// ISO dates with an offset ("2026-12-24T09:00:00Z", "...-06:00") are absolute; without
+// one ("2026-12-24T09:00") they are wall-clock times of the given timezone
+const parseDateTime = (value, timeZone) => {
+  const date = /(Z|[+-]\d{2}:?\d{2})$/i.test(String(value))
+    ? new Date(value)
+    : fromZonedTime(value, timeZone);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date and time: ${value}`);
+  }
+
+  return date;
+};
+
+// Accepts day numbers (0 = Sunday) or short English names ("mon")
+const normalizeWeekday = (day) => {
+  if (typeof day === 'number') return day;
+  return WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase());
+};
+
+module.exports = {
+  WEEKDAYS,
+  getZonedTime,
+  parseTimeOfDay,
+  isWithinTimeRange,
+  normalizeWeekday,
+  isValidTimeZone,
+  fromZonedTime,
+  parseDateTime,
+};
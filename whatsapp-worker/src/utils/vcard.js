@@ -0,0 +1,150 @@
+const { normalizeNumber } = require('./phone');
+
+// Minimal vCard (RFC 2426 / 6350) reader and writer for WhatsApp contact cards
+
+// Unfold continuation lines (lines starting with a space or tab)
+const unfoldLines = content => content
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+// "item1.TEL;type=CELL;waid=521555:+52 1 555" -> { name, params, value }
+const parseLine = (line) => {
+  const separator = line.indexOf(':');
+  if (separator === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, separator).split(';');
+  const params = rawParams.reduce((acc, param) => {
+    const [key, value] = param.includes('=') ? param.split('=') : ['TYPE', param];
+    const name = key.toUpperCase();
+    return { ...acc, [name]: [...(acc[name] || []), ...value.split(',')] };
+  }, {});
+
+  return {
+    name: rawName.split('.').pop().toUpperCase(),
+    params,
+    value: line.slice(separator + 1),
+  };
+};
+
+const unescapeText = value => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/([,;])/g, '\\$1')
+  .replace(/\n/g, '\\n');
+
+// Structured-value components ("Doe;John;;;") split on unescaped semicolons
+const splitComponents = value => value
+  .split(/(?<!\\);/)
+  .map(unescapeText);
+
+const getType = params => (params.TYPE || [])
+  .map(type => type.toLowerCase())
+  .find(type => !['pref', 'internet', 'voice'].includes(type)) || null;
+
+const parseCard = (lines) => {
+  const contact = {
+    name: null,
+    firstName: null,
+    lastName: null,
+    phones: [],
+    emails: [],
+    organization: null,
+    title: null,
+  };
+
+  lines.map(parseLine).filter(Boolean).forEach(({ name, params, value }) => {
+    switch (name) {
+      case 'FN':
+        contact.name = unescapeText(value);
+        break;
+      case 'N': {
+        const [lastName, firstName] = splitComponents(value);
+        contact.lastName = lastName || null;
+        contact.firstName = firstName || null;
+        break;
+      }
+      case 'TEL':
+        contact.phones.push({
+          number: unescapeText(value),
+          waId: params.WAID ? params.WAID[0] : null,
+          type: getType(params),
+        });
+        break;
+      case 'EMAIL':
+        contact.emails.push({ address: unescapeText(value), type: getType(params) });
+        break;
+      case 'ORG':
+        contact.organization = splitComponents(value).filter(Boolean).join(', ') || null;
+        break;
+      case 'TITLE':
+        contact.title = unescapeText(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (!contact.name) {
+    contact.name = [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null;
+  }
+
+  return contact;
+};
+
+// Parse every BEGIN:VCARD ... END:VCARD block of the content
+const parseVCard = (content) => {
+  const cards = [];
+  let current = null;
+
+  unfoldLines(content || '').forEach((line) => {
+    const trimmed = line.trim();
+
+    if (/^BEGIN:VCARD$/i.test(trimmed)) {
+      current = [];
+    } else if (/^END:VCARD$/i.test(trimmed)) {
+      if (current) cards.push(parseCard(current));
+      current = null;
+    } else if (current) {
+      current.push(trimmed);
+    }
+  });
+
+  return cards;
+};
+
+// Structured contact -> vCard 3.0; waid lets WhatsApp offer "Message" on the card
+const buildVCard = ({ name, firstName, lastName, phones = [], emails = [], organization, title }) => {
+  const fullName = name || [firstName, lastName].filter(Boolean).join(' ');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeText(fullName)}`,
+    `N:${escapeText(lastName || '')};${escapeText(firstName || (lastName ? '' : fullName))};;;`,
+  ];
+
+  if (organization) lines.push(`ORG:${escapeText(organization)}`);
+  if (title) lines.push(`TITLE:${escapeText(title)}`);
+
+  phones.forEach((phone) => {
+    const { number, type = 'cell' } = typeof phone === 'string' ? { number: phone } : phone;
+    const waId = normalizeNumber(number);
+    lines.push(`TEL;type=${String(type).toUpperCase()};waid=${waId}:${number}`);
+  });
+
+  emails.forEach((email) => {
+    const { address, type = 'internet' } = typeof email === 'string' ? { address: email } : email;
+    lines.push(`EMAIL;type=${String(type).toUpperCase()}:${address}`);
+  });
+
+  lines.push('END:VCARD');
+  return lines.join('\n');
+};
+
+module.exports = {
+  parseVCard,
+  buildVCard,
+};
@@ -0,0 +1,68 @@
+const groupGreetings = require('../src/services/groupGreetings');
+const autoReplyEngine = require('../src/services/autoReplyEngine');
+const moderationService = require('../src/services/moderationService');
+const queueService = require('../src/services/queueService');
+const apiServer = require('../src/services/apiServer');
+
+describe('apiServer', () => {
+  // Loading the server starts the rules file watchers
+  afterAll(() => {
+    groupGreetings.shutdown();
+    autoReplyEngine.unwatch();
+    moderationService.unwatch();
+  });
+
+  describe('validateSendFields', () => {
+    it('accepts sends without the optional fields', () => {
+      expect(apiServer.validateSendFields({})).toBeNull();
+    });
+
+    it('accepts a message id to reply to and phone numbers to mention', () => {
+      expect(apiServer.validateSendFields({ replyTo: '3EB0C767D26A', mentions: ['+54 9 11 2233-4455', 5491100000000] })).toBeNull();
+    });
+
+    it('rejects empty reply ids', () => {
+      expect(apiServer.validateSendFields({ replyTo: '  ' })).toBe('replyTo must be a message id');
+      expect(apiServer.validateSendFields({ replyTo: 42 })).toBe('replyTo must be a message id');
+    });
+
+    it('rejects references to stored media', () => {
+      expect(apiServer.validateSendFields({ media: { key: 'ab/abc.png' } }))
+        .toBe('media must be a URL, a base64 payload or a file of the media directory');
+      expect(apiServer.validateSendFields({ media: 'https://example.com/a.png' })).toBeNull();
+    });
+
+    it('rejects mentions that are not phone numbers', () => {
+      expect(apiServer.validateSendFields({ mentions: '5491122334455' })).toBe('mentions must be an array of phone numbers');
+      expect(apiServer.validateSendFields({ mentions: ['5491122334455', 'ana'] })).toBe('Invalid phone number in mentions: ana');
+    });
+  });
+
+  describe('validateContacts', () => {
+    it('accepts contacts with a name and phone numbers', () => {
+      expect(apiServer.validateContacts([
+        { name: 'Ana', phones: ['+54 9 11 2233-4455'] },
+        { firstName: 'Luis', phones: [{ number: '5491100000000', type: 'work' }] },
+      ])).toBeNull();
+    });
+
+    it('rejects contacts without a name or phones', () => {
+      expect(apiServer.validateContacts([{ phones: ['5491122334455'] }])).toBe('contacts[0] needs a name');
+      expect(apiServer.validateContacts([{ name: 'Ana' }])).toBe('contacts[0] needs at least one phone number');
+    });
+
+    it('rejects phone numbers without digits', () => {
+      expect(apiServer.validateContacts([{ name: 'Ana', phones: ['5491122334455'] }, { name: 'Luis', phones: [{ number: 'n/a' }] }]))
+        .toBe('Invalid phone number in contacts[1]: {"number":"n/a"}');
+    });
+  });
+
+  describe('getJobOperationStatus', () => {
+    it('maps missing jobs to 404 and jobs in the wrong state to 409', () => {
+      expect(apiServer.getJobOperationStatus({ success: true })).toBe(200);
+      expect(apiServer.getJobOperationStatus({ success: false, code: queueService.JOB_NOT_FOUND })).toBe(404);
+      expect(apiServer.getJobOperationStatus({ success: false, code: queueService.INVALID_JOB_STATE })).toBe(409);
+      expect(apiServer.getJobOperationStatus({ success: false, error: 'Redis is not connected' })).toBe(500);
+    });
+  });
+});
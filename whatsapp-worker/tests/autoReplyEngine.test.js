@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const autoReplyEngine = require('../src/services/autoReplyEngine');
+
+const privateMessage = body => ({ body, from: '5491122334455@c.us', chatId: '5491122334455@c.us', isGroup: false, type: 'chat' });
+
+describe('autoReplyEngine', () => {
+  let engine;
+
+  const load = (rules, mode = 'first') => {
+    engine.rules = rules
+      .map((definition, index) => engine.compileRule(definition, index))
+      .filter(Boolean)
+      .sort((a, b) => b.priority - a.priority);
+    engine.mode = mode;
+  };
+
+  beforeEach(() => {
+    engine = new autoReplyEngine.constructor();
+  });
+
+  it('drops rules without a reply', () => {
+    expect(engine.compileRule({ id: 'empty', match: { keywords: ['hola'] } }, 0)).toBeNull();
+    expect(engine.compileRule({ match: {}, reply: { text: 'ok' } }, 2).id).toBe('rule-3');
+  });
+
+  it('matches keywords anywhere in the text, ignoring case', () => {
+    load([{ id: 'prices', match: { keywords: ['Precio'] }, reply: { text: 'Lista de precios' } }]);
+
+    expect(engine.match(privateMessage('¿Cuál es el PRECIO?')).map(({ rule }) => rule.id)).toEqual(['prices']);
+    expect(engine.match(privateMessage('hola'))).toEqual([]);
+  });
+
+  it('returns only the highest priority match in first mode and all of them in all mode', () => {
+    const rules = [
+      { id: 'low', priority: 1, match: { keywords: ['pedido'] }, reply: { text: 'a' } },
+      { id: 'high', priority: 10, match: { keywords: ['pedido'] }, reply: { text: 'b' } },
+    ];
+
+    load(rules);
+    expect(engine.match(privateMessage('mi pedido')).map(({ rule }) => rule.id)).toEqual(['high']);
+
+    load(rules, 'all');
+    expect(engine.match(privateMessage('mi pedido')).map(({ rule }) => rule.id)).toEqual(['high', 'low']);
+  });
+
+  it('skips disabled rules', () => {
+    load([{ id: 'off', enabled: false, match: {}, reply: { text: 'a' } }]);
+
+    expect(engine.match(privateMessage('hola'))).toEqual([]);
+  });
+
+  it('keeps rules to private chats unless they ask for groups', () => {
+    load([
+      { id: 'private', match: {}, reply: { text: 'a' } },
+      { id: 'group', match: { chatType: 'group', groups: ['120363025@g.us'] }, reply: { text: 'b' } },
+    ], 'all');
+
+    const groupMessage = { ...privateMessage('hola'), isGroup: true, chatId: '120363025@g.us' };
+
+    expect(engine.match(privateMessage('hola')).map(({ rule }) => rule.id)).toEqual(['private']);
+    expect(engine.match(groupMessage).map(({ rule }) => rule.id)).toEqual(['group']);
+    expect(engine.match({ ...groupMessage, chatId: '999@g.us' })).toEqual([]);
+  });
+
+  it('filters by sender and message type', () => {
+    load([{ id: 'vip', match: { from: ['+54 9 11 2233-4455'], types: ['image'] }, reply: { text: 'a' } }]);
+
+    expect(engine.match({ ...privateMessage(''), type: 'image' })).toHaveLength(1);
+    expect(engine.match(privateMessage(''))).toEqual([]);
+    expect(engine.match({ ...privateMessage(''), type: 'image', from: '5491100000000@c.us' })).toEqual([]);
+  });
+
+  it('exposes named and numbered regex groups to the reply template', () => {
+    load([{
+      id: 'order',
+      match: { regex: 'pedido #(?<order>\\d+) (\\w+)' },
+      reply: { text: { es: 'Hola {{name}}, el pedido {{order}} ({{match2}}) está en camino', en: 'Order {{order}} is on its way' } },
+    }]);
+
+    const message = { ...privateMessage('Pedido #123 urgente'), fromName: 'Ana' };
+    const [match] = engine.match(message);
+
+    expect(match.groups).toEqual({ order: '123', match1: '123', match2: 'urgente' });
+    expect(engine.renderReply(match, message, 'es').text).toBe('Hola Ana, el pedido 123 (urgente) está en camino');
+    expect(engine.renderReply(match, message, 'en').text).toBe('Order 123 is on its way');
+  });
+
+  it('matches only inside the time window of the rule timezone', () => {
+    load([{
+      id: 'night',
+      match: { timeWindow: { days: ['mon', 'tue'], start: '22:00', end: '06:00', timezone: 'America/Mexico_City' } },
+      reply: { text: 'a' },
+    }]);
+
+    // Monday 23:00 and Sunday 23:00 in Mexico City
+    expect(engine.match(privateMessage('hola'), { now: new Date('2026-03-03T05:00:00Z') })).toHaveLength(1);
+    expect(engine.match(privateMessage('hola'), { now: new Date('2026-03-02T05:00:00Z') })).toEqual([]);
+  });
+
+  it('matches on the business hours state', () => {
+    load([{ id: 'closed', match: { businessHours: ['closed', 'holiday'] }, reply: { text: 'a' } }]);
+
+    expect(engine.match(privateMessage('hola'), { businessState: 'holiday' })).toHaveLength(1);
+    expect(engine.match(privateMessage('hola'), { businessState: 'open' })).toEqual([]);
+  });
+
+  describe('loadRules', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-reply-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads YAML rules with their mode', () => {
+      const file = path.join(dir, 'rules.yml');
+      fs.writeFileSync(file, 'mode: all\nrules:\n  - id: hola\n    match:\n      keywords: [hola]\n    reply:\n      text: Hola\n');
+
+      expect(engine.loadRules(file)).toEqual({ success: true, total: 1, mode: 'all' });
+      expect(engine.match(privateMessage('hola'))).toHaveLength(1);
+    });
+
+    it('keeps the previous rules when the file is invalid', () => {
+      const file = path.join(dir, 'rules.json');
+      load([{ id: 'kept', match: {}, reply: { text: 'a' } }]);
+      fs.writeFileSync(file, '{ invalid');
+
+      expect(engine.loadRules(file).success).toBe(false);
+      expect(engine.rules.map(rule => rule.id)).toEqual(['kept']);
+    });
+
+    it('clears the rules when the file does not exist', () => {
+      load([{ id: 'gone', match: {}, reply: { text: 'a' } }]);
+
+      expect(engine.loadRules(path.join(dir, 'missing.yml'))).toEqual({ success: true, total: 0 });
+      expect(engine.rules).toEqual([]);
+    });
+  });
+});
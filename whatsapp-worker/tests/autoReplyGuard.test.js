@@ -0,0 +1,97 @@
+const config = require('../src/config');
+const queueService = require('../src/services/queueService');
+const autoReplyGuard = require('../src/services/autoReplyGuard');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const chatId = '5491122334455@c.us';
+
+describe('autoReplyGuard', () => {
+  const settings = { ...config.autoReply };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+    useFakeRedis(queueService);
+    Object.assign(config.autoReply, { cooldown: 0, oncePerConversation: false, conversationTimeout: 3600, operatorSuppression: 600 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    Object.assign(config.autoReply, settings);
+  });
+
+  const advance = (seconds) => {
+    jest.setSystemTime(Date.now() + seconds * 1000);
+  };
+
+  it('allows every reply without cooldown or conversation limits', async () => {
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(true);
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(true);
+  });
+
+  it('holds a rule back during its cooldown, per chat and per rule', async () => {
+    expect(await autoReplyGuard.acquire(chatId, 'hola', { cooldown: 60 })).toBe(true);
+    expect(await autoReplyGuard.acquire(chatId, 'hola', { cooldown: 60 })).toBe(false);
+    expect(await autoReplyGuard.acquire(chatId, 'precios', { cooldown: 60 })).toBe(true);
+    expect(await autoReplyGuard.acquire('5491100000000@c.us', 'hola', { cooldown: 60 })).toBe(true);
+
+    advance(61);
+
+    expect(await autoReplyGuard.acquire(chatId, 'hola', { cooldown: 60 })).toBe(true);
+  });
+
+  it('uses the global cooldown when the rule sets none', async () => {
+    config.autoReply.cooldown = 30;
+
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(true);
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(false);
+    expect(await autoReplyGuard.acquire(chatId, 'hola', { cooldown: 0 })).toBe(true);
+  });
+
+  it('replies once per conversation until the chat goes quiet', async () => {
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', { oncePerConversation: true })).toBe(true);
+
+    advance(3000);
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', { oncePerConversation: true })).toBe(false);
+
+    // Each message keeps the conversation alive; an hour of silence starts a new one
+    advance(3601);
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', { oncePerConversation: true })).toBe(true);
+  });
+
+  it('keeps the once-per-conversation reply when the cooldown holds it back', async () => {
+    const rule = { oncePerConversation: true, cooldown: 5000 };
+
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', rule)).toBe(true);
+
+    // A new conversation starts while the cooldown of the first reply still runs
+    advance(3601);
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', rule)).toBe(false);
+
+    advance(1400);
+    expect(await autoReplyGuard.acquire(chatId, 'bienvenida', rule)).toBe(true);
+  });
+
+  it('stays quiet while an operator is active', async () => {
+    const until = await autoReplyGuard.suppress(chatId);
+
+    expect(until).toBe('2026-03-02T12:10:00.000Z');
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(false);
+
+    await autoReplyGuard.resume(chatId);
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(true);
+  });
+
+  it('lifts the operator suppression when it expires', async () => {
+    await autoReplyGuard.suppress(chatId, 60);
+
+    advance(61);
+
+    expect(await autoReplyGuard.isOperatorActive(chatId)).toBe(false);
+  });
+
+  it('does not reply when Redis is unavailable', async () => {
+    queueService.isConnected = false;
+
+    expect(await autoReplyGuard.acquire(chatId, 'hola')).toBe(false);
+  });
+});
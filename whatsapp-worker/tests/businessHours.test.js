@@ -0,0 +1,156 @@
+const queueService = require('../src/services/queueService');
+const businessHours = require('../src/services/businessHours');
+const { parseIcs } = require('../src/utils/ics');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const TIMEZONE = 'America/Mexico_City';
+
+// Wall-clock time in Mexico City (UTC-6, no daylight saving)
+const at = localDateTime => new Date(`${localDateTime}-06:00`);
+
+const holidays = ics => `BEGIN:VCALENDAR\n${ics}\nEND:VCALENDAR`;
+
+describe('businessHours', () => {
+  let hours;
+
+  beforeEach(() => {
+    useFakeRedis(queueService);
+    hours = new businessHours.constructor();
+    hours.enabled = true;
+    hours.timezone = TIMEZONE;
+    hours.schedule = hours.parseSchedule('mon-fri 09:00-18:00,sat 10:00-14:00');
+  });
+
+  describe('parseSchedule', () => {
+    it('expands day ranges, including ranges that wrap the week', () => {
+      expect(hours.parseSchedule('fri-mon 08:00-12:00')).toEqual({
+        5: [{ start: '08:00', end: '12:00' }],
+        6: [{ start: '08:00', end: '12:00' }],
+        0: [{ start: '08:00', end: '12:00' }],
+        1: [{ start: '08:00', end: '12:00' }],
+      });
+    });
+
+    it('rejects malformed definitions', () => {
+      expect(() => hours.parseSchedule('lun-vie 09:00-18:00')).toThrow('Invalid business days: lun-vie');
+      expect(() => hours.parseSchedule('mon 9-18')).toThrow('Invalid time of day');
+    });
+  });
+
+  describe('getState', () => {
+    it('is open inside the schedule and closed outside it', async () => {
+      expect(await hours.getState(at('2026-03-02T10:00'))).toEqual({ state: 'open', source: 'schedule' });
+      expect(await hours.getState(at('2026-03-02T19:00'))).toEqual({
+        state: 'closed',
+        source: 'schedule',
+        nextOpening: { date: '2026-03-03', time: '09:00', weekday: 'tue' },
+      });
+    });
+
+    it('finds the next opening across the weekend', async () => {
+      const state = await hours.getState(at('2026-03-07T15:00'));
+
+      expect(state.nextOpening).toEqual({ date: '2026-03-09', time: '09:00', weekday: 'mon' });
+    });
+
+    it('is open when business hours are disabled', async () => {
+      hours.enabled = false;
+
+      expect(await hours.getState(at('2026-03-08T03:00'))).toEqual({ state: 'open', source: 'disabled' });
+    });
+
+    it('follows a manual override until it expires', async () => {
+      jest.useFakeTimers({ now: at('2026-03-02T10:00') });
+
+      try {
+        const result = await hours.setOverride({ state: 'closed', until: at('2026-03-02T12:00').toISOString(), reason: 'Inventario' });
+        expect(result.success).toBe(true);
+        expect(await hours.getState(at('2026-03-02T10:00'))).toMatchObject({ state: 'closed', source: 'override' });
+
+        jest.setSystemTime(at('2026-03-02T12:00'));
+        expect(await hours.getState(at('2026-03-02T12:00'))).toEqual({ state: 'open', source: 'schedule' });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('rejects unknown override states and past expirations', async () => {
+      expect((await hours.setOverride({ state: 'lunch' })).success).toBe(false);
+      expect(await hours.setOverride({ state: 'closed', until: '2020-01-01T00:00:00Z' }))
+        .toEqual({ success: false, error: 'until must be a future date' });
+    });
+  });
+
+  describe('holidays', () => {
+    it('treats the days of an all-day event as holidays and skips them for the next opening', async () => {
+      hours.fileHolidays = hours.toHolidays(parseIcs(holidays(
+        'BEGIN:VEVENT\nSUMMARY:Carnaval\nDTSTART;VALUE=DATE:20260302\nDTEND;VALUE=DATE:20260304\nEND:VEVENT',
+      )));
+
+      const state = await hours.getState(at('2026-03-03T10:00'));
+
+      expect(state).toMatchObject({ state: 'holiday', holiday: { name: 'Carnaval', startDate: '2026-03-02', endDate: '2026-03-04' } });
+      expect(state.nextOpening).toEqual({ date: '2026-03-04', time: '09:00', weekday: 'wed' });
+    });
+
+    it('converts timed events to the business timezone days they touch', () => {
+      const [holiday] = hours.toHolidays(parseIcs(holidays(
+        'BEGIN:VEVENT\nSUMMARY:Cierre\nDTSTART:20261231T200000Z\nDTEND:20270101T070000Z\nEND:VEVENT',
+      ), { timeZone: TIMEZONE }));
+
+      expect(holiday).toEqual({ name: 'Cierre', startDate: '2026-12-31', endDate: '2027-01-02' });
+    });
+
+    it('repeats yearly holidays, honoring INTERVAL, COUNT and UNTIL', () => {
+      const [everyYear, everyOther, limited] = hours.toHolidays(parseIcs(holidays([
+        'BEGIN:VEVENT\nSUMMARY:Navidad\nDTSTART;VALUE=DATE:20251225\nRRULE:FREQ=YEARLY\nEND:VEVENT',
+        'BEGIN:VEVENT\nSUMMARY:Aniversario\nDTSTART;VALUE=DATE:20250610\nRRULE:FREQ=YEARLY;INTERVAL=2\nEND:VEVENT',
+        'BEGIN:VEVENT\nSUMMARY:Feria\nDTSTART;VALUE=DATE:20250801\nRRULE:FREQ=YEARLY;COUNT=2\nEND:VEVENT',
+      ].join('\n'))));
+
+      expect(hours.coversDate(everyYear, '2030-12-25')).toBe(true);
+      expect(hours.coversDate(everyYear, '2024-12-25')).toBe(false);
+      expect(hours.coversDate(everyOther, '2027-06-10')).toBe(true);
+      expect(hours.coversDate(everyOther, '2026-06-10')).toBe(false);
+      expect(hours.coversDate(limited, '2026-08-01')).toBe(true);
+      expect(hours.coversDate(limited, '2027-08-01')).toBe(false);
+    });
+
+    it('covers yearly ranges that span New Year', () => {
+      const [holiday] = hours.toHolidays(parseIcs(holidays(
+        'BEGIN:VEVENT\nSUMMARY:Fiestas\nDTSTART;VALUE=DATE:20251231\nDTEND;VALUE=DATE:20260102\nRRULE:FREQ=YEARLY;UNTIL=20271231\nEND:VEVENT',
+      )));
+
+      expect(hours.coversDate(holiday, '2027-01-01')).toBe(true);
+      expect(hours.coversDate(holiday, '2028-01-01')).toBe(true);
+      expect(hours.coversDate(holiday, '2029-01-01')).toBe(false);
+    });
+
+    it('skips events with unsupported rules', () => {
+      expect(hours.toHolidays(parseIcs(holidays(
+        'BEGIN:VEVENT\nSUMMARY:Reunión\nDTSTART;VALUE=DATE:20260302\nRRULE:FREQ=WEEKLY\nEND:VEVENT',
+      )))).toEqual([]);
+    });
+
+    it('stores imported holidays so every worker sees them', async () => {
+      const result = await hours.importHolidays(holidays('BEGIN:VEVENT\nSUMMARY:Cierre\nDTSTART;VALUE=DATE:20260310\nEND:VEVENT'));
+
+      expect(result).toEqual({ success: true, imported: 1 });
+
+      const other = new businessHours.constructor();
+      await other.initialize();
+
+      expect(other.getHolidays()).toEqual([{ name: 'Cierre', startDate: '2026-03-10', endDate: '2026-03-11' }]);
+    });
+  });
+
+  it('localizes the reply with the next opening', async () => {
+    jest.useFakeTimers({ now: at('2026-03-02T19:00') });
+
+    try {
+      expect(await hours.getReplyText('es')).toBe('🌙 Hola, en este momento estamos fuera de horario. Te responderemos a partir del 2026-03-03 09:00.');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,232 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const config = require('../src/config');
+const queueService = require('../src/services/queueService');
+const webserviceClient = require('../src/services/webserviceClient');
+const mediaService = require('../src/services/mediaService');
+const mediaStorage = require('../src/services/mediaStorage');
+const campaignService = require('../src/services/campaignService');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const { INVALID_CAMPAIGN, CAMPAIGN_NOT_FOUND, INVALID_CAMPAIGN_STATE, DISPATCH_JOB, MESSAGE_JOB } = campaignService;
+
+describe('campaignService', () => {
+  const { batchSize, batchInterval } = config.campaigns;
+  let addJob;
+  let getJobStatus;
+  let jobCount;
+
+  const create = definition => campaignService.create({ timezone: 'UTC', ...definition });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    useFakeRedis(queueService);
+    jest.clearAllMocks();
+    jobCount = 0;
+    addJob = jest.spyOn(queueService, 'addJob').mockImplementation(() => Promise.resolve({ success: true, jobId: `job-${++jobCount}` }));
+    getJobStatus = jest.spyOn(queueService, 'getJobStatus').mockResolvedValue({ success: true, job: { state: 'delayed' } });
+    Object.assign(config.campaigns, { batchSize: 2, batchInterval: 60 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.campaigns, { batchSize, batchInterval });
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('recipients', () => {
+    it('reads recipients and their variables from a CSV with a phone column', async () => {
+      const { campaign } = await create({
+        message: 'Hola {{nombre}}, tu turno es el {{fecha}}',
+        csv: 'Teléfono;nombre;fecha\n+54 9 11 2233-4455;Ana;lunes\n5491100000000;Luis;martes\n5491122334455;Ana;lunes',
+      });
+      const recipients = await campaignService.getRecipients(campaign.id);
+
+      expect(campaign).toMatchObject({ status: 'scheduled', total: 2, duplicates: 1 });
+      expect(recipients.map(({ chatId, variables }) => [chatId, variables])).toEqual([
+        ['5491122334455@c.us', { number: '5491122334455', nombre: 'Ana', fecha: 'lunes' }],
+        ['5491100000000@c.us', { number: '5491100000000', nombre: 'Luis', fecha: 'martes' }],
+      ]);
+    });
+
+    it('names the rows with invalid numbers or missing variables', async () => {
+      expect(await create({ message: 'Hola', recipients: ['5491122334455', 'ana', ''] }))
+        .toEqual({ success: false, error: 'Invalid phone numbers: row 2 (ana), row 3 ()', code: INVALID_CAMPAIGN });
+      expect(await create({ message: 'Hola {{nombre}}', csv: 'phone,nombre\n5491122334455,Ana\n5491100000000,' }))
+        .toMatchObject({ error: 'Missing template variables: row 3 (nombre)' });
+    });
+
+    it('stores the media once instead of letting every message download it', async () => {
+      const resolve = jest.spyOn(mediaService, 'resolve').mockResolvedValue({ data: 'aGVsbG8=', mimetype: 'image/jpeg', filename: 'promo.jpg' });
+      jest.spyOn(mediaStorage, 'store').mockResolvedValue({ key: 'ab/abc.jpg' });
+
+      const { campaign } = await create({ media: 'https://example.com/promo.jpg', caption: 'Hola', recipients: ['5491100000001', '5491100000002'] });
+
+      expect(campaign.template).toEqual({ message: null, media: { key: 'ab/abc.jpg', filename: 'promo.jpg' }, caption: 'Hola' });
+      expect(resolve).toHaveBeenCalledTimes(1);
+    });
+
+    it('validates the message, the recipient list and the start time', async () => {
+      expect((await create({ recipients: ['5491122334455'] })).error).toBe('Provide a message or media');
+      expect((await create({ message: 'Hola', recipients: [] })).error).toBe('Provide recipients (a list or a CSV with a phone column)');
+      expect((await create({ message: 'Hola', recipients: ['5491122334455'], sendAt: '2026-03-01T09:00' })).error)
+        .toBe('sendAt is in the past: 2026-03-01T09:00:00.000Z');
+      expect(addJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatching', () => {
+    let campaign;
+
+    beforeEach(async () => {
+      ({ campaign } = await create({
+        name: 'Recordatorio',
+        message: 'Hola {{name}}',
+        recipients: [
+          { to: '5491100000001', variables: { name: 'Ana' } },
+          { to: '5491100000002', variables: { name: 'Luis' } },
+          { to: '5491100000003', variables: { name: 'Eva' } },
+        ],
+      }));
+      addJob.mockClear();
+    });
+
+    it('queues the first dispatch when created', async () => {
+      const { campaign: other } = await create({ message: 'Hola', recipients: ['5491122334455'], sendAt: '2026-03-02T13:00' });
+
+      expect(addJob).toHaveBeenCalledWith(config.queue.name, DISPATCH_JOB, { campaignId: other.id, round: 1 }, { priority: 10, delay: 3600000 });
+    });
+
+    it('queues recipients in batches spread over the interval', async () => {
+      expect(await campaignService.dispatch({ campaignId: campaign.id, round: 1 })).toEqual({ queued: 2, remaining: 3 });
+      expect(addJob.mock.calls.map(([, name, data, opts]) => [name, data.chatId, opts.delay])).toEqual([
+        [MESSAGE_JOB, '5491100000001@c.us', 0],
+        [MESSAGE_JOB, '5491100000002@c.us', 30000],
+        [DISPATCH_JOB, undefined, 60000],
+      ]);
+      expect(await campaignService.get(campaign.id)).toMatchObject({ status: 'running', startedAt: '2026-03-02T12:00:00.000Z' });
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('campaign_started', expect.objectContaining({ campaignId: campaign.id, total: 3 }));
+    });
+
+    it('renders the message for each recipient', async () => {
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+
+      expect(await campaignService.getDelivery({ campaignId: campaign.id, chatId: '5491100000002@c.us' }))
+        .toEqual({ to: '5491100000002@c.us', message: 'Hola Luis', media: null, caption: null });
+      expect(await campaignService.getDelivery({ campaignId: campaign.id, chatId: '5491100000003@c.us' })).toBeNull();
+    });
+
+    it('completes once every recipient is done', async () => {
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId: '5491100000001@c.us' }, { success: true, messageId: 'm1' });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId: '5491100000002@c.us' }, { success: false, error: 'not on WhatsApp' }, { final: true });
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId: '5491100000003@c.us' }, { success: true, messageId: 'm3' });
+
+      expect(await campaignService.dispatch({ campaignId: campaign.id, round: 1 })).toEqual({ queued: 0, remaining: 0 });
+
+      const report = await campaignService.getReport(campaign.id);
+      expect(report.campaign.status).toBe('completed');
+      expect(report.progress).toEqual({ total: 3, done: 3, percent: 100 });
+      expect(report.errors).toEqual([{ error: 'not on WhatsApp', count: 1 }]);
+    });
+
+    it('fails queued recipients whose message job is gone so the campaign can complete', async () => {
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId: '5491100000002@c.us' }, { success: true, messageId: 'm2' });
+      getJobStatus.mockResolvedValueOnce({ success: false, error: 'Job not found', code: queueService.JOB_NOT_FOUND });
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      getJobStatus.mockResolvedValueOnce({ success: true, job: { state: 'failed', failedReason: 'moved to the dead-letter queue' } });
+
+      expect(await campaignService.dispatch({ campaignId: campaign.id, round: 1 })).toEqual({ queued: 0, remaining: 0 });
+
+      const report = await campaignService.getReport(campaign.id);
+      expect(report.campaign.status).toBe('completed');
+      expect(report.errors).toEqual([
+        { error: 'Message job job-2 no longer exists', count: 1 },
+        { error: 'moved to the dead-letter queue', count: 1 },
+      ]);
+    });
+
+    it('keeps recipients queued while their send will be retried', async () => {
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId: '5491100000001@c.us' }, { success: false, error: 'timeout' });
+
+      expect((await campaignService.getRecipients(campaign.id, { status: 'queued' })).map(recipient => recipient.chatId))
+        .toContain('5491100000001@c.us');
+    });
+
+    it('moves sent recipients to delivered and read with the message acks', async () => {
+      const chatId = '5491100000001@c.us';
+      const status = async () => (await campaignService.getRecipients(campaign.id)).find(recipient => recipient.chatId === chatId).status;
+
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+      await campaignService.recordResult({ campaignId: campaign.id, chatId }, { success: true, messageId: 'm1' });
+
+      await campaignService.recordAck('m1', 'received');
+      expect(await status()).toBe('delivered');
+      await campaignService.recordAck('m1', 'read');
+      expect(await status()).toBe('read');
+      await campaignService.recordAck('m1', 'received');
+      expect(await status()).toBe('read');
+    });
+  });
+
+  describe('state transitions', () => {
+    let campaign;
+
+    beforeEach(async () => {
+      ({ campaign } = await create({ message: 'Hola', recipients: ['5491100000001', '5491100000002', '5491100000003'] }));
+    });
+
+    it('puts queued recipients back to pending while paused and dispatches them on resume', async () => {
+      await campaignService.dispatch({ campaignId: campaign.id, round: 1 });
+
+      expect(await campaignService.pause(campaign.id)).toMatchObject({ success: true, campaign: { status: 'paused' } });
+      expect(await campaignService.getDelivery({ campaignId: campaign.id, chatId: '5491100000001@c.us' })).toBeNull();
+      expect((await campaignService.getRecipients(campaign.id, { status: 'pending' })).length).toBe(2);
+
+      // Dispatches of the round before the pause are skipped
+      expect(await campaignService.dispatch({ campaignId: campaign.id, round: 1 })).toEqual({ skipped: true });
+
+      expect(await campaignService.resume(campaign.id)).toMatchObject({ success: true, campaign: { status: 'running', dispatchRound: 2 } });
+      expect(await campaignService.dispatch({ campaignId: campaign.id, round: 2 })).toMatchObject({ queued: 2 });
+    });
+
+    it('does not overwrite a pause that happens while a dispatch is running', async () => {
+      const { campaign: single } = await create({ message: 'Hola', recipients: ['5491100000001'] });
+      await campaignService.dispatch({ campaignId: single.id, round: 1 });
+      await campaignService.recordResult({ campaignId: single.id, chatId: '5491100000001@c.us' }, { success: true, messageId: 'm1' });
+
+      const setFields = queueService.setFields.bind(queueService);
+      jest.spyOn(queueService, 'setFields').mockImplementationOnce(async (...args) => {
+        await campaignService.pause(single.id);
+        return setFields(...args);
+      });
+
+      await campaignService.dispatch({ campaignId: single.id, round: 1 });
+
+      expect(await campaignService.get(single.id)).toMatchObject({ status: 'paused', completedAt: null });
+      expect(webserviceClient.logWhatsAppEvent).not.toHaveBeenCalledWith('campaign_completed', expect.anything());
+    });
+
+    it('cancels pending recipients and refuses further changes', async () => {
+      const result = await campaignService.cancel(campaign.id);
+
+      expect(result).toMatchObject({ success: true, campaign: { status: 'cancelled' } });
+      expect((await campaignService.getRecipients(campaign.id, { status: 'cancelled' })).length).toBe(3);
+      expect(await campaignService.resume(campaign.id)).toEqual({
+        success: false,
+        error: `Cannot resume campaign ${campaign.id} while it is cancelled`,
+        code: INVALID_CAMPAIGN_STATE,
+      });
+    });
+
+    it('only resumes paused campaigns', async () => {
+      expect(await campaignService.resume(campaign.id)).toMatchObject({ success: false, code: INVALID_CAMPAIGN_STATE });
+      expect(await campaignService.pause('missing')).toEqual({ success: false, error: 'Campaign not found: missing', code: CAMPAIGN_NOT_FOUND });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const config = require('../src/config');
+const commandRegistry = require('../src/services/commandRegistry');
+const broadcast = require('../src/commands/broadcast');
+
+const createRegistry = () => new commandRegistry.constructor();
+
+const echo = {
+  name: 'Echo',
+  aliases: ['repetir'],
+  description: 'Repite el texto enviado',
+  args: [
+    { name: 'veces', type: 'number' },
+    { name: 'texto', type: 'rest', required: true },
+  ],
+  execute: jest.fn(),
+};
+
+describe('commandRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createRegistry();
+    registry.register(echo);
+  });
+
+  describe('register', () => {
+    it('resolves commands by name and alias, ignoring case', () => {
+      expect(registry.get('echo').name).toBe('echo');
+      expect(registry.get('ECHO').name).toBe('echo');
+      expect(registry.get('Repetir').name).toBe('echo');
+      expect(registry.get('missing')).toBeNull();
+    });
+
+    it('rejects modules without a name or execute function', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow('Command must define a name and an execute function');
+    });
+
+    it('rejects names and aliases already taken', () => {
+      expect(() => registry.register({ name: 'repetir', execute: jest.fn() })).toThrow('Command name already registered: repetir');
+      expect(() => registry.register({ name: 'say', aliases: ['ECHO'], execute: jest.fn() })).toThrow('Command alias already registered: echo');
+    });
+  });
+
+  describe('parse', () => {
+    it('splits the body into a lowercase command and its arguments', () => {
+      expect(registry.parse('!Echo  3   hola mundo', '!')).toEqual({ command: 'echo', args: ['3', 'hola', 'mundo'] });
+    });
+
+    it('ignores messages without the prefix', () => {
+      expect(registry.parse('echo hola', '!')).toBeNull();
+      expect(registry.parse('', '!')).toBeNull();
+    });
+  });
+
+  describe('parseArgs', () => {
+    const command = () => registry.get('echo');
+
+    it('converts numbers and joins rest arguments', () => {
+      expect(registry.parseArgs(command(), ['3', 'hola', 'mundo'], 'es'))
+        .toEqual({ success: true, values: { veces: 3, texto: 'hola mundo' } });
+    });
+
+    it('fails on missing required arguments', () => {
+      expect(registry.parseArgs(command(), ['3'], 'es'))
+        .toEqual({ success: false, error: 'Falta el argumento requerido: texto' });
+    });
+
+    it('fails on arguments that are not numbers', () => {
+      expect(registry.parseArgs(command(), ['tres', 'hola'], 'es'))
+        .toEqual({ success: false, error: 'El argumento veces debe ser un número' });
+    });
+
+    it('uses the default of optional arguments that are not given', () => {
+      registry.register({ name: 'page', args: [{ name: 'n', type: 'number', default: 1 }], execute: jest.fn() });
+
+      expect(registry.parseArgs(registry.get('page'), [], 'es')).toEqual({ success: true, values: { n: 1 } });
+    });
+  });
+
+  describe('help', () => {
+    it('builds the usage line from the argument spec', () => {
+      expect(registry.getUsage(registry.get('echo'), '!')).toBe('!echo [veces] <texto...>');
+    });
+
+    it('leaves hidden commands out of the help text', () => {
+      registry.register({ name: 'secret', hidden: true, execute: jest.fn() });
+
+      const help = registry.getHelpText('!', { locale: 'es' });
+
+      expect(help).toContain('!echo [veces] <texto...> - Repite el texto enviado');
+      expect(help).not.toContain('!secret');
+    });
+  });
+
+  describe('admin commands', () => {
+    const adminNumbers = config.bot.adminNumbers;
+
+    beforeEach(() => {
+      config.bot.adminNumbers = ['+54 9 11 2233-4455'];
+      registry.register(broadcast);
+    });
+
+    afterEach(() => {
+      config.bot.adminNumbers = adminNumbers;
+    });
+
+    it('lets only BOT_ADMIN_NUMBERS run admin-only commands', () => {
+      const command = registry.get('broadcast');
+
+      expect(registry.canExecute(command, '5491122334455@c.us')).toBe(true);
+      expect(registry.canExecute(command, '5491100000000')).toBe(false);
+      expect(registry.canExecute(registry.get('echo'), '5491100000000')).toBe(true);
+    });
+
+    it('shows admin commands only in the help of admins', () => {
+      expect(registry.getHelpText('!', { locale: 'es' })).not.toContain('!broadcast');
+      expect(registry.getHelpText('!', { isAdmin: true, locale: 'es' })).toContain('🔒 !broadcast <destino> <mensaje...>');
+    });
+  });
+
+  describe('choices', () => {
+    beforeEach(() => {
+      registry.register(broadcast);
+    });
+
+    it('accepts the declared value in any locale', () => {
+      expect(registry.parseArgs(registry.get('broadcast'), ['GRUPOS', 'hola'], 'en'))
+        .toEqual({ success: true, values: { destino: 'grupos', mensaje: 'hola' } });
+    });
+
+    it('accepts the translated label and maps it back to the declared value', () => {
+      expect(registry.parseArgs(registry.get('broadcast'), ['groups', 'hello'], 'en'))
+        .toEqual({ success: true, values: { destino: 'grupos', mensaje: 'hello' } });
+    });
+
+    it('lists the translated labels when the value is not a choice', () => {
+      const result = registry.parseArgs(registry.get('broadcast'), ['todos', 'hello'], 'en');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('groups, chats');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const queueService = require('../src/services/queueService');
+const flowEngine = require('../src/services/flowEngine');
+const i18n = require('../src/services/i18n');
+const webserviceClient = require('../src/services/webserviceClient');
+const consentService = require('../src/services/consentService');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const number = '5491122334455';
+const chatId = `${number}@c.us`;
+
+describe('consentService', () => {
+  beforeEach(() => {
+    useFakeRedis(queueService);
+    consentService.mode = 'opt-out';
+  });
+
+  describe('detectKeyword', () => {
+    it('matches whole messages ignoring case, accents and punctuation', () => {
+      expect(consentService.detectKeyword('¡BAJA!', 'es')).toBe('opt_out');
+      expect(consentService.detectKeyword('No más mensajes', 'es')).toBe('opt_out');
+      expect(consentService.detectKeyword('alta', 'es')).toBe('opt_in');
+      expect(consentService.detectKeyword('quiero darme de baja', 'es')).toBeNull();
+      expect(consentService.detectKeyword('', 'es')).toBeNull();
+    });
+
+    it('uses the keywords of the contact locale', () => {
+      expect(consentService.detectKeyword('sair', 'pt')).toBe('opt_out');
+      expect(consentService.detectKeyword('sair', 'es')).toBeNull();
+      expect(consentService.detectKeyword('unsubscribe', 'en')).toBe('opt_out');
+      expect(consentService.detectKeyword('alta', 'en')).toBeNull();
+    });
+
+    it('accepts the global STOP and START in every locale', () => {
+      ['es', 'en', 'pt'].forEach((locale) => {
+        expect(consentService.detectKeyword('STOP', locale)).toBe('opt_out');
+        expect(consentService.detectKeyword('Start', locale)).toBe('opt_in');
+      });
+    });
+
+    it('falls back to the default locale keywords for unknown locales', () => {
+      expect(consentService.getKeywords('opt_out', 'fr')).toEqual(consentService.getKeywords('opt_out', i18n.defaultLocale));
+    });
+  });
+
+  describe('detectMessageKeyword', () => {
+    const message = body => ({ body, from: chatId, chatId, isGroup: false });
+
+    it('detects keywords in the language of the sender', async () => {
+      await i18n.setContactLocale(number, 'pt');
+
+      expect(await consentService.detectMessageKeyword(message('Sair'))).toBe('opt_out');
+      expect(await consentService.detectMessageKeyword(message('baja'))).toBeNull();
+    });
+
+    it('ignores group messages', async () => {
+      expect(await consentService.detectMessageKeyword({ ...message('stop'), isGroup: true })).toBeNull();
+    });
+
+    it('leaves opt-in keywords to an active flow', async () => {
+      await queueService.setValue(flowEngine.getSessionKey(chatId), { flow: 'contacto', chatId, step: 'motivo' });
+
+      expect(await consentService.detectMessageKeyword(message('start'))).toBeNull();
+      expect(await flowEngine.getSession(chatId)).not.toBeNull();
+    });
+
+    it('cancels an active flow on an opt-out', async () => {
+      await queueService.setValue(flowEngine.getSessionKey(chatId), { flow: 'contacto', chatId, step: 'motivo' });
+
+      expect(await consentService.detectMessageKeyword(message('stop'))).toBe('opt_out');
+      expect(await flowEngine.getSession(chatId)).toBeNull();
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('flow_cancelled', expect.objectContaining({ chatId, step: 'motivo' }));
+    });
+  });
+
+  describe('registry', () => {
+    it('records changes with their history', async () => {
+      await consentService.setConsent('+54 9 11 2233-4455', 'opted_out', { source: 'keyword', keyword: 'baja' });
+      const result = await consentService.setConsent(chatId, 'opted_in');
+
+      expect(result.consent).toMatchObject({ number, status: 'opted_in', source: 'api' });
+      expect(result.consent.history.map(entry => entry.status)).toEqual(['opted_in', 'opted_out']);
+      expect(await consentService.listConsents({ status: 'opted_in' })).toHaveLength(1);
+    });
+
+    it('rejects invalid numbers and statuses', async () => {
+      expect(await consentService.setConsent('abc', 'opted_out')).toEqual({ success: false, error: 'Invalid number' });
+      expect((await consentService.setConsent(number, 'maybe')).success).toBe(false);
+    });
+
+    it('sends unless the contact opted out in opt-out mode', async () => {
+      expect(await consentService.canSend(chatId)).toBe(true);
+
+      await consentService.setConsent(number, 'opted_out');
+      expect(await consentService.canSend(chatId)).toBe(false);
+
+      await consentService.deleteConsent(number);
+      expect(await consentService.canSend(chatId)).toBe(true);
+    });
+
+    it('sends only after an explicit opt-in in opt-in mode', async () => {
+      consentService.mode = 'opt-in';
+
+      expect(await consentService.canSend(chatId)).toBe(false);
+
+      await consentService.setConsent(number, 'opted_in');
+      expect(await consentService.canSend(chatId)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { parseCsv } = require('../src/utils/csv');
+
+describe('csv utils', () => {
+  it('reads records keyed by the header columns', () => {
+    expect(parseCsv('phone,name\n5491122334455,Ana\n5491100000000, Luis \n')).toEqual([
+      { phone: '5491122334455', name: 'Ana' },
+      { phone: '5491100000000', name: 'Luis' },
+    ]);
+  });
+
+  it('detects semicolon-delimited exports', () => {
+    expect(parseCsv('telefono;nombre;importe\r\n5491122334455;Ana;1.234,50\r\n')).toEqual([
+      { telefono: '5491122334455', nombre: 'Ana', importe: '1.234,50' },
+    ]);
+  });
+
+  it('handles quoted fields with delimiters, escaped quotes and line breaks', () => {
+    expect(parseCsv('phone,note\n1,"Calle 5, depto ""B""\nPiso 2"\n')).toEqual([
+      { phone: '1', note: 'Calle 5, depto "B"\nPiso 2' },
+    ]);
+  });
+
+  it('skips blank lines, the byte order mark and unnamed columns', () => {
+    expect(parseCsv('\uFEFFphone,,name\n\n1,x,Ana\n ,,\n2')).toEqual([
+      { phone: '1', name: 'Ana' },
+      { phone: '2', name: '' },
+    ]);
+  });
+
+  it('returns no records for empty content', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv(null)).toEqual([]);
+    expect(parseCsv('phone,name')).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const EventEmitter = require('events');
+const queueService = require('../src/services/queueService');
+const webserviceClient = require('../src/services/webserviceClient');
+const deadLetterQueue = require('../src/services/deadLetterQueue');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const createJob = (overrides = {}) => ({
+  id: 7,
+  name: 'send-message',
+  data: { to: '5491122334455', message: 'Hola' },
+  opts: { priority: 2, attempts: 3 },
+  stacktrace: ['Error: timeout\n    at send', 'Error: timeout\n    at send', 'Error: not ready\n    at send'],
+  attemptsMade: 3,
+  timestamp: Date.parse('2026-03-01T10:00:00Z'),
+  finishedOn: Date.parse('2026-03-01T10:05:00Z'),
+  ...overrides,
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('deadLetterQueue', () => {
+  beforeEach(() => {
+    useFakeRedis(queueService);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('collecting exhausted jobs', () => {
+    it('records jobs once they fail their last attempt', async () => {
+      const queue = new EventEmitter();
+      queueService.setupQueueEventListeners(queue, 'whatsapp-messages');
+
+      queue.emit('failed', createJob({ attemptsMade: 2 }), new Error('timeout'));
+      await flush();
+      expect(await deadLetterQueue.list()).toEqual([]);
+
+      queue.emit('failed', createJob(), new Error('not ready'));
+      await flush();
+
+      const [entry] = await deadLetterQueue.list();
+      expect(entry).toMatchObject({
+        status: 'dead',
+        queueName: 'whatsapp-messages',
+        jobId: '7',
+        jobType: 'send-message',
+        data: { to: '5491122334455', message: 'Hola' },
+        options: { priority: 2, attempts: 3 },
+        error: { message: 'not ready' },
+        attemptsMade: 3,
+        createdAt: '2026-03-01T10:00:00.000Z',
+        failedAt: '2026-03-01T10:05:00.000Z',
+        replayOf: null,
+        replays: [],
+      });
+      expect(entry.attempts.map(attempt => attempt.error)).toEqual(['Error: timeout', 'Error: timeout', 'Error: not ready']);
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('job_dead_lettered', expect.objectContaining({
+        id: entry.id,
+        error: 'not ready',
+        replays: 0,
+      }));
+    });
+  });
+
+  describe('listing', () => {
+    beforeEach(async () => {
+      await deadLetterQueue.add('whatsapp-messages', createJob({ id: 1, finishedOn: Date.parse('2026-03-01T10:00:00Z') }), new Error('Rate limited'));
+      await deadLetterQueue.add('whatsapp-media', createJob({ id: 2, name: 'send-media', finishedOn: Date.parse('2026-03-02T10:00:00Z') }), new Error('Invalid media'));
+      await deadLetterQueue.add('whatsapp-messages', createJob({ id: 3, finishedOn: Date.parse('2026-03-03T10:00:00Z') }), new Error('rate LIMITED again'));
+    });
+
+    it('lists the most recent failures first', async () => {
+      expect((await deadLetterQueue.list()).map(entry => entry.jobId)).toEqual(['3', '2', '1']);
+    });
+
+    it('filters by queue, job type, error text and failure date', async () => {
+      const jobIds = async filter => (await deadLetterQueue.list(filter)).map(entry => entry.jobId);
+
+      expect(await jobIds({ queue: 'whatsapp-media' })).toEqual(['2']);
+      expect(await jobIds({ jobType: 'send-message' })).toEqual(['3', '1']);
+      expect(await jobIds({ error: 'rate limited' })).toEqual(['3', '1']);
+      expect(await jobIds({ since: '2026-03-02', until: '2026-03-02T23:59:59Z' })).toEqual(['2']);
+    });
+
+    it('validates statuses and dates of filters', () => {
+      expect(deadLetterQueue.validateFilter({ status: 'dead', since: '2026-03-01' })).toBeNull();
+      expect(deadLetterQueue.validateFilter({ status: 'gone' })).toBe('Invalid status: gone. Use one of dead, replayed');
+      expect(deadLetterQueue.validateFilter({ until: 'yesterday' })).toBe('Invalid date: yesterday');
+    });
+  });
+
+  describe('replaying and discarding', () => {
+    let entry;
+
+    beforeEach(async () => {
+      entry = await deadLetterQueue.add('whatsapp-messages', createJob(), new Error('not ready'));
+    });
+
+    it('queues the job again and records the replay', async () => {
+      const addJob = jest.spyOn(queueService, 'addJob').mockResolvedValue({ success: true, jobId: '42' });
+
+      expect(await deadLetterQueue.replay(entry.id)).toEqual({ success: true, entryId: entry.id, jobId: '42' });
+      expect(addJob).toHaveBeenCalledWith('whatsapp-messages', 'send-message', entry.data, { priority: 2, replayOf: entry.id });
+
+      const replayed = await deadLetterQueue.get(entry.id);
+      expect(replayed.status).toBe('replayed');
+      expect(replayed.replays).toEqual([{ jobId: '42', replayedAt: expect.any(String) }]);
+    });
+
+    it('keeps the entry dead when the job cannot be queued', async () => {
+      jest.spyOn(queueService, 'addJob').mockResolvedValue({ success: false, error: 'Queue unavailable' });
+
+      expect(await deadLetterQueue.replay(entry.id)).toEqual({ success: false, error: 'Queue unavailable' });
+      expect((await deadLetterQueue.get(entry.id)).status).toBe('dead');
+    });
+
+    it('only replays entries that were not replayed yet in bulk', async () => {
+      const other = await deadLetterQueue.add('whatsapp-messages', createJob({ id: 8 }), new Error('not ready'));
+      jest.spyOn(queueService, 'addJob').mockResolvedValue({ success: true, jobId: '42' });
+
+      await deadLetterQueue.replay(other.id);
+      const result = await deadLetterQueue.replayMatching();
+
+      expect(result).toMatchObject({ success: true, replayed: 1, failed: 0 });
+      expect(result.results[0].entryId).toBe(entry.id);
+    });
+
+    it('discards entries', async () => {
+      expect(await deadLetterQueue.discard(entry.id)).toEqual({ success: true });
+      expect(await deadLetterQueue.get(entry.id)).toBeNull();
+      expect(await deadLetterQueue.discard(entry.id)).toEqual({ success: false, error: `Dead-letter entry not found: ${entry.id}` });
+      expect(await deadLetterQueue.replay(entry.id)).toEqual({ success: false, error: `Dead-letter entry not found: ${entry.id}` });
+    });
+
+    it('discards every entry matching a filter', async () => {
+      await deadLetterQueue.add('whatsapp-media', createJob({ id: 9 }), new Error('Invalid media'));
+
+      expect(await deadLetterQueue.discardMatching({ queue: 'whatsapp-media' })).toEqual({ success: true, discarded: 1 });
+      expect((await deadLetterQueue.list()).map(item => item.id)).toEqual([entry.id]);
+    });
+  });
+});
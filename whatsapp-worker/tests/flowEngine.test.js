@@ -0,0 +1,130 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+  queueJob: jest.fn().mockResolvedValue({ success: true }),
+  syncToSupabase: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const queueService = require('../src/services/queueService');
+const webserviceClient = require('../src/services/webserviceClient');
+const flowEngine = require('../src/services/flowEngine');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const chatId = '5491122334455@c.us';
+const message = body => ({ chatId, from: chatId, body });
+
+const signup = {
+  name: 'Signup',
+  initial: 'name',
+  steps: {
+    name: { prompt: { es: '¿Cómo te llamas?', en: 'What is your name?' }, next: 'plan' },
+    plan: {
+      prompt: '¿Qué plan quieres?',
+      choices: ['Basico', 'Pro'],
+      timeout: 60,
+      next: plan => (plan === 'Pro' ? 'email' : null),
+    },
+    email: {
+      prompt: 'Tu email',
+      validate: /@/,
+      transform: value => value.toLowerCase(),
+      next: null,
+    },
+  },
+  completeMessage: answers => `Gracias ${answers.name}`,
+};
+
+describe('flowEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    useFakeRedis(queueService);
+    jest.clearAllMocks();
+    engine = new flowEngine.constructor();
+    engine.register(signup);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('rejects flows without a valid initial step', () => {
+    expect(() => engine.register({ name: 'broken', initial: 'nope', steps: {} }))
+      .toThrow('Flow must define a name, steps and a valid initial step');
+  });
+
+  it('starts a flow and renders the first prompt in the session locale', async () => {
+    const result = await engine.start('signup', { chatId, from: chatId, locale: 'en' });
+
+    expect(result).toEqual({ success: true, flow: 'signup', reply: 'What is your name?' });
+    expect(await engine.getSession(chatId)).toMatchObject({ flow: 'signup', step: 'name', locale: 'en' });
+  });
+
+  it('keeps flows out of groups unless they allow them', async () => {
+    const result = await engine.start('signup', { chatId: '120363025@g.us', from: chatId, isGroup: true, locale: 'es' });
+
+    expect(result.success).toBe(false);
+  });
+
+  it('ignores messages of chats without an active flow', async () => {
+    expect(await engine.handleMessage(message('hola'))).toEqual({ handled: false });
+  });
+
+  it('moves through the steps following branching and stores the answers', async () => {
+    await engine.start('signup', { chatId, from: chatId, locale: 'es' });
+
+    expect(await engine.handleMessage(message('Ana'))).toMatchObject({ step: 'plan', reply: '¿Qué plan quieres?' });
+    expect(await engine.handleMessage(message('pro'))).toMatchObject({ step: 'email', reply: 'Tu email' });
+
+    const result = await engine.handleMessage(message('ANA@Example.com'));
+
+    expect(result).toMatchObject({
+      completed: true,
+      answers: { name: 'Ana', plan: 'Pro', email: 'ana@example.com' },
+      reply: 'Gracias Ana',
+    });
+    expect(await engine.getSession(chatId)).toBeNull();
+    expect(webserviceClient.queueJob).toHaveBeenCalledWith('process-flow-result', expect.objectContaining({
+      flow: 'signup',
+      answers: { name: 'Ana', plan: 'Pro', email: 'ana@example.com' },
+    }));
+  });
+
+  it('repeats the prompt when the answer is not one of the choices', async () => {
+    await engine.start('signup', { chatId, from: chatId, locale: 'es' });
+    await engine.handleMessage(message('Ana'));
+
+    const result = await engine.handleMessage(message('Gold'));
+
+    expect(result.step).toBe('plan');
+    expect(result.reply).toBe('❌ Responde con una de estas opciones: Basico, Pro\n\n¿Qué plan quieres?');
+  });
+
+  it('cancels the flow on a cancel keyword', async () => {
+    await engine.start('signup', { chatId, from: chatId, locale: 'es' });
+
+    expect(await engine.handleMessage(message('Cancelar'))).toMatchObject({ cancelled: true, reply: '❎ Conversación cancelada.' });
+    expect(await engine.getSession(chatId)).toBeNull();
+  });
+
+  it('expires a step answered after its timeout', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+    await engine.start('signup', { chatId, from: chatId, locale: 'es' });
+    await engine.handleMessage(message('Ana'));
+
+    jest.setSystemTime(new Date('2026-03-02T12:01:01Z'));
+
+    expect(await engine.handleMessage(message('Pro'))).toMatchObject({ expired: true, reply: '⌛ La conversación expiró. Vuelve a empezar cuando quieras.' });
+    expect(await engine.getSession(chatId)).toBeNull();
+    expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('flow_expired', expect.objectContaining({ step: 'plan' }));
+  });
+
+  it('drops the session after the flow timeout', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+    engine.register({ ...signup, name: 'quick', timeout: 30 });
+    await engine.start('quick', { chatId, from: chatId, locale: 'es' });
+
+    jest.setSystemTime(new Date('2026-03-02T12:00:31Z'));
+
+    expect(await engine.handleMessage(message('Ana'))).toEqual({ handled: false });
+  });
+});
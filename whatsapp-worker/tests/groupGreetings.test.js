@@ -0,0 +1,81 @@
+const config = require('../src/config');
+const groupGreetings = require('../src/services/groupGreetings');
+
+const groupId = '120363025@g.us';
+
+describe('groupGreetings', () => {
+  let greetings;
+
+  beforeEach(() => {
+    greetings = new groupGreetings.constructor();
+  });
+
+  afterEach(() => {
+    greetings.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('getSettings', () => {
+    it('uses the built-in defaults without a settings file', () => {
+      expect(greetings.getSettings(groupId)).toMatchObject({
+        enabled: true,
+        welcome: { enabled: true, text: null },
+        farewell: { enabled: false, text: null },
+        rules: { delivery: 'group' },
+      });
+    });
+
+    it('merges each section of the group entry over the default one', () => {
+      greetings.defaultSettings = { locale: 'en', rules: { text: 'Be nice', link: 'https://example.com/rules' } };
+      greetings.groupSettings = { [groupId]: { farewell: { enabled: true }, rules: { delivery: 'dm' } } };
+
+      expect(greetings.getSettings(groupId)).toMatchObject({
+        locale: 'en',
+        farewell: { enabled: true, text: null },
+        rules: { text: 'Be nice', link: 'https://example.com/rules', delivery: 'dm' },
+      });
+      expect(greetings.getSettings('999@g.us').rules.delivery).toBe('group');
+    });
+  });
+
+  describe('render', () => {
+    it('localizes custom templates', () => {
+      const template = { es: 'Hola {{names}}', en: 'Hi {{names}}' };
+
+      expect(greetings.render(template, 'group.welcome', 'en', { names: 'Ana' })).toBe('Hi Ana');
+    });
+
+    it('falls back to the catalog entry without a template', () => {
+      expect(greetings.render(null, 'group.farewell', 'es', { names: 'Ana', count: 4 }))
+        .toBe('👋 Ana salió del grupo. Quedamos 4 miembros.');
+    });
+  });
+
+  describe('schedule', () => {
+    it('gathers the participants of the batch window into one call', async () => {
+      jest.useFakeTimers();
+      const flush = jest.fn();
+
+      greetings.schedule('welcome', groupId, ['1@c.us'], flush);
+      greetings.schedule('welcome', groupId, ['2@c.us', '1@c.us'], flush);
+      greetings.schedule('farewell', groupId, ['3@c.us'], flush);
+
+      await jest.advanceTimersByTimeAsync(config.groupGreetings.batchWindow * 1000);
+
+      expect(flush).toHaveBeenCalledTimes(2);
+      expect(flush).toHaveBeenCalledWith(['1@c.us', '2@c.us']);
+      expect(flush).toHaveBeenCalledWith(['3@c.us']);
+    });
+
+    it('drops pending batches on shutdown', async () => {
+      jest.useFakeTimers();
+      const flush = jest.fn();
+
+      greetings.schedule('welcome', groupId, ['1@c.us'], flush);
+      greetings.shutdown();
+      await jest.advanceTimersByTimeAsync(config.groupGreetings.batchWindow * 1000);
+
+      expect(flush).not.toHaveBeenCalled();
+    });
+  });
+});
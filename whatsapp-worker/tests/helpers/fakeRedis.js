@@ -0,0 +1,119 @@
+// In-memory stand-in for the node-redis client behind queueService's key/value helpers.
+// Expiry follows Date.now(), so jest fake timers can move it forward.
+class FakeRedis {
+  constructor() {
+    this.store = new Map();
+    this.isReady = true;
+  }
+
+  read(key) {
+    const entry = this.store.get(key);
+
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  write(key, value, expiresAt = null) {
+    this.store.set(key, { value, expiresAt });
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.read(key)) {
+      return null;
+    }
+
+    const ttl = options.EX ? options.EX * 1000 : options.PX;
+
+    this.write(key, String(value), ttl ? Date.now() + ttl : null);
+    return 'OK';
+  }
+
+  async del(key) {
+    return this.store.delete(key) ? 1 : 0;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async incrBy(key, increment) {
+    const entry = this.read(key);
+    const value = Number(entry?.value ?? 0) + increment;
+
+    this.write(key, String(value), entry?.expiresAt ?? null);
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.read(key);
+
+    if (!entry) return 0;
+
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  async pExpireAt(key, timestamp) {
+    const entry = this.read(key);
+
+    if (!entry) return 0;
+
+    entry.expiresAt = timestamp;
+    return 1;
+  }
+
+  hash(key) {
+    const entry = this.read(key);
+
+    if (entry) return entry.value;
+
+    const value = new Map();
+    this.write(key, value);
+    return value;
+  }
+
+  async hGet(key, field) {
+    return this.read(key)?.value.get(field) ?? null;
+  }
+
+  async hSet(key, field, value) {
+    const values = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+    const hash = this.hash(key);
+
+    values.forEach(([name, fieldValue]) => hash.set(name, String(fieldValue)));
+    return values.length;
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.read(key)?.value ?? []);
+  }
+
+  async hDel(key, field) {
+    return this.read(key)?.value.delete(field) ? 1 : 0;
+  }
+
+  async quit() {}
+}
+
+// Point queueService at a fresh fake client
+const useFakeRedis = (queueService) => {
+  const client = new FakeRedis();
+
+  queueService.redisClient = client;
+  queueService.isConnected = true;
+
+  return client;
+};
+
+module.exports = {
+  FakeRedis,
+  useFakeRedis,
+};
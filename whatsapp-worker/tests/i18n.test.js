@@ -0,0 +1,72 @@
+const queueService = require('../src/services/queueService');
+const i18n = require('../src/services/i18n');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+describe('i18n', () => {
+  beforeEach(() => {
+    useFakeRedis(queueService);
+  });
+
+  describe('t', () => {
+    it('translates and interpolates variables', () => {
+      expect(i18n.t('en', 'common.usage', { usage: '!ping' })).toBe('Usage: !ping');
+      expect(i18n.t('es', 'common.usage', { usage: '!ping' })).toBe('Uso: !ping');
+    });
+
+    it('leaves unknown variables in place', () => {
+      expect(i18n.t('es', 'common.usage')).toBe('Uso: {{usage}}');
+    });
+
+    it('falls back to the default locale and then to the key', () => {
+      expect(i18n.t('fr', 'ping.pong')).toBe(i18n.t('es', 'ping.pong'));
+      expect(i18n.t('en', 'missing.key')).toBe('missing.key');
+    });
+
+    it('picks the plural form for the count', () => {
+      expect(i18n.t('en', 'admin.reloaded', { count: 1 })).toBe('🔄 1 command reloaded');
+      expect(i18n.t('en', 'admin.reloaded', { count: 3 })).toBe('🔄 3 commands reloaded');
+      expect(i18n.t('en', 'admin.reloaded', { count: 0 })).toBe('🔄 0 commands reloaded');
+    });
+  });
+
+  describe('format', () => {
+    it('uses the other form when the category has none', () => {
+      expect(i18n.format('en', { other: '{{count}} items' }, { count: 1 })).toBe('1 items');
+    });
+  });
+
+  describe('localize', () => {
+    it('resolves values keyed by locale', () => {
+      expect(i18n.localize({ es: 'Hola', en: 'Hello' }, 'en')).toBe('Hello');
+      expect(i18n.localize({ es: 'Hola', en: 'Hello' }, 'pt')).toBe('Hola');
+      expect(i18n.localize({ en: 'Hello' }, 'pt')).toBe('Hello');
+      expect(i18n.localize('Hola', 'en')).toBe('Hola');
+    });
+  });
+
+  describe('contact locale', () => {
+    it('infers the locale from the country calling code', () => {
+      expect(i18n.inferLocale('+1 555 0100')).toBe('en');
+      expect(i18n.inferLocale('5511999990000@c.us')).toBe('pt');
+      expect(i18n.inferLocale('5491122334455')).toBe('es');
+      expect(i18n.inferLocale('99999999')).toBe(i18n.defaultLocale);
+    });
+
+    it('prefers the language the contact chose', async () => {
+      expect(await i18n.getContactLocale('5491122334455')).toBe('es');
+
+      expect(await i18n.setContactLocale('+54 9 11 2233-4455', 'pt')).toEqual({ success: true, locale: 'pt' });
+      expect(await i18n.getContactLocale('5491122334455@c.us')).toBe('pt');
+    });
+
+    it('rejects unsupported locales', async () => {
+      expect(await i18n.setContactLocale('5491122334455', 'fr')).toEqual({ success: false, error: 'Unsupported locale: fr' });
+    });
+
+    it('falls back to the inferred locale when Redis is unavailable', async () => {
+      queueService.isConnected = false;
+
+      expect(await i18n.getContactLocale('15550100')).toBe('en');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { parseIcs } = require('../src/utils/ics');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('parseIcs', () => {
+  it('reads all-day events with their summary, uid and rule', () => {
+    const events = parseIcs(calendar([
+      'UID:navidad',
+      'SUMMARY:Navidad\\, fiesta',
+      'DTSTART;VALUE=DATE:20261225',
+      'DTEND;VALUE=DATE:20261226',
+      'RRULE:FREQ=yearly;COUNT=3',
+    ]));
+
+    expect(events).toEqual([{
+      uid: 'navidad',
+      summary: 'Navidad, fiesta',
+      start: { allDay: true, date: '2026-12-25' },
+      end: { allDay: true, date: '2026-12-26' },
+      rrule: { FREQ: 'YEARLY', COUNT: '3' },
+    }]);
+  });
+
+  it('unfolds continuation lines', () => {
+    const [event] = parseIcs(calendar(['SUMMARY:Día de la', '  Independencia', 'DTSTART:20260916']));
+
+    expect(event.summary).toBe('Día de la Independencia');
+  });
+
+  it('reads UTC date-times as absolute', () => {
+    const [event] = parseIcs(calendar(['DTSTART:20261224T150000Z']));
+
+    expect(event.start).toEqual({ allDay: false, date: new Date('2026-12-24T15:00:00Z') });
+  });
+
+  it('reads local date-times in their TZID', () => {
+    const [event] = parseIcs(calendar(['DTSTART;TZID="America/Mexico_City":20261224T090000']), { timeZone: 'UTC' });
+
+    expect(event.start.date).toEqual(new Date('2026-12-24T15:00:00Z'));
+  });
+
+  it('reads local date-times without a usable TZID in the given timezone', () => {
+    const [floating, custom] = parseIcs(calendar(
+      ['DTSTART:20260701T090000'],
+      ['DTSTART;TZID=Custom Zone:20260701T090000'],
+    ), { timeZone: 'Europe/Madrid' });
+
+    expect(floating.start.date).toEqual(new Date('2026-07-01T07:00:00Z'));
+    expect(custom.start.date).toEqual(new Date('2026-07-01T07:00:00Z'));
+  });
+
+  it('skips events without a start', () => {
+    expect(parseIcs(calendar(['SUMMARY:Sin fecha']))).toEqual([]);
+  });
+});
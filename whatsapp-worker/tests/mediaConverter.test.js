@@ -0,0 +1,97 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { MessageMedia } = require('whatsapp-web.js');
+const config = require('../src/config');
+const mediaConverter = require('../src/services/mediaConverter');
+const { INVALID_MEDIA } = require('../src/services/mediaService');
+
+const image = async (width, height, format = 'png') => {
+  const buffer = await sharp({ create: { width, height, channels: 3, background: '#336699' } })[format]().toBuffer();
+  return new MessageMedia(`image/${format}`, buffer.toString('base64'), `foto.${format}`, buffer.length);
+};
+
+describe('mediaConverter', () => {
+  const { ffmpegPath, maxImageDimension } = config.mediaConversion;
+
+  afterEach(() => {
+    config.mediaConversion.ffmpegPath = ffmpegPath;
+    config.mediaConversion.maxImageDimension = maxImageDimension;
+    jest.restoreAllMocks();
+  });
+
+  it('knows its conversion targets', () => {
+    expect(mediaConverter.getTargets()).toEqual(['sticker', 'voice', 'image', 'video']);
+    expect(mediaConverter.isTarget('voice')).toBe(true);
+    expect(mediaConverter.isTarget('toString')).toBe(false);
+  });
+
+  it('rejects unknown targets as invalid media', async () => {
+    await expect(mediaConverter.convert(await image(10, 10), 'gif')).rejects.toMatchObject({
+      code: INVALID_MEDIA,
+      message: 'Unknown conversion: gif. Use one of sticker, voice, image, video',
+    });
+  });
+
+  describe('images', () => {
+    it('turns images into 512px WebP stickers', async () => {
+      const { media, sendOptions } = await mediaConverter.convert(await image(800, 400), 'sticker');
+      const metadata = await sharp(Buffer.from(media.data, 'base64')).metadata();
+
+      expect(media).toMatchObject({ mimetype: 'image/webp', filename: 'foto.webp' });
+      expect(metadata).toMatchObject({ format: 'webp', width: 512, height: 512 });
+      expect(sendOptions).toEqual({ sendMediaAsSticker: true });
+    });
+
+    it('sends images within the limits untouched', async () => {
+      const original = await image(100, 100);
+
+      expect((await mediaConverter.convert(original, 'image')).media).toBe(original);
+    });
+
+    it('resizes oversize images to JPEG', async () => {
+      config.mediaConversion.maxImageDimension = 200;
+
+      const { media } = await mediaConverter.convert(await image(800, 400), 'image');
+      const metadata = await sharp(Buffer.from(media.data, 'base64')).metadata();
+
+      expect(media).toMatchObject({ mimetype: 'image/jpeg', filename: 'foto.jpg' });
+      expect(metadata).toMatchObject({ format: 'jpeg', width: 200, height: 100 });
+    });
+
+    it('rejects corrupt images as invalid media', async () => {
+      const corrupt = new MessageMedia('image/png', Buffer.from('not an image').toString('base64'), 'foto.png');
+
+      await expect(mediaConverter.convert(corrupt, 'sticker')).rejects.toMatchObject({ code: INVALID_MEDIA });
+      await expect(mediaConverter.convert(corrupt, 'image')).rejects.toMatchObject({ code: INVALID_MEDIA });
+    });
+  });
+
+  describe('audio and video', () => {
+    const audio = new MessageMedia('audio/mpeg', Buffer.from('mp3').toString('base64'), 'nota.mp3');
+
+    it('converts audio to OGG/Opus voice notes through temporary files', async () => {
+      let files;
+      jest.spyOn(mediaConverter, 'runFfmpeg').mockImplementation(async (args) => {
+        files = [args[args.indexOf('-i') + 1], args[args.length - 1]];
+        expect(fs.readFileSync(files[0]).toString()).toBe('mp3');
+        fs.writeFileSync(files[1], 'ogg');
+      });
+
+      const { media, sendOptions } = await mediaConverter.convert(audio, 'voice');
+
+      expect(media).toMatchObject({ mimetype: 'audio/ogg; codecs=opus', filename: 'nota.ogg', data: Buffer.from('ogg').toString('base64') });
+      expect(sendOptions).toEqual({ sendAudioAsVoice: true });
+      expect(mediaConverter.runFfmpeg.mock.calls[0][0]).toEqual(expect.arrayContaining(['-c:a', 'libopus']));
+      files.forEach(file => expect(fs.existsSync(file)).toBe(false));
+    });
+
+    it('reports a missing ffmpeg without blaming the media', async () => {
+      config.mediaConversion.ffmpegPath = '/nonexistent/ffmpeg';
+
+      const error = await mediaConverter.convert(audio, 'video').catch(rejection => rejection);
+
+      expect(error.message).toBe('ffmpeg not found at "/nonexistent/ffmpeg" (set FFMPEG_PATH)');
+      expect(error.code).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const mediaStorage = require('../src/services/mediaStorage');
+const mediaService = require('../src/services/mediaService');
+
+const { INVALID_MEDIA } = mediaService;
+
+describe('mediaService', () => {
+  let root;
+  const { directory } = mediaService;
+  const { maxSize, allowedHosts } = config.media;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+    fs.mkdirSync(path.join(root, 'media'));
+    fs.writeFileSync(path.join(root, 'media', 'invoice.pdf'), '%PDF-1.4');
+    fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(root, 'secret.txt'), path.join(root, 'media', 'link.txt'));
+    mediaService.directory = path.join(root, 'media');
+  });
+
+  afterEach(() => {
+    config.media.maxSize = maxSize;
+    config.media.allowedHosts = allowedHosts;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    mediaService.directory = directory;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('files of the media directory', () => {
+    it('reads files inside the media directory', async () => {
+      const media = await mediaService.resolve('invoice.pdf');
+
+      expect(media).toMatchObject({ mimetype: 'application/pdf', filename: 'invoice.pdf' });
+      expect(Buffer.from(media.data, 'base64').toString()).toBe('%PDF-1.4');
+    });
+
+    it('renames the file when a filename is given', async () => {
+      expect(await mediaService.resolve({ path: 'invoice.pdf', filename: 'factura.pdf' })).toMatchObject({ filename: 'factura.pdf' });
+    });
+
+    it('rejects paths and symlinks leaving the media directory', async () => {
+      await expect(mediaService.resolve('../secret.txt'))
+        .rejects.toMatchObject({ code: INVALID_MEDIA, message: 'Media file is outside the media directory: ../secret.txt' });
+      await expect(mediaService.resolve(path.join(root, 'secret.txt'))).rejects.toMatchObject({ code: INVALID_MEDIA });
+      await expect(mediaService.resolve('link.txt')).rejects.toMatchObject({ code: INVALID_MEDIA });
+    });
+
+    it('rejects missing files and the directory itself', async () => {
+      await expect(mediaService.resolve('missing.pdf')).rejects.toMatchObject({ code: INVALID_MEDIA, message: 'Media file not found: missing.pdf' });
+      await expect(mediaService.resolve('.')).rejects.toMatchObject({ code: INVALID_MEDIA });
+    });
+  });
+
+  describe('base64 payloads', () => {
+    it('takes the mimetype from data URLs', async () => {
+      const media = await mediaService.resolve('data:image/png;base64,aGVsbG8=');
+
+      expect(media).toMatchObject({ mimetype: 'image/png', data: 'aGVsbG8=', filesize: 5 });
+    });
+
+    it('guesses the mimetype from the filename', async () => {
+      expect(await mediaService.resolve({ data: 'aGVsbG8=', filename: 'hola.txt' })).toMatchObject({ mimetype: 'text/plain' });
+    });
+
+    it('rejects payloads without a mimetype, invalid base64 or over the size limit', async () => {
+      config.media.maxSize = 4;
+
+      await expect(mediaService.resolve({ data: 'aGVsbG8=' })).rejects.toMatchObject({ code: INVALID_MEDIA, message: 'mimetype is required for base64 media' });
+      await expect(mediaService.resolve({ data: 'not base64!', mimetype: 'text/plain' })).rejects.toMatchObject({ message: 'Media data is not valid base64' });
+      await expect(mediaService.resolve({ data: 'aGVsbG8=', mimetype: 'text/plain' }))
+        .rejects.toMatchObject({ message: 'Media exceeds the maximum size of 4 bytes' });
+    });
+
+    it('moves inline payloads to the media storage when queued', async () => {
+      const store = jest.spyOn(mediaStorage, 'store').mockResolvedValue({ key: 'ab/abc.png' });
+
+      expect(await mediaService.toReference({ data: 'aGVsbG8=', mimetype: 'image/png', filename: 'hola.png' }))
+        .toEqual({ key: 'ab/abc.png', filename: 'hola.png' });
+      expect(store).toHaveBeenCalledWith(Buffer.from('hello'), { mimetype: 'image/png' });
+      expect(await mediaService.toReference('https://example.com/a.png')).toBe('https://example.com/a.png');
+    });
+
+    it('stores any media once when asked for a stored reference', async () => {
+      const store = jest.spyOn(mediaStorage, 'store').mockResolvedValue({ key: 'ab/abc.pdf' });
+
+      expect(await mediaService.toStoredReference('invoice.pdf')).toEqual({ key: 'ab/abc.pdf', filename: 'invoice.pdf' });
+      expect(store).toHaveBeenCalledWith(Buffer.from('%PDF-1.4'), { mimetype: 'application/pdf' });
+    });
+  });
+
+  describe('URLs', () => {
+    it('only downloads http(s) URLs', async () => {
+      await expect(mediaService.fromUrl('ftp://example.com/a.png')).rejects.toMatchObject({ code: INVALID_MEDIA, message: 'Invalid media URL: ftp://example.com/a.png' });
+      await expect(mediaService.fromUrl('not a url')).rejects.toMatchObject({ code: INVALID_MEDIA });
+    });
+
+    it('rejects loopback and private addresses before connecting', async () => {
+      for (const url of ['http://127.0.0.1/a.png', 'http://[::1]/a.png', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/a.png']) {
+        await expect(mediaService.fromUrl(url)).rejects.toMatchObject({ code: INVALID_MEDIA });
+      }
+    });
+
+    it('rejects host names resolving to non-public addresses', async () => {
+      await expect(mediaService.fromUrl('http://localhost:1/a.png'))
+        .rejects.toMatchObject({ code: INVALID_MEDIA, message: expect.stringContaining('non-public address') });
+    });
+
+    it('only allows the configured hosts and their subdomains', async () => {
+      config.media.allowedHosts = ['example.com'];
+
+      expect(mediaService.isAllowedHost('cdn.example.com')).toBe(true);
+      expect(mediaService.isAllowedHost('EXAMPLE.com')).toBe(true);
+      expect(mediaService.isAllowedHost('badexample.com')).toBe(false);
+      await expect(mediaService.fromUrl('https://other.org/a.png'))
+        .rejects.toMatchObject({ code: INVALID_MEDIA, message: 'Media host is not allowed: other.org' });
+    });
+  });
+
+  describe('storage references', () => {
+    it('tells storage references from caller supplied media', () => {
+      expect(mediaService.isStorageReference({ key: 'ab/abc.png' })).toBe(true);
+      expect(mediaService.isStorageReference({ url: 'https://example.com/a.png' })).toBe(false);
+      expect(mediaService.isStorageReference('ab/abc.png')).toBe(false);
+    });
+
+    it('rejects media that is not a URL, a payload or a path', async () => {
+      await expect(mediaService.resolve(null)).rejects.toMatchObject({ code: INVALID_MEDIA, message: 'Missing media' });
+      await expect(mediaService.resolve({ filename: 'a.png' })).rejects.toMatchObject({ code: INVALID_MEDIA });
+    });
+  });
+});
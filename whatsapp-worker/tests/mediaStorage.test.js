@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../src/storage/local');
+const mediaStorage = require('../src/services/mediaStorage');
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('mediaStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'media-storage-'));
+    mediaStorage.backend = new LocalStorage({ directory });
+  });
+
+  afterEach(() => {
+    mediaStorage.backend = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.useRealTimers();
+  });
+
+  describe('store', () => {
+    it('stores files under their sha256 and returns a signed download URL', async () => {
+      const buffer = Buffer.from('foto');
+      const hash = sha256(buffer);
+      const stored = await mediaStorage.store(buffer, { mimetype: 'image/jpeg', filename: 'foto.jpg' });
+
+      expect(stored).toMatchObject({
+        key: `${hash.slice(0, 2)}/${hash}.jpeg`,
+        sha256: hash,
+        size: 4,
+        mimetype: 'image/jpeg',
+        filename: 'foto.jpg',
+      });
+      expect(stored.url).toMatch(new RegExp(`/media/${stored.key}\\?expires=\\d+&signature=[0-9a-f]{64}$`));
+      expect(fs.readFileSync(path.join(directory, stored.key)).toString()).toBe('foto');
+    });
+
+    it('writes the same content only once', async () => {
+      const put = jest.spyOn(mediaStorage.backend, 'put');
+
+      const first = await mediaStorage.store(Buffer.from('foto'), { mimetype: 'image/jpeg' });
+      const second = await mediaStorage.store(Buffer.from('foto'), { mimetype: 'image/jpeg' });
+
+      expect(second.key).toBe(first.key);
+      expect(put).toHaveBeenCalledTimes(1);
+    });
+
+    it('reads stored files back with the mimetype of their key', async () => {
+      const { key } = await mediaStorage.store(Buffer.from('%PDF'), { mimetype: 'application/pdf' });
+
+      expect(await mediaStorage.read(key)).toEqual({ buffer: Buffer.from('%PDF'), mimetype: 'application/pdf' });
+      expect(await mediaStorage.read(`${key.slice(0, 3)}${'0'.repeat(64)}.pdf`)).toBeNull();
+    });
+
+    it('does not open keys outside the key format', async () => {
+      expect(await mediaStorage.open('../../etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('signed URLs', () => {
+    const key = `ab/${'ab'.repeat(32)}.jpeg`;
+    const signedParams = (ttl) => {
+      const { searchParams } = new URL(mediaStorage.getSignedUrl(key, ttl).url);
+      return [searchParams.get('expires'), searchParams.get('signature')];
+    };
+
+    it('verifies links signed by this worker', () => {
+      expect(mediaStorage.verify(key, ...signedParams(60))).toBe(true);
+    });
+
+    it('rejects tampered signatures, other keys and malformed input', () => {
+      const [expires, signature] = signedParams(60);
+      const tampered = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+      expect(mediaStorage.verify(key, expires, tampered)).toBe(false);
+      expect(mediaStorage.verify(key, expires, 'short')).toBe(false);
+      expect(mediaStorage.verify(`cd/${'cd'.repeat(32)}.jpeg`, expires, signature)).toBe(false);
+      expect(mediaStorage.verify('../secret', expires, signature)).toBe(false);
+      expect(mediaStorage.verify(key, 'soon', signature)).toBe(false);
+    });
+
+    it('rejects expired links', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const [expires, signature] = signedParams(60);
+
+      jest.setSystemTime(new Date('2026-01-01T00:01:01Z'));
+
+      expect(mediaStorage.verify(key, expires, signature)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const queueService = require('../src/services/queueService');
+const moderationService = require('../src/services/moderationService');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const groupId = '120363025@g.us';
+const author = '5491122334455@c.us';
+
+describe('moderationService', () => {
+  let moderation;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+    useFakeRedis(queueService);
+    moderation = new moderationService.constructor();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const setPolicies = ({ default: defaults, groups = {} }) => {
+    moderation.defaultPolicy = defaults ? moderation.compilePolicy(defaults) : null;
+    moderation.groupPolicies = groups;
+  };
+
+  describe('getPolicy', () => {
+    it('leaves groups unmoderated without a policy', () => {
+      expect(moderation.getPolicy(groupId)).toBeNull();
+    });
+
+    it('merges group overrides over the default policy', () => {
+      setPolicies({
+        default: { blockInviteLinks: true, maxWarnings: 3 },
+        groups: { [groupId]: { maxWarnings: 1, bannedWords: ['Spam'] } },
+      });
+
+      expect(moderation.getPolicy(groupId)).toMatchObject({ blockInviteLinks: true, maxWarnings: 1, bannedWords: ['spam'] });
+      expect(moderation.getPolicy('999@g.us')).toMatchObject({ blockInviteLinks: true, maxWarnings: 3 });
+    });
+
+    it('lets a group disable moderation', () => {
+      setPolicies({ default: { blockUrls: true }, groups: { [groupId]: { enabled: false } } });
+
+      expect(moderation.getPolicy(groupId)).toBeNull();
+    });
+  });
+
+  describe('findContentViolation', () => {
+    const policy = overrides => moderation.compilePolicy(overrides);
+
+    it('detects group invite links', () => {
+      expect(moderation.findContentViolation({ body: 'Únete https://chat.whatsapp.com/AbC123' }, policy({ blockInviteLinks: true })))
+        .toEqual({ reason: 'inviteLink', detail: 'chat.whatsapp.com/AbC123' });
+    });
+
+    it('detects links outside the allowed domains and their subdomains', () => {
+      const urls = policy({ blockUrls: true, allowedDomains: ['Example.com'] });
+
+      expect(moderation.findContentViolation({ body: 'mira https://docs.example.com/x' }, urls)).toBeNull();
+      expect(moderation.findContentViolation({ body: 'mira www.notexample.com' }, urls)).toEqual({ reason: 'url', detail: 'www.notexample.com' });
+    });
+
+    it('detects banned words ignoring case and accents, but not inside other words', () => {
+      const words = policy({ bannedWords: ['Estafa'] });
+
+      expect(moderation.findContentViolation({ body: '¡Es una ESTAFÁ!' }, words)).toEqual({ reason: 'bannedWord', detail: 'estafa' });
+      expect(moderation.findContentViolation({ body: 'estafador' }, words)).toBeNull();
+    });
+
+    it('detects blocked media types', () => {
+      expect(moderation.findContentViolation({ body: '', type: 'sticker' }, policy({ blockedMediaTypes: ['sticker'] })))
+        .toEqual({ reason: 'media', detail: 'sticker' });
+    });
+  });
+
+  describe('evaluate', () => {
+    it('flags floods and counts one strike per minute', async () => {
+      setPolicies({ default: { maxMessagesPerMinute: 2 } });
+      const message = { chatId: groupId, author, body: 'hola', type: 'chat' };
+
+      expect(await moderation.evaluate(message)).toBeNull();
+      expect(await moderation.evaluate(message)).toBeNull();
+      expect(await moderation.evaluate(message)).toMatchObject({ reason: 'flood', detail: '3 messages/min', countsStrike: true });
+      expect(await moderation.evaluate(message)).toMatchObject({ reason: 'flood', countsStrike: false });
+
+      jest.setSystemTime(new Date('2026-03-02T12:01:01Z'));
+      expect(await moderation.evaluate(message)).toBeNull();
+    });
+
+    it('counts content violations as strikes', async () => {
+      setPolicies({ default: { bannedWords: ['spam'] } });
+
+      expect(await moderation.evaluate({ chatId: groupId, author, body: 'spam', type: 'chat' }))
+        .toMatchObject({ reason: 'bannedWord', countsStrike: true });
+    });
+  });
+
+  describe('strikes', () => {
+    it('accumulates per sender until cleared or expired', async () => {
+      const policy = moderation.compilePolicy({ strikeTtl: 3600 });
+
+      expect(await moderation.addStrike(groupId, author, policy)).toBe(1);
+      expect(await moderation.addStrike(groupId, '+54 9 11 2233-4455', policy)).toBe(2);
+
+      await moderation.clearStrikes(groupId, '5491122334455');
+      expect(await moderation.addStrike(groupId, author, policy)).toBe(1);
+
+      jest.setSystemTime(new Date('2026-03-02T13:00:01Z'));
+      expect(await moderation.addStrike(groupId, author, policy)).toBe(1);
+    });
+  });
+
+  describe('loadPolicies', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads the default policy and group overrides from YAML', () => {
+      const file = path.join(dir, 'moderation.yml');
+      fs.writeFileSync(file, `default:\n  blockUrls: true\ngroups:\n  "${groupId}":\n    maxWarnings: 1\n`);
+
+      expect(moderation.loadPolicies(file)).toEqual({ success: true, groups: 1, hasDefault: true });
+      expect(moderation.getPolicy(groupId)).toMatchObject({ blockUrls: true, maxWarnings: 1 });
+    });
+  });
+});
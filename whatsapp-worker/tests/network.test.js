@@ -0,0 +1,72 @@
+const dns = require('dns');
+const { isPublicAddress, assertPublicHost, publicLookup } = require('../src/utils/network');
+
+describe('network', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isPublicAddress', () => {
+    it('accepts public IPv4 and IPv6 addresses', () => {
+      expect(isPublicAddress('8.8.8.8')).toBe(true);
+      expect(isPublicAddress('2001:4860:4860::8888')).toBe(true);
+    });
+
+    it('rejects loopback, private, link-local and carrier-grade NAT addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1']
+        .forEach(address => expect(isPublicAddress(address)).toBe(false));
+    });
+
+    it('checks IPv4-mapped IPv6 addresses as IPv4', () => {
+      expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+      expect(isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+    });
+
+    it('rejects anything that is not an IP address', () => {
+      expect(isPublicAddress('localhost')).toBe(false);
+    });
+  });
+
+  describe('assertPublicHost', () => {
+    it('throws for non-public IP literals, bracketed IPv6 included', () => {
+      expect(() => assertPublicHost('127.0.0.1')).toThrow(expect.objectContaining({ code: 'EADDRBLOCKED' }));
+      expect(() => assertPublicHost('[::1]')).toThrow('[::1] resolves to a non-public address (::1)');
+    });
+
+    it('leaves host names to the lookup', () => {
+      expect(() => assertPublicHost('example.com')).not.toThrow();
+      expect(() => assertPublicHost('8.8.8.8')).not.toThrow();
+    });
+  });
+
+  describe('publicLookup', () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+      publicLookup(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+    });
+
+    it('returns the first address of public hosts', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '93.184.216.34', family: 4 }]));
+
+      expect(await lookup('example.com', {})).toEqual({ address: '93.184.216.34', family: 4 });
+    });
+
+    it('returns every address when all of them are requested', async () => {
+      const addresses = [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }];
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, addresses));
+
+      expect(await lookup('example.com', { all: true })).toEqual({ address: addresses, family: undefined });
+    });
+
+    it('fails when any resolved address is not public', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 },
+      ]));
+
+      await expect(lookup('rebind.example', {})).rejects.toMatchObject({
+        code: 'EADDRBLOCKED',
+        message: 'rebind.example resolves to a non-public address (10.0.0.5)',
+      });
+    });
+  });
+});
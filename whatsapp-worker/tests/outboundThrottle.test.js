@@ -0,0 +1,151 @@
+const config = require('../src/config');
+const queueService = require('../src/services/queueService');
+const outboundThrottle = require('../src/services/outboundThrottle');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+describe('outboundThrottle', () => {
+  const defaults = { ...config.throttle };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:30Z') });
+    useFakeRedis(queueService);
+    Object.assign(config.throttle, {
+      enabled: true,
+      messagesPerMinute: 0,
+      recipientInterval: 0,
+      newContactsPerDay: 0,
+      jitter: 0,
+      timezone: 'UTC',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config.throttle, defaults);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('allows everything when disabled', async () => {
+    Object.assign(config.throttle, { enabled: false, messagesPerMinute: 1 });
+
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 0 });
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 0 });
+  });
+
+  it('spaces messages to the same chat by the recipient interval', async () => {
+    config.throttle.recipientInterval = 5;
+
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 0 });
+    expect(await outboundThrottle.reserve('5491100000000@c.us')).toEqual({ allowed: true, pause: 0 });
+
+    jest.advanceTimersByTime(2000);
+    const deferral = await outboundThrottle.reserve('5491122334455@c.us');
+    expect(deferral).toEqual({ allowed: false, reason: 'recipient', retryIn: 3000, turn: Date.now() + 3000 });
+
+    // The deferred message is sent in its turn; a new one waits for the next
+    jest.advanceTimersByTime(3000);
+    expect(await outboundThrottle.reserve('5491122334455@c.us', { turn: deferral.turn })).toEqual({ allowed: true, pause: 0 });
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toMatchObject({ allowed: false, retryIn: 5000 });
+
+    jest.advanceTimersByTime(10000);
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 0 });
+  });
+
+  it('keeps the order of messages deferred to the same chat', async () => {
+    Object.assign(config.throttle, { recipientInterval: 5, jitter: 10000 });
+    // Highest jitter for the earlier messages, none for the last one
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.999).mockReturnValueOnce(0.999).mockReturnValue(0);
+
+    const sendAt = [];
+    for (let i = 0; i < 3; i++) {
+      const reservation = await outboundThrottle.reserve('5491122334455@c.us');
+      sendAt.push(Date.now() + (reservation.allowed ? reservation.pause : reservation.retryIn));
+      jest.advanceTimersByTime(100);
+    }
+
+    expect(sendAt[0]).toBeLessThan(sendAt[1]);
+    expect(sendAt[1]).toBeLessThan(sendAt[2]);
+  });
+
+  it('defers messages over the per-minute budget to the next minute', async () => {
+    Object.assign(config.throttle, { messagesPerMinute: 2, recipientInterval: 5 });
+
+    await outboundThrottle.reserve('5491100000001@c.us');
+    await outboundThrottle.reserve('5491100000002@c.us');
+
+    const deferral = await outboundThrottle.reserve('5491100000003@c.us');
+    expect(deferral).toEqual({ allowed: false, reason: 'perMinute', retryIn: 30000, turn: Date.now() + 30000 });
+
+    // Later messages to the chat stay behind the deferred one
+    expect(await outboundThrottle.reserve('5491100000003@c.us')).toMatchObject({ allowed: false, reason: 'recipient', retryIn: 35000 });
+
+    jest.advanceTimersByTime(30000);
+    expect(await outboundThrottle.reserve('5491100000003@c.us', { turn: deferral.turn })).toEqual({ allowed: true, pause: 0 });
+  });
+
+  it('caps contacts messaged for the first time per day', async () => {
+    config.throttle.newContactsPerDay = 1;
+
+    expect((await outboundThrottle.reserve('5491100000001@c.us')).allowed).toBe(true);
+    expect(await outboundThrottle.reserve('5491100000002@c.us'))
+      .toEqual({ allowed: false, reason: 'newContacts', retryIn: 12 * 60 * 60 * 1000 - 30000 });
+
+    // Known contacts and groups do not count
+    expect((await outboundThrottle.reserve('5491100000001@c.us')).allowed).toBe(true);
+    expect((await outboundThrottle.reserve('120363025@g.us')).allowed).toBe(true);
+    await outboundThrottle.markKnown('5491100000003@c.us');
+    expect((await outboundThrottle.reserve('5491100000003@c.us')).allowed).toBe(true);
+
+    jest.setSystemTime(new Date('2026-03-03T00:00:00Z'));
+    expect((await outboundThrottle.reserve('5491100000002@c.us')).allowed).toBe(true);
+  });
+
+  it('ends the day of the daily cap at midnight of the throttle timezone', () => {
+    config.throttle.timezone = 'America/Mexico_City';
+
+    expect(outboundThrottle.getDay(Date.now())).toEqual({
+      date: '2026-03-02',
+      endsAt: Date.parse('2026-03-03T06:00:00Z'),
+    });
+  });
+
+  it('adds the random jitter to pauses and delays', async () => {
+    Object.assign(config.throttle, { jitter: 1000, recipientInterval: 5 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 500 });
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toMatchObject({ allowed: false, reason: 'recipient', retryIn: 5500 });
+  });
+
+  it('keeps the jitter under half the recipient interval', async () => {
+    Object.assign(config.throttle, { jitter: 10000, recipientInterval: 5 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.9999);
+
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 2499 });
+
+    config.throttle.recipientInterval = 0;
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 9999 });
+  });
+
+  it('sends without a budget when Redis is down', async () => {
+    config.throttle.messagesPerMinute = 1;
+    queueService.isConnected = false;
+
+    expect(await outboundThrottle.reserve('5491122334455@c.us')).toEqual({ allowed: true, pause: 0 });
+  });
+
+  it('reports the remaining budget', async () => {
+    Object.assign(config.throttle, { messagesPerMinute: 20, newContactsPerDay: 50, recipientInterval: 5 });
+
+    await outboundThrottle.reserve('5491100000001@c.us');
+    await outboundThrottle.reserve('5491100000002@c.us');
+
+    expect(await outboundThrottle.getBudget()).toEqual({
+      enabled: true,
+      perMinute: { limit: 20, used: 2, remaining: 18, resetsAt: '2026-03-02T12:01:00.000Z' },
+      newContacts: { limit: 50, used: 2, remaining: 48, resetsAt: '2026-03-03T00:00:00.000Z' },
+      recipientInterval: 5,
+      jitter: 0,
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { normalizeNumber, toChatId, toGroupId, isSameNumber } = require('../src/utils/phone');
+
+describe('phone utils', () => {
+  it('reduces numbers and WhatsApp ids to their digits', () => {
+    expect(normalizeNumber('+1 (234) 567-890')).toBe('1234567890');
+    expect(normalizeNumber('5491122334455@c.us')).toBe('5491122334455');
+    expect(normalizeNumber('5491122334455:12@c.us')).toBe('5491122334455');
+    expect(normalizeNumber(null)).toBe('');
+  });
+
+  it('builds chat ids from numbers and keeps existing ids', () => {
+    expect(toChatId('+54 9 11 2233-4455')).toBe('5491122334455@c.us');
+    expect(toChatId('120363025@g.us')).toBe('120363025@g.us');
+  });
+
+  it('builds group ids from the bare numeric id', () => {
+    expect(toGroupId('120363025')).toBe('120363025@g.us');
+    expect(toGroupId('120363025@g.us')).toBe('120363025@g.us');
+  });
+
+  it('compares numbers ignoring formatting', () => {
+    expect(isSameNumber('+54 9 11 2233-4455', '5491122334455@c.us')).toBe(true);
+    expect(isSameNumber('5491122334455', '5491122334456')).toBe(false);
+    expect(isSameNumber('', '')).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+const queueService = require('../src/services/queueService');
+const pollService = require('../src/services/pollService');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const groupId = '120363025@g.us';
+const pollId = `true_${groupId}_POLL1`;
+
+const pollMessage = {
+  id: { _serialized: pollId, remote: groupId },
+  pollName: '¿Qué día nos juntamos?',
+  pollOptions: [{ localId: 0, name: 'Sábado' }, { localId: 1, name: 'Domingo' }],
+  allowMultipleAnswers: true,
+  timestamp: 1772452800,
+};
+
+const option = name => ({ name });
+
+describe('pollService', () => {
+  beforeEach(() => {
+    useFakeRedis(queueService);
+  });
+
+  it('registers a poll from its creation message', async () => {
+    const poll = await pollService.registerPoll(pollMessage);
+
+    expect(poll).toEqual({
+      id: pollId,
+      chatId: groupId,
+      question: '¿Qué día nos juntamos?',
+      options: [{ localId: 0, name: 'Sábado' }, { localId: 1, name: 'Domingo' }],
+      allowMultipleAnswers: true,
+      createdAt: '2026-03-02T12:00:00.000Z',
+    });
+    expect(await pollService.getPoll(pollId)).toEqual(poll);
+  });
+
+  it('tallies the latest selection of each voter', async () => {
+    await pollService.registerPoll(pollMessage);
+
+    await pollService.recordVote(pollId, 'ana@c.us', [option('Sábado')]);
+    await pollService.recordVote(pollId, 'luis@c.us', [option('Sábado'), option('Domingo')]);
+    await pollService.recordVote(pollId, 'ana@c.us', [option('Domingo')]);
+
+    const { totalVoters, results } = await pollService.getResults(pollId);
+
+    expect(totalVoters).toBe(2);
+    expect(results).toEqual([
+      { option: 'Sábado', count: 1, voters: ['luis@c.us'] },
+      { option: 'Domingo', count: 2, voters: expect.arrayContaining(['luis@c.us', 'ana@c.us']) },
+    ]);
+  });
+
+  it('removes the vote of a voter who clears their selection', async () => {
+    await pollService.registerPoll(pollMessage);
+    await pollService.recordVote(pollId, 'ana@c.us', [option('Sábado')]);
+    await pollService.recordVote(pollId, 'ana@c.us', []);
+
+    expect((await pollService.getResults(pollId)).totalVoters).toBe(0);
+  });
+
+  it('lists polls by chat, newest first', async () => {
+    await pollService.registerPoll(pollMessage);
+    await pollService.registerPoll({ ...pollMessage, id: { _serialized: 'later', remote: groupId }, timestamp: 1772539200 });
+    await pollService.registerPoll({ ...pollMessage, id: { _serialized: 'other', remote: '999@g.us' } });
+
+    expect((await pollService.listPolls({ chatId: groupId })).map(poll => poll.id)).toEqual(['later', pollId]);
+  });
+
+  it('forgets deleted polls and their votes', async () => {
+    await pollService.registerPoll(pollMessage);
+    await pollService.recordVote(pollId, 'ana@c.us', [option('Sábado')]);
+    await pollService.deletePoll(pollId);
+
+    expect(await pollService.getResults(pollId)).toBeNull();
+    expect(await queueService.getAllFields(`polls:votes:${pollId}`)).toEqual({});
+  });
+});
@@ -0,0 +1,176 @@
+const config = require('../src/config');
+const queueService = require('../src/services/queueService');
+
+const { JOB_NOT_FOUND, INVALID_JOB_STATE } = queueService;
+
+const createJob = (id, state, overrides = {}) => ({
+  id,
+  name: 'send-message',
+  data: { to: '5491122334455', message: 'Hola', contact: { lang: 'es' } },
+  opts: { jobId: id, timestamp: 1, priority: 5, attempts: 3 },
+  timestamp: Date.parse('2026-03-01T10:00:00Z'),
+  delay: 0,
+  attemptsMade: 0,
+  progress: () => 0,
+  getState: jest.fn().mockResolvedValue(state),
+  remove: jest.fn().mockResolvedValue(),
+  retry: jest.fn().mockResolvedValue(),
+  promote: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+describe('queueService', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = {
+      getJob: jest.fn(),
+      getJobs: jest.fn().mockResolvedValue([]),
+      add: jest.fn(),
+    };
+    jest.spyOn(queueService, 'getQueue').mockReturnValue(queue);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('listJobs', () => {
+    beforeEach(() => {
+      const jobs = {
+        waiting: [
+          createJob('1', 'waiting', { timestamp: Date.parse('2026-03-01T10:00:00Z') }),
+          createJob('2', 'waiting', { name: 'send-media', timestamp: Date.parse('2026-03-02T10:00:00Z') }),
+        ],
+        failed: [
+          createJob('3', 'failed', { timestamp: Date.parse('2026-03-03T10:00:00Z'), data: { to: '5491100000000', contact: { lang: 'en' } } }),
+        ],
+      };
+      queue.getJobs.mockImplementation(([state]) => Promise.resolve(jobs[state] || []));
+    });
+
+    it('lists jobs of every state, newest first', async () => {
+      const result = await queueService.listJobs('whatsapp-messages');
+
+      expect(result).toMatchObject({ success: true, total: 3, truncated: false });
+      expect(result.jobs.map(job => [job.id, job.state])).toEqual([['3', 'failed'], ['2', 'waiting'], ['1', 'waiting']]);
+    });
+
+    it('filters by state, type, creation time and payload fields', async () => {
+      const ids = async filter => (await queueService.listJobs('whatsapp-messages', filter)).jobs.map(job => job.id);
+
+      expect(await ids({ states: ['failed'] })).toEqual(['3']);
+      expect(await ids({ type: 'send-media' })).toEqual(['2']);
+      expect(await ids({ since: '2026-03-02', until: '2026-03-02T23:59:59Z' })).toEqual(['2']);
+      expect(await ids({ data: { 'contact.lang': 'es', to: '5491122334455' } })).toEqual(['2', '1']);
+    });
+
+    it('pages through the results and flags truncated scans', async () => {
+      const { scanLimit } = config.queue;
+      config.queue.scanLimit = 2;
+
+      try {
+        const result = await queueService.listJobs('whatsapp-messages', { limit: 1, offset: 1 });
+
+        expect(result).toMatchObject({ total: 3, truncated: true });
+        expect(result.jobs.map(job => job.id)).toEqual(['2']);
+      } finally {
+        config.queue.scanLimit = scanLimit;
+      }
+    });
+  });
+
+  describe('job operations', () => {
+    it('reports missing jobs and jobs in the wrong state with their codes', async () => {
+      queue.getJob.mockResolvedValueOnce(null).mockResolvedValueOnce(createJob('7', 'active'));
+
+      expect(await queueService.retryJob('whatsapp-messages', '7'))
+        .toEqual({ success: false, error: 'Job not found: 7', code: JOB_NOT_FOUND });
+      expect(await queueService.retryJob('whatsapp-messages', '7')).toEqual({
+        success: false,
+        error: 'Cannot retry job 7 in state active (allowed: failed)',
+        code: INVALID_JOB_STATE,
+      });
+    });
+
+    it('retries failed jobs, promotes delayed ones and removes finished ones', async () => {
+      const failed = createJob('7', 'failed');
+      const delayed = createJob('8', 'delayed');
+      const completed = createJob('9', 'completed');
+      queue.getJob.mockImplementation(id => Promise.resolve({ 7: failed, 8: delayed, 9: completed }[id]));
+
+      expect(await queueService.retryJob('whatsapp-messages', '7')).toMatchObject({ success: true, job: { id: '7', state: 'waiting' } });
+      expect(await queueService.promoteJob('whatsapp-messages', '8')).toMatchObject({ success: true, job: { id: '8', state: 'waiting' } });
+      expect(await queueService.removeJob('whatsapp-messages', '9')).toEqual({ success: true, removed: true });
+      expect([failed.retry, delayed.promote, completed.remove].map(fn => fn.mock.calls.length)).toEqual([1, 1, 1]);
+    });
+  });
+
+  describe('changeJobPriority', () => {
+    const addReplacement = (state = 'waiting') => {
+      const replacement = createJob('20', state);
+      queue.add.mockResolvedValue(replacement);
+      return replacement;
+    };
+
+    it('replaces a waiting job with a held back copy and releases it once the original is removed', async () => {
+      const job = createJob('7', 'waiting');
+      const replacement = addReplacement();
+      queue.getJob.mockResolvedValue(job);
+
+      const result = await queueService.changeJobPriority('whatsapp-messages', '7', 1);
+
+      expect(result).toMatchObject({ success: true, previousJobId: '7', jobId: '20', job: { id: '20', state: 'waiting' } });
+      expect(queue.add).toHaveBeenCalledWith('send-message', job.data, { priority: 1, attempts: 3, delay: 60000 });
+      expect(job.remove.mock.invocationCallOrder[0]).toBeGreaterThan(queue.add.mock.invocationCallOrder[0]);
+      expect(replacement.promote.mock.invocationCallOrder[0]).toBeGreaterThan(job.remove.mock.invocationCallOrder[0]);
+    });
+
+    it('keeps the remaining delay of delayed jobs', async () => {
+      jest.useFakeTimers({ now: Date.parse('2026-03-01T10:00:00Z') });
+      const job = createJob('7', 'delayed', { timestamp: Date.now() - 1000, delay: 3600000 });
+      const replacement = addReplacement('delayed');
+      queue.getJob.mockResolvedValue(job);
+
+      await queueService.changeJobPriority('whatsapp-messages', '7', 1);
+
+      expect(queue.add.mock.calls[0][2]).toMatchObject({ priority: 1, delay: 3599000 });
+      expect(replacement.promote).not.toHaveBeenCalled();
+    });
+
+    it('drops the copy and fails when a worker picked the job up meanwhile', async () => {
+      const job = createJob('7', 'waiting', { remove: jest.fn().mockRejectedValue(new Error('Could not remove job 7')) });
+      const replacement = addReplacement();
+      queue.getJob.mockResolvedValue(job);
+
+      expect(await queueService.changeJobPriority('whatsapp-messages', '7', 1)).toEqual({
+        success: false,
+        error: 'Cannot reprioritize job 7: it was picked up by a worker',
+        code: INVALID_JOB_STATE,
+      });
+      expect(replacement.remove).toHaveBeenCalled();
+      expect(replacement.promote).not.toHaveBeenCalled();
+    });
+
+    it('refuses occurrences of repeatable jobs', async () => {
+      queue.getJob.mockResolvedValue(createJob('repeat:abc:1772456400000', 'delayed', {
+        opts: { jobId: 'repeat:abc:1772456400000', repeat: { cron: '0 9 * * *', tz: 'UTC', count: 1 } },
+      }));
+
+      expect(await queueService.changeJobPriority('whatsapp-messages', 'repeat:abc:1772456400000', 1)).toEqual({
+        success: false,
+        error: 'Cannot reprioritize job repeat:abc:1772456400000: it is an occurrence of a repeatable job',
+        code: INVALID_JOB_STATE,
+      });
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('refuses jobs that already started', async () => {
+      queue.getJob.mockResolvedValue(createJob('7', 'active'));
+
+      expect(await queueService.changeJobPriority('whatsapp-messages', '7', 1)).toMatchObject({ success: false, code: INVALID_JOB_STATE });
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+  });
+});
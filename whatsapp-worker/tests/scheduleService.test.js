@@ -0,0 +1,183 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const config = require('../src/config');
+const queueService = require('../src/services/queueService');
+const scheduleService = require('../src/services/scheduleService');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const { INVALID_SCHEDULE, SCHEDULE_NOT_FOUND, SCHEDULE_INACTIVE } = scheduleService;
+
+describe('scheduleService', () => {
+  let addJob;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    useFakeRedis(queueService);
+    addJob = jest.spyOn(queueService, 'addJob').mockResolvedValue({ success: true, jobId: 'job-1' });
+    jest.spyOn(queueService, 'removeJob').mockResolvedValue({ success: true, removed: true });
+    jest.spyOn(queueService, 'removeRepeatableJob').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('validation', () => {
+    const invalid = async definition => (await scheduleService.create(definition)).error;
+    const base = { to: '5491122334455', message: 'Hola', timezone: 'UTC' };
+
+    it('needs exactly one of sendAt and cron', async () => {
+      expect(await invalid(base)).toBe('Provide either sendAt (one-off message) or cron (recurring message)');
+      expect(await invalid({ ...base, sendAt: '2026-03-03T09:00', cron: '0 9 * * *' }))
+        .toBe('Provide either sendAt (one-off message) or cron (recurring message)');
+    });
+
+    it('rejects dates in the past or that cannot be parsed', async () => {
+      expect(await invalid({ ...base, sendAt: '2026-03-01T09:00' })).toBe('sendAt is in the past: 2026-03-01T09:00:00.000Z');
+      expect(await invalid({ ...base, sendAt: 'tomorrow' })).toBe('sendAt must be an ISO date and time: tomorrow');
+      expect(await invalid({ ...base, cron: '0 9 * * *', endAt: '2026-03-01T00:00Z' })).toBe('endAt is in the past: 2026-03-01T00:00:00.000Z');
+    });
+
+    it('rejects invalid cron expressions and timezones', async () => {
+      expect(await invalid({ ...base, cron: 'every day' })).toMatch(/^Invalid cron expression "every day"/);
+      expect(await invalid({ ...base, cron: '0 9 * * *', timezone: 'Mars/Olympus' })).toBe('Invalid timezone: Mars/Olympus');
+    });
+
+    it('needs a recipient and a message or media', async () => {
+      expect(await invalid({ sendAt: '2026-03-03T09:00', message: 'Hola', timezone: 'UTC' })).toBe('Missing required field: to');
+      expect(await invalid({ to: '5491122334455', sendAt: '2026-03-03T09:00', timezone: 'UTC' })).toBe('Provide a message or media');
+    });
+
+    it('reports validation errors with their code and queues nothing', async () => {
+      expect(await scheduleService.create(base)).toMatchObject({ success: false, code: INVALID_SCHEDULE });
+      expect(addJob).not.toHaveBeenCalled();
+      expect(await scheduleService.list()).toEqual([]);
+    });
+
+    it('validates list filters', () => {
+      expect(scheduleService.validateFilter({ status: 'sent', type: 'once' })).toBeNull();
+      expect(scheduleService.validateFilter({ status: 'done' })).toBe('Invalid status: done. Use one of scheduled, sent, failed, completed, cancelled');
+      expect(scheduleService.validateFilter({ type: 'daily' })).toBe('Invalid type: daily. Use one of once, recurring');
+    });
+  });
+
+  describe('one-off messages', () => {
+    it('queues a delayed job for the wall-clock time of the timezone', async () => {
+      const { schedule } = await scheduleService.create({
+        to: '5491122334455',
+        message: 'Recordatorio',
+        sendAt: '2026-03-03T09:00',
+        timezone: 'America/Mexico_City',
+      });
+
+      expect(schedule).toMatchObject({
+        status: 'scheduled',
+        type: 'once',
+        revision: 1,
+        sendAt: '2026-03-03T15:00:00.000Z',
+        nextRunAt: '2026-03-03T15:00:00.000Z',
+        timezone: 'America/Mexico_City',
+      });
+      expect(addJob).toHaveBeenCalledWith(config.queue.name, 'scheduled-message', { scheduleId: schedule.id, revision: 1 }, {
+        jobId: `schedule:${schedule.id}:1`,
+        delay: 27 * 60 * 60 * 1000,
+      });
+      expect(await scheduleService.get(schedule.id)).toEqual(schedule);
+    });
+
+    it('forgets the schedule when the job cannot be queued', async () => {
+      addJob.mockResolvedValue({ success: false, error: 'Redis is not connected' });
+
+      expect(await scheduleService.create({ to: '5491122334455', message: 'Hola', sendAt: '2026-03-03T09:00Z' }))
+        .toEqual({ success: false, error: 'Redis is not connected' });
+      expect(await scheduleService.list()).toEqual([]);
+    });
+
+    it('ends as sent or failed once the send is final, counting the run once', async () => {
+      const { schedule } = await scheduleService.create({ to: '5491122334455', message: 'Hola', sendAt: '2026-03-03T09:00Z' });
+
+      expect(await scheduleService.recordRun(schedule, { success: false, error: 'timeout' }, { final: false }))
+        .toMatchObject({ status: 'scheduled', runCount: 0, lastResult: { success: false, error: 'timeout' } });
+      expect(await scheduleService.recordRun(schedule, { success: true, messageId: 'sent-1' }))
+        .toMatchObject({ status: 'sent', runCount: 1, nextRunAt: null, lastResult: { success: true, messageId: 'sent-1' } });
+    });
+
+    it('is marked failed when its job runs out of attempts', async () => {
+      const { schedule } = await scheduleService.create({ to: '5491122334455', message: 'Hola', sendAt: '2026-03-03T09:00Z' });
+
+      await scheduleService.markFailed({ scheduleId: schedule.id, revision: 1 }, new Error('not ready'));
+
+      expect(await scheduleService.get(schedule.id))
+        .toMatchObject({ status: 'failed', nextRunAt: null, runCount: 1, lastResult: { success: false, error: 'not ready' } });
+    });
+
+    it('queues a run over the outbound budget again without recording it', async () => {
+      const { schedule } = await scheduleService.create({ to: '5491122334455', message: 'Hola', sendAt: '2026-03-03T09:00Z' });
+      addJob.mockResolvedValue({ success: true, jobId: 'job-2' });
+
+      expect(await scheduleService.requeue({ data: { scheduleId: schedule.id, revision: 1 } }, 30000))
+        .toEqual({ success: true, deferred: true, jobId: 'job-2' });
+      expect(addJob).toHaveBeenLastCalledWith(config.queue.name, scheduleService.JOB_TYPE, { scheduleId: schedule.id, revision: 1 }, { delay: 30000 });
+      expect(await scheduleService.get(schedule.id)).toMatchObject({ status: 'scheduled', runCount: 0 });
+    });
+  });
+
+  describe('recurring messages', () => {
+    it('queues a repeatable job and computes the next run in the timezone', async () => {
+      const { schedule } = await scheduleService.create({
+        to: '5491122334455',
+        message: 'Buenos días',
+        cron: '0 9 * * *',
+        timezone: 'America/Mexico_City',
+        endAt: '2026-03-10T00:00',
+      });
+
+      expect(schedule).toMatchObject({ type: 'recurring', nextRunAt: '2026-03-02T15:00:00.000Z', endAt: '2026-03-10T06:00:00.000Z' });
+      expect(addJob.mock.calls[0][3]).toEqual({
+        jobId: `schedule:${schedule.id}:1`,
+        repeat: { cron: '0 9 * * *', tz: 'America/Mexico_City', endDate: '2026-03-10T06:00:00.000Z' },
+      });
+    });
+
+    it('completes once the next run would be past endAt', async () => {
+      const { schedule } = await scheduleService.create({ to: '5491122334455', message: 'Hola', cron: '0 9 * * *', timezone: 'UTC', endAt: '2026-03-03T10:00Z' });
+
+      jest.setSystemTime(new Date('2026-03-03T09:00:01Z'));
+
+      expect(await scheduleService.recordRun(schedule, { success: true, messageId: 'sent-1' }))
+        .toMatchObject({ status: 'completed', nextRunAt: null, runCount: 1 });
+    });
+  });
+
+  describe('updating and cancelling', () => {
+    let schedule;
+
+    beforeEach(async () => {
+      ({ schedule } = await scheduleService.create({ to: '5491122334455', message: 'Hola', sendAt: '2026-03-03T09:00Z' }));
+    });
+
+    it('requeues updates under a new revision so the old job is skipped', async () => {
+      const { schedule: updated } = await scheduleService.update(schedule.id, { cron: '0 9 * * 1', timezone: 'UTC' });
+
+      expect(updated).toMatchObject({ type: 'recurring', revision: 2, message: 'Hola', sendAt: null });
+      expect(queueService.removeJob).toHaveBeenCalledWith(config.queue.name, `schedule:${schedule.id}:1`);
+      expect(addJob.mock.calls[1][3].jobId).toBe(`schedule:${schedule.id}:2`);
+      expect(await scheduleService.getDue({ scheduleId: schedule.id, revision: 1 })).toBeNull();
+      expect(await scheduleService.getDue({ scheduleId: schedule.id, revision: 2 })).toEqual(updated);
+    });
+
+    it('cancels schedules and refuses to change them afterwards', async () => {
+      expect(await scheduleService.cancel(schedule.id)).toMatchObject({ success: true, schedule: { status: 'cancelled', nextRunAt: null } });
+      expect(await scheduleService.getDue({ scheduleId: schedule.id, revision: 1 })).toBeNull();
+      expect(await scheduleService.update(schedule.id, { message: 'Chau' }))
+        .toEqual({ success: false, error: `Schedule ${schedule.id} is cancelled`, code: SCHEDULE_INACTIVE });
+    });
+
+    it('reports unknown schedules', async () => {
+      expect(await scheduleService.cancel('missing')).toEqual({ success: false, error: 'Schedule not found: missing', code: SCHEDULE_NOT_FOUND });
+    });
+  });
+});
@@ -0,0 +1,17 @@
+// The real logger writes log files and exits on uncaught exceptions; tests get a silent one
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn(),
+  whatsapp: jest.fn(),
+  worker: jest.fn(),
+  webservice: jest.fn(),
+  bot: jest.fn(),
+  queue: jest.fn(),
+  stream: { write: jest.fn() },
+}));
+
+process.env.WEBSERVICE_API_URL = process.env.WEBSERVICE_API_URL || 'http://webservice.test';
+process.env.DOTENV_CONFIG_QUIET = 'true';
@@ -0,0 +1,46 @@
+const {
+  normalizeText,
+  containsWord,
+  renderTemplate,
+  getTemplateVariables,
+} = require('../src/utils/text');
+
+describe('text utils', () => {
+  describe('normalizeText', () => {
+    it('lowercases and strips accents and punctuation', () => {
+      expect(normalizeText('¡No más mensajes!')).toBe('no mas mensajes');
+      expect(normalizeText('  Ação,   já  ')).toBe('acao ja');
+    });
+
+    it('returns an empty string for empty values', () => {
+      expect(normalizeText(null)).toBe('');
+      expect(normalizeText('¿?')).toBe('');
+    });
+  });
+
+  describe('containsWord', () => {
+    it('matches whole words and phrases only', () => {
+      expect(containsWord('esto es spam puro', 'spam')).toBe(true);
+      expect(containsWord('esto es spam puro', 'es spam')).toBe(true);
+      expect(containsWord('spammer', 'spam')).toBe(false);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('fills in the variables', () => {
+      expect(renderTemplate('Hola {{name}}, tu saldo es {{ balance }}', { name: 'Ana', balance: 0 })).toBe('Hola Ana, tu saldo es 0');
+    });
+
+    it('leaves unknown and empty variables untouched', () => {
+      expect(renderTemplate('Hola {{name}} {{last}}', { last: null })).toBe('Hola {{name}} {{last}}');
+      expect(renderTemplate(undefined)).toBe('');
+    });
+  });
+
+  describe('getTemplateVariables', () => {
+    it('lists each variable once', () => {
+      expect(getTemplateVariables('{{name}}: {{ amount }} ({{name}})')).toEqual(['name', 'amount']);
+      expect(getTemplateVariables('Sin variables')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  getZonedTime,
+  parseTimeOfDay,
+  isWithinTimeRange,
+  normalizeWeekday,
+  isValidTimeZone,
+  fromZonedTime,
+  parseDateTime,
+} = require('../src/utils/time');
+
+describe('time utils', () => {
+  describe('getZonedTime', () => {
+    it('returns the wall-clock parts in the timezone', () => {
+      const date = new Date('2026-03-02T02:30:00Z');
+
+      expect(getZonedTime(date, 'UTC')).toEqual({ date: '2026-03-02', weekday: 1, hour: 2, minute: 30, minutesOfDay: 150 });
+      expect(getZonedTime(date, 'America/Mexico_City')).toEqual({ date: '2026-03-01', weekday: 0, hour: 20, minute: 30, minutesOfDay: 1230 });
+    });
+
+    it('reports midnight as hour 0', () => {
+      expect(getZonedTime(new Date('2026-03-02T00:05:00Z'), 'UTC').hour).toBe(0);
+    });
+  });
+
+  describe('parseTimeOfDay', () => {
+    it('converts HH:MM to minutes of the day', () => {
+      expect(parseTimeOfDay('09:30')).toBe(570);
+      expect(parseTimeOfDay(' 7:05 ')).toBe(425);
+      expect(parseTimeOfDay('24:00')).toBe(1440);
+    });
+
+    it('rejects invalid times', () => {
+      expect(() => parseTimeOfDay('25:00')).toThrow('Invalid time of day: 25:00');
+      expect(() => parseTimeOfDay('09:60')).toThrow('Invalid time of day');
+      expect(() => parseTimeOfDay('9am')).toThrow('Invalid time of day');
+    });
+  });
+
+  describe('isWithinTimeRange', () => {
+    it('includes the start and excludes the end', () => {
+      expect(isWithinTimeRange(540, '09:00', '18:00')).toBe(true);
+      expect(isWithinTimeRange(1079, '09:00', '18:00')).toBe(true);
+      expect(isWithinTimeRange(1080, '09:00', '18:00')).toBe(false);
+      expect(isWithinTimeRange(539, '09:00', '18:00')).toBe(false);
+    });
+
+    it('handles ranges past midnight', () => {
+      expect(isWithinTimeRange(23 * 60, '22:00', '06:00')).toBe(true);
+      expect(isWithinTimeRange(5 * 60, '22:00', '06:00')).toBe(true);
+      expect(isWithinTimeRange(12 * 60, '22:00', '06:00')).toBe(false);
+    });
+  });
+
+  describe('normalizeWeekday', () => {
+    it('accepts day numbers and English names', () => {
+      expect(normalizeWeekday(3)).toBe(3);
+      expect(normalizeWeekday('Monday')).toBe(1);
+      expect(normalizeWeekday('sun')).toBe(0);
+      expect(normalizeWeekday('lunes')).toBe(-1);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA timezones only', () => {
+      expect(isValidTimeZone('America/Mexico_City')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+  });
+
+  describe('fromZonedTime', () => {
+    it('converts a wall-clock time of the timezone to an instant', () => {
+      expect(fromZonedTime('2026-12-24T09:00', 'America/Mexico_City').toISOString()).toBe('2026-12-24T15:00:00.000Z');
+      expect(fromZonedTime('2026-12-24 09:00:30', 'UTC').toISOString()).toBe('2026-12-24T09:00:30.000Z');
+    });
+
+    it('follows daylight saving time changes', () => {
+      expect(fromZonedTime('2026-01-15T09:00', 'Europe/Madrid').toISOString()).toBe('2026-01-15T08:00:00.000Z');
+      expect(fromZonedTime('2026-07-15T09:00', 'Europe/Madrid').toISOString()).toBe('2026-07-15T07:00:00.000Z');
+    });
+  });
+
+  describe('parseDateTime', () => {
+    it('keeps dates with an offset absolute', () => {
+      expect(parseDateTime('2026-12-24T09:00:00-06:00', 'Europe/Madrid').toISOString()).toBe('2026-12-24T15:00:00.000Z');
+      expect(parseDateTime('2026-12-24T09:00:00Z', 'America/Mexico_City').toISOString()).toBe('2026-12-24T09:00:00.000Z');
+    });
+
+    it('reads dates without an offset in the timezone', () => {
+      expect(parseDateTime('2026-12-24T09:00', 'America/Mexico_City').toISOString()).toBe('2026-12-24T15:00:00.000Z');
+    });
+
+    it('rejects anything else', () => {
+      expect(() => parseDateTime('mañana', 'UTC')).toThrow();
+      expect(() => parseDateTime('2026-13-45T09:00Z', 'UTC')).toThrow('Invalid date and time: 2026-13-45T09:00Z');
+    });
+  });
+});
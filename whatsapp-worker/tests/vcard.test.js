@@ -0,0 +1,82 @@
+const { parseVCard, buildVCard } = require('../src/utils/vcard');
+
+describe('vcard', () => {
+  describe('parseVCard', () => {
+    it('reads names, phones with their WhatsApp id, emails and organization', () => {
+      const content = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Pérez;Ana;;;',
+        'FN:Ana Pérez',
+        'ORG:Vecinos\\, S.A.;Ventas',
+        'TITLE:Gerente',
+        'item1.TEL;type=CELL;waid=5491122334455:+54 9 11 2233-4455',
+        'EMAIL;type=INTERNET;type=WORK:ana@example.com',
+        'END:VCARD',
+      ].join('\r\n');
+
+      expect(parseVCard(content)).toEqual([{
+        name: 'Ana Pérez',
+        firstName: 'Ana',
+        lastName: 'Pérez',
+        phones: [{ number: '+54 9 11 2233-4455', waId: '5491122334455', type: 'cell' }],
+        emails: [{ address: 'ana@example.com', type: 'work' }],
+        organization: 'Vecinos, S.A., Ventas',
+        title: 'Gerente',
+      }]);
+    });
+
+    it('unfolds continuation lines and falls back to N when FN is missing', () => {
+      const [contact] = parseVCard('BEGIN:VCARD\nN:Gómez;\n Luis;;;\nTEL:1234\nEND:VCARD');
+
+      expect(contact.name).toBe('Luis Gómez');
+      expect(contact.phones).toEqual([{ number: '1234', waId: null, type: null }]);
+    });
+
+    it('returns every card of a multi-contact message', () => {
+      const content = 'BEGIN:VCARD\nFN:Ana\nEND:VCARD\nBEGIN:VCARD\nFN:Luis\nEND:VCARD';
+
+      expect(parseVCard(content).map(contact => contact.name)).toEqual(['Ana', 'Luis']);
+    });
+
+    it('returns no cards for empty content', () => {
+      expect(parseVCard('')).toEqual([]);
+      expect(parseVCard(undefined)).toEqual([]);
+    });
+  });
+
+  describe('buildVCard', () => {
+    it('writes a vCard 3.0 with WhatsApp ids for each phone', () => {
+      expect(buildVCard({
+        name: 'Ana Pérez',
+        firstName: 'Ana',
+        lastName: 'Pérez',
+        phones: ['+54 9 11 2233-4455', { number: '5491100000000', type: 'work' }],
+        emails: ['ana@example.com'],
+        organization: 'Vecinos; Ventas',
+      })).toBe([
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'FN:Ana Pérez',
+        'N:Pérez;Ana;;;',
+        'ORG:Vecinos\\; Ventas',
+        'TEL;type=CELL;waid=5491122334455:+54 9 11 2233-4455',
+        'TEL;type=WORK;waid=5491100000000:5491100000000',
+        'EMAIL;type=INTERNET:ana@example.com',
+        'END:VCARD',
+      ].join('\n'));
+    });
+
+    it('round-trips through parseVCard', () => {
+      const contact = { name: 'Luis', phones: ['5491100000000'], title: 'Portero, turno noche' };
+      const [parsed] = parseVCard(buildVCard(contact));
+
+      expect(parsed).toMatchObject({
+        name: 'Luis',
+        firstName: 'Luis',
+        title: 'Portero, turno noche',
+        phones: [{ number: '5491100000000', waId: '5491100000000', type: 'cell' }],
+      });
+    });
+  });
+});
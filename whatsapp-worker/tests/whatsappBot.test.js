@@ -0,0 +1,506 @@
+jest.mock('../src/services/webserviceClient', () => ({
+  logWhatsAppEvent: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const queueService = require('../src/services/queueService');
+const consentService = require('../src/services/consentService');
+const groupGreetings = require('../src/services/groupGreetings');
+const outboundThrottle = require('../src/services/outboundThrottle');
+const pollService = require('../src/services/pollService');
+const messageStore = require('../src/services/messageStore');
+const webserviceClient = require('../src/services/webserviceClient');
+const whatsappBot = require('../src/services/whatsappBot');
+const { useFakeRedis } = require('./helpers/fakeRedis');
+
+const groupId = '120363025@g.us';
+
+const createGroupChat = (overrides = {}) => ({
+  id: { _serialized: groupId },
+  name: 'Vecinos',
+  isGroup: true,
+  participants: [
+    { id: { _serialized: '5491122334455@c.us', user: '5491122334455' }, isAdmin: true },
+    { id: { _serialized: '5491100000000@c.us', user: '5491100000000' } },
+  ],
+  groupMetadata: { announce: true, restrict: false },
+  ...overrides,
+});
+
+describe('whatsappBot', () => {
+  let client;
+
+  beforeEach(() => {
+    useFakeRedis(queueService);
+    jest.clearAllMocks();
+    jest.spyOn(outboundThrottle, 'reserve').mockResolvedValue({ allowed: true, pause: 0 });
+
+    client = {
+      getChatById: jest.fn(),
+      getChats: jest.fn(),
+      getContactById: jest.fn(id => Promise.resolve({ pushname: { '5491122334455@c.us': 'Ana', '5491100000000@c.us': 'Luis' }[id] })),
+      createGroup: jest.fn(),
+      sendMessage: jest.fn((chatId, text) => Promise.resolve({ id: { id: 'sent-1', _serialized: `true_${chatId}_sent-1`, remote: chatId }, timestamp: 1, body: text })),
+    };
+    whatsappBot.client = client;
+    whatsappBot.isReady = true;
+  });
+
+  afterEach(() => {
+    groupGreetings.groupSettings = {};
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    groupGreetings.shutdown();
+  });
+
+  describe('group management', () => {
+    it('fails while the client is not ready', async () => {
+      whatsappBot.isReady = false;
+
+      expect(await whatsappBot.getGroupInfo(groupId)).toEqual({ success: false, error: 'WhatsApp client is not ready' });
+    });
+
+    it('accepts bare group ids and rejects chats that are not groups', async () => {
+      client.getChatById.mockResolvedValue({ ...createGroupChat(), isGroup: false });
+
+      expect(await whatsappBot.getGroupInfo('120363025')).toEqual({ success: false, error: 'Group not found: 120363025' });
+      expect(client.getChatById).toHaveBeenCalledWith(groupId);
+    });
+
+    it('serializes the group with its settings and participants', async () => {
+      client.getChatById.mockResolvedValue(createGroupChat());
+
+      const result = await whatsappBot.getGroupInfo(groupId);
+
+      expect(result.group).toMatchObject({
+        id: groupId,
+        name: 'Vecinos',
+        settings: { messagesAdminsOnly: true, infoAdminsOnly: false },
+        participants: [
+          { id: '5491122334455@c.us', isAdmin: true, isSuperAdmin: false },
+          { id: '5491100000000@c.us', isAdmin: false, isSuperAdmin: false },
+        ],
+      });
+    });
+
+    it('lists only group chats', async () => {
+      client.getChats.mockResolvedValue([createGroupChat(), { id: { _serialized: '1@c.us' }, isGroup: false }]);
+
+      expect(await whatsappBot.listGroups()).toEqual({ success: true, groups: [{ id: groupId, name: 'Vecinos', participants: 2 }] });
+    });
+
+    it('creates groups with participants given as numbers', async () => {
+      client.createGroup.mockResolvedValue({ gid: { _serialized: groupId }, title: 'Nuevo', participants: {} });
+
+      const result = await whatsappBot.createGroup('Nuevo', ['+54 9 11 2233-4455']);
+
+      expect(result).toMatchObject({ success: true, groupId, title: 'Nuevo' });
+      expect(client.createGroup).toHaveBeenCalledWith('Nuevo', ['5491122334455@c.us'], {});
+    });
+
+    it('reports the creation errors whatsapp-web.js returns as strings', async () => {
+      client.createGroup.mockResolvedValue('CreateGroupError: An unknown error occupied while creating a group');
+
+      expect((await whatsappBot.createGroup('Nuevo', [])).success).toBe(false);
+    });
+
+    it('maps participant actions to the chat methods', async () => {
+      const chat = createGroupChat({ promoteParticipants: jest.fn().mockResolvedValue({ status: 200 }) });
+      client.getChatById.mockResolvedValue(chat);
+
+      const result = await whatsappBot.updateGroupParticipants(groupId, 'promote', ['5491100000000']);
+
+      expect(result).toEqual({ success: true, action: 'promote', result: { status: 200 } });
+      expect(chat.promoteParticipants).toHaveBeenCalledWith(['5491100000000@c.us']);
+    });
+
+    it('rejects unknown participant actions', async () => {
+      expect(await whatsappBot.updateGroupParticipants(groupId, 'ban', ['1'])).toEqual({
+        success: false,
+        error: 'Invalid action: ban. Use one of add, remove, promote, demote',
+      });
+    });
+
+    it('fails when a setter is refused because the bot is not admin', async () => {
+      client.getChatById.mockResolvedValue(createGroupChat({ setSubject: jest.fn().mockResolvedValue(false) }));
+
+      expect(await whatsappBot.updateGroupInfo(groupId, { subject: 'Nuevo nombre' })).toEqual({
+        success: false,
+        error: 'Could not change the subject, the bot must be a group admin',
+      });
+    });
+
+    it('only changes the settings that are given', async () => {
+      const chat = createGroupChat({
+        setMessagesAdminsOnly: jest.fn().mockResolvedValue(true),
+        setInfoAdminsOnly: jest.fn().mockResolvedValue(true),
+      });
+      client.getChatById.mockResolvedValue(chat);
+
+      await whatsappBot.updateGroupSettings(groupId, { messagesAdminsOnly: 0 });
+
+      expect(chat.setMessagesAdminsOnly).toHaveBeenCalledWith(false);
+      expect(chat.setInfoAdminsOnly).not.toHaveBeenCalled();
+    });
+
+    it('builds the invite link from the invite code', async () => {
+      client.getChatById.mockResolvedValue(createGroupChat({ getInviteCode: jest.fn().mockResolvedValue('AbC123') }));
+
+      expect(await whatsappBot.getGroupInviteLink(groupId)).toEqual({ success: true, code: 'AbC123', link: 'https://chat.whatsapp.com/AbC123' });
+    });
+  });
+
+  describe('group greetings', () => {
+    const newMembers = ['5491122334455@c.us', '5491100000000@c.us'];
+
+    beforeEach(() => {
+      client.getChatById.mockResolvedValue(createGroupChat());
+    });
+
+    it('welcomes a batch of members in one message that mentions all of them', async () => {
+      await whatsappBot.sendGroupWelcome(groupId, newMembers);
+
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+      expect(client.sendMessage).toHaveBeenCalledWith(
+        groupId,
+        expect.stringContaining('¡Bienvenido/a @5491122334455 y @5491100000000 a *Vecinos*!'),
+        { mentions: newMembers },
+      );
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('group_welcome_sent', expect.objectContaining({ chatId: groupId }));
+    });
+
+    it('sends the rules privately when their delivery is dm', async () => {
+      groupGreetings.groupSettings = {
+        [groupId]: { welcome: { text: 'Hola {{names}}' }, rules: { text: 'Reglas de {{group}}', delivery: 'dm' } },
+      };
+
+      await whatsappBot.sendGroupWelcome(groupId, newMembers);
+
+      expect(client.sendMessage.mock.calls.map(([chatId, text]) => [chatId, text])).toEqual([
+        [groupId, 'Hola Ana y Luis'],
+        ['5491122334455@c.us', 'Reglas de Vecinos'],
+        ['5491100000000@c.us', 'Reglas de Vecinos'],
+      ]);
+    });
+
+    it('says farewell with the names of the members who left', async () => {
+      await whatsappBot.sendGroupFarewell(groupId, ['5491100000000@c.us']);
+
+      expect(client.sendMessage).toHaveBeenCalledWith(groupId, '👋 Luis salió del grupo. Quedamos 2 miembros.', {});
+    });
+
+    it('leaves the bot out of the notification participants', () => {
+      client.info = { wid: { _serialized: '5490000000000@c.us' } };
+
+      expect(whatsappBot.getNotificationParticipants({
+        recipientIds: ['5490000000000@c.us', { _serialized: '5491100000000@c.us' }],
+      })).toEqual(['5491100000000@c.us']);
+    });
+  });
+
+  describe('polls', () => {
+    it('sends a poll and registers it for vote tracking', async () => {
+      const result = await whatsappBot.sendPoll('5491122334455', '¿Vienes?', ['Sí', 'No']);
+
+      expect(result).toMatchObject({ success: true, pollId: 'true_5491122334455@c.us_sent-1' });
+
+      const [chatId, poll] = client.sendMessage.mock.calls[0];
+      expect(chatId).toBe('5491122334455@c.us');
+      expect(poll).toMatchObject({ pollName: '¿Vienes?', pollOptions: [{ name: 'Sí', localId: 0 }, { name: 'No', localId: 1 }] });
+      expect(await pollService.getPoll(result.pollId)).toMatchObject({ chatId: '5491122334455@c.us' });
+    });
+
+    it('registers polls created outside the API on their first vote and forwards the results', async () => {
+      await whatsappBot.handleVoteUpdate({
+        parentMessage: {
+          id: { _serialized: 'poll-1', remote: groupId },
+          pollName: '¿Qué día?',
+          pollOptions: [{ localId: 0, name: 'Sábado' }, { localId: 1, name: 'Domingo' }],
+        },
+        voter: '5491122334455@c.us',
+        selectedOptions: [{ name: 'Domingo' }],
+        interractedAtTs: Date.now(),
+      });
+
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('poll_results', expect.objectContaining({
+        pollId: 'poll-1',
+        totalVoters: 1,
+        results: [
+          { option: 'Sábado', count: 0, voters: [] },
+          { option: 'Domingo', count: 1, voters: ['5491122334455@c.us'] },
+        ],
+      }));
+    });
+  });
+
+  describe('reactions', () => {
+    const received = (overrides = {}) => ({
+      id: { id: 'ABC', _serialized: 'false_5491122334455@c.us_ABC', remote: '5491122334455@c.us' },
+      fromMe: false,
+      react: jest.fn().mockResolvedValue(undefined),
+      ...overrides,
+    });
+
+    it('reacts to a message given its serialized id', async () => {
+      const message = received();
+      client.getMessageById = jest.fn().mockResolvedValue(message);
+
+      expect(await whatsappBot.reactToMessage('false_5491122334455@c.us_ABC', '👍'))
+        .toEqual({ success: true, messageId: 'ABC', reaction: '👍' });
+      expect(message.react).toHaveBeenCalledWith('👍');
+    });
+
+    it('looks short ids up in the latest messages of the chat', async () => {
+      const message = received();
+      client.getChatById.mockResolvedValue({ fetchMessages: jest.fn().mockResolvedValue([message]) });
+
+      expect(await whatsappBot.reactToMessage('ABC', '', { chatId: '5491122334455' }))
+        .toEqual({ success: true, messageId: 'ABC', reaction: null });
+      expect(client.getChatById).toHaveBeenCalledWith('5491122334455@c.us');
+    });
+
+    it('needs the chat to find a short id the bot did not send', async () => {
+      expect(await whatsappBot.reactToMessage('ABC', '👍'))
+        .toEqual({ success: false, error: 'chatId is required to find a message by its short id' });
+    });
+
+    it('forwards incoming reactions and their removal', async () => {
+      const reaction = {
+        msgId: { id: 'ABC', _serialized: 'true_5491122334455@c.us_ABC', remote: '5491122334455@c.us' },
+        senderId: '5491122334455@c.us',
+        id: { fromMe: false },
+        timestamp: 1772452800,
+      };
+
+      await whatsappBot.handleReaction({ ...reaction, reaction: '❤️' });
+      await whatsappBot.handleReaction({ ...reaction, reaction: '' });
+
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenNthCalledWith(1, 'message_reaction', expect.objectContaining({
+        messageId: 'ABC',
+        chatId: '5491122334455@c.us',
+        reaction: '❤️',
+        removed: false,
+        timestamp: '2026-03-02T12:00:00.000Z',
+      }));
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenNthCalledWith(2, 'message_reaction', expect.objectContaining({
+        reaction: null,
+        removed: true,
+      }));
+    });
+  });
+
+  describe('editing and deleting sent messages', () => {
+    const sent = (overrides = {}) => ({
+      id: { id: 'sent-1', _serialized: 'true_5491122334455@c.us_sent-1', remote: '5491122334455@c.us' },
+      fromMe: true,
+      edit: jest.fn().mockResolvedValue({}),
+      delete: jest.fn().mockResolvedValue(undefined),
+      ...overrides,
+    });
+
+    it('finds messages sent by the bot by their short id, after a restart too', async () => {
+      const message = sent();
+      client.getMessageById = jest.fn().mockResolvedValue(message);
+
+      await whatsappBot.sendMessage('5491122334455', 'Hola');
+      const result = await whatsappBot.editMessage('sent-1', 'Hola de nuevo');
+
+      expect(result).toEqual({ success: true, messageId: 'sent-1' });
+      expect(client.getMessageById).toHaveBeenCalledWith('true_5491122334455@c.us_sent-1');
+      expect(message.edit).toHaveBeenCalledWith('Hola de nuevo');
+      expect(await messageStore.lookup('sent-1')).toMatchObject({ chatId: '5491122334455@c.us', editedAt: expect.any(String) });
+    });
+
+    it('only edits messages sent by the bot', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue(sent({ fromMe: false }));
+
+      expect(await whatsappBot.editMessage('true_5491122334455@c.us_sent-1', 'x'))
+        .toEqual({ success: false, error: 'Only messages sent by the bot can be edited' });
+    });
+
+    it('reports edits WhatsApp rejects', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue(sent({ edit: jest.fn().mockResolvedValue(null) }));
+
+      expect(await whatsappBot.editMessage('true_5491122334455@c.us_sent-1', 'x'))
+        .toEqual({ success: false, error: 'WhatsApp rejected the edit, the message may be too old' });
+    });
+
+    it('deletes for everyone unless told otherwise', async () => {
+      const message = sent();
+      client.getMessageById = jest.fn().mockResolvedValue(message);
+
+      expect(await whatsappBot.deleteMessage('true_5491122334455@c.us_sent-1'))
+        .toEqual({ success: true, messageId: 'sent-1', everyone: true });
+      await whatsappBot.deleteMessage('true_5491122334455@c.us_sent-1', { everyone: false });
+
+      expect(message.delete.mock.calls).toEqual([[true], [false]]);
+      expect(webserviceClient.logWhatsAppEvent).toHaveBeenCalledWith('message_revoked', expect.objectContaining({ everyone: false }));
+    });
+
+    it('fails when the message cannot be found', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue(null);
+
+      expect(await whatsappBot.deleteMessage('true_5491122334455@c.us_missing'))
+        .toEqual({ success: false, error: 'Message not found: true_5491122334455@c.us_missing' });
+    });
+  });
+
+  describe('replies and mentions', () => {
+    it('quotes the replied message and appends mentions missing from the text', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue({ id: { _serialized: 'false_5491122334455@c.us_ABC' } });
+
+      await whatsappBot.sendMessage(groupId, 'Hola @5491122334455', {
+        replyTo: 'false_5491122334455@c.us_ABC',
+        mentions: ['+54 9 11 2233-4455', '5491100000000'],
+      });
+
+      expect(client.sendMessage).toHaveBeenCalledWith(groupId, 'Hola @5491122334455 @5491100000000', {
+        quotedMessageId: 'false_5491122334455@c.us_ABC',
+        mentions: ['5491122334455@c.us', '5491100000000@c.us'],
+      });
+    });
+
+    it('fails when the message to reply to does not exist', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue(null);
+
+      expect(await whatsappBot.sendMessage(groupId, 'Hola', { replyTo: 'false_1@c.us_GONE' }))
+        .toEqual({ success: false, error: 'Message to reply to not found: false_1@c.us_GONE' });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('locations', () => {
+    it('sends a location pin with its name and address', async () => {
+      const result = await whatsappBot.sendLocation('5491122334455', -34.6037, -58.3816, { name: 'Obelisco', address: 'Av. 9 de Julio s/n' });
+
+      expect(result).toEqual({ success: true, messageId: 'sent-1', timestamp: 1 });
+
+      const [chatId, location, options] = client.sendMessage.mock.calls[0];
+      expect(chatId).toBe('5491122334455@c.us');
+      expect(location).toMatchObject({ latitude: -34.6037, longitude: -58.3816, description: 'Obelisco\nAv. 9 de Julio s/n' });
+      expect(options).toEqual({});
+    });
+
+    it('extracts the coordinates of received location messages', () => {
+      expect(whatsappBot.extractLocation({
+        type: 'location',
+        location: { latitude: '-34.6037', longitude: '-58.3816', name: 'Obelisco' },
+      })).toEqual({ latitude: -34.6037, longitude: -58.3816, name: 'Obelisco', address: null, url: null });
+    });
+
+    it('returns null for other message types', () => {
+      expect(whatsappBot.extractLocation({ type: 'chat', body: 'Hola' })).toBeNull();
+    });
+  });
+
+  describe('contact cards', () => {
+    it('sends each contact as its own vCard message', async () => {
+      client.sendMessage
+        .mockResolvedValueOnce({ id: { id: 'card-1', _serialized: 'true_5491122334455@c.us_card-1' }, timestamp: 1 })
+        .mockResolvedValueOnce({ id: { id: 'card-2', _serialized: 'true_5491122334455@c.us_card-2' }, timestamp: 2 });
+
+      const result = await whatsappBot.sendContacts('5491122334455', [
+        { name: 'Ana', phones: ['5491122334455'] },
+        { name: 'Luis', phones: ['5491100000000'] },
+      ]);
+
+      expect(result).toEqual({ success: true, messageId: 'card-1', messageIds: ['card-1', 'card-2'], timestamp: 2 });
+      expect(client.sendMessage).toHaveBeenCalledTimes(2);
+      expect(client.sendMessage.mock.calls[1][1]).toContain('FN:Luis');
+      expect(client.sendMessage.mock.calls[1][2]).toEqual({ parseVCards: true });
+    });
+
+    it('only quotes the replied message on the first card', async () => {
+      client.getMessageById = jest.fn().mockResolvedValue({ id: { _serialized: 'false_5491122334455@c.us_ABC' } });
+
+      await whatsappBot.sendContacts('5491122334455', [
+        { name: 'Ana', phones: ['5491122334455'] },
+        { name: 'Luis', phones: ['5491100000000'] },
+      ], { replyTo: 'false_5491122334455@c.us_ABC' });
+
+      expect(client.sendMessage.mock.calls.map(([, , options]) => options)).toEqual([
+        { quotedMessageId: 'false_5491122334455@c.us_ABC', parseVCards: true },
+        { parseVCards: true },
+      ]);
+    });
+
+    it('extracts the contacts of received vCard messages', () => {
+      const contacts = whatsappBot.extractContacts({
+        type: 'multi_vcard',
+        vCards: ['BEGIN:VCARD\nFN:Ana\nEND:VCARD', 'BEGIN:VCARD\nFN:Luis\nEND:VCARD'],
+      });
+
+      expect(contacts.map(contact => contact.name)).toEqual(['Ana', 'Luis']);
+      expect(whatsappBot.extractContacts({ type: 'chat' })).toBeNull();
+    });
+  });
+
+  describe('outbound throttling', () => {
+    beforeEach(() => {
+      outboundThrottle.reserve.mockResolvedValue({ allowed: false, reason: 'perMinute', retryIn: 30000 });
+      jest.spyOn(queueService, 'addJob').mockResolvedValue({ success: true, jobId: 'deferred-1' });
+    });
+
+    it('puts off sends over the budget as deferred-send jobs', async () => {
+      const result = await whatsappBot.sendMessage('5491122334455', 'Hola', { mentions: ['5491100000000'] });
+
+      expect(result).toEqual({ success: true, deferred: true, reason: 'perMinute', jobId: 'deferred-1', sendAt: expect.any(String) });
+      expect(queueService.addJob).toHaveBeenCalledWith(expect.any(String), 'deferred-send', {
+        method: 'sendMessage',
+        args: ['5491122334455', 'Hola', { mentions: ['5491100000000'] }],
+      }, { delay: 30000 });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps the turn of the chat the deferred send was given', async () => {
+      outboundThrottle.reserve.mockResolvedValue({ allowed: false, reason: 'recipient', retryIn: 5000, turn: 1772452835000 });
+
+      await whatsappBot.sendMessage('5491122334455', 'Hola');
+
+      expect(queueService.addJob.mock.calls[0][2]).toEqual({ method: 'sendMessage', args: ['5491122334455', 'Hola', {}], turn: 1772452835000 });
+    });
+
+    it('returns the limit instead when the caller does not want the send deferred', async () => {
+      expect(await whatsappBot.sendMessage('5491122334455', 'Hola', { defer: false })).toEqual({
+        success: false,
+        error: 'Outbound limit reached (perMinute)',
+        code: outboundThrottle.THROTTLED,
+        reason: 'perMinute',
+        retryIn: 30000,
+      });
+      expect(queueService.addJob).not.toHaveBeenCalled();
+    });
+
+    it('throttles replies too', async () => {
+      const message = { from: '5491122334455@c.us', id: { _serialized: 'false_5491122334455@c.us_ABC' } };
+
+      expect(await whatsappBot.replyTo(message, 'Gracias')).toMatchObject({ success: true, deferred: true });
+      expect(queueService.addJob.mock.calls[0][2]).toEqual({
+        method: 'sendReply',
+        args: ['5491122334455@c.us', 'Gracias', { quotedMessageId: 'false_5491122334455@c.us_ABC' }],
+      });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('replays deferred sends through the throttle once they are due', async () => {
+      outboundThrottle.reserve.mockResolvedValue({ allowed: true, pause: 0 });
+
+      expect(await whatsappBot.sendDeferred('sendReply', ['5491122334455@c.us', 'Gracias', {}], 1772452835000))
+        .toEqual({ success: true, messageId: 'sent-1', timestamp: 1 });
+      expect(outboundThrottle.reserve).toHaveBeenCalledWith('5491122334455@c.us', { turn: 1772452835000 });
+      expect(await whatsappBot.sendDeferred('initialize', [])).toEqual({ success: false, error: 'Unknown send method: initialize' });
+    });
+
+    it('does not let a queued reply reach a contact who opted out', async () => {
+      outboundThrottle.reserve.mockResolvedValue({ allowed: true, pause: 0 });
+      await consentService.setConsent('5491122334455', 'opted_out');
+
+      expect(await whatsappBot.sendDeferred('sendReply', ['5491122334455@c.us', 'Oferta', {}]))
+        .toMatchObject({ success: false, code: consentService.OPTED_OUT });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+
+      expect(await whatsappBot.sendDeferred('sendReply', [groupId, 'Bienvenidos', {}])).toMatchObject({ success: true });
+    });
+  });
+});